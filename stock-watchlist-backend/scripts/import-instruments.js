@@ -0,0 +1,92 @@
+// Load instrument catalog files (CSV or JSON) into the local catalog used by symbol search.
+// Entries are upserted by symbol; with --replace, instruments missing from the files are removed.
+//
+// Usage: npm run import:instruments -- <file> [more files...] [--replace] [--dry-run]
+//
+// Recognized columns: symbol (ticker), name, exchange, assetType (type), currency, sector, isin
+import dotenv from 'dotenv';
+import path from 'path';
+import mongoose from 'mongoose';
+import Instrument from '../src/models/Instrument.js';
+import { readInstrumentFile, normalizeInstrumentRecord } from '../src/services/instrumentCatalog.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+const args = process.argv.slice(2);
+const files = args.filter(arg => !arg.startsWith('--'));
+const replace = args.includes('--replace');
+const dryRun = args.includes('--dry-run');
+
+const importInstruments = async () => {
+  if (files.length === 0) {
+    throw new Error('No files given. Usage: npm run import:instruments -- <file> [--replace] [--dry-run]');
+  }
+
+  // Later files win when the same symbol appears twice
+  const instruments = new Map();
+  let skipped = 0;
+
+  for (const file of files) {
+    const records = await readInstrumentFile(file);
+    let accepted = 0;
+
+    for (const record of records) {
+      const { instrument, error } = normalizeInstrumentRecord(record);
+      if (error) {
+        skipped += 1;
+        console.warn(`  ⚠️  ${path.basename(file)}: ${error}`);
+        continue;
+      }
+      instruments.set(instrument.symbol, { ...instrument, source: path.basename(file) });
+      accepted += 1;
+    }
+
+    console.log(`📄 ${file}: ${accepted} of ${records.length} entries accepted`);
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Dry run: ${instruments.size} instrument(s) would be imported, ${skipped} skipped`);
+    return;
+  }
+
+  const mongoURI = process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/stockwatchlist';
+  await mongoose.connect(mongoURI);
+  await Instrument.syncIndexes();
+
+  const entries = [...instruments.values()];
+  let upserted = 0;
+  let modified = 0;
+
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const result = await Instrument.bulkWrite(entries.slice(i, i + BATCH_SIZE).map(instrument => ({
+      updateOne: {
+        filter: { symbol: instrument.symbol },
+        update: { $set: instrument },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    upserted += result.upsertedCount;
+    modified += result.modifiedCount;
+  }
+
+  console.log(`📝 ${upserted} instrument(s) added, ${modified} updated, ${skipped} skipped`);
+
+  if (replace) {
+    const { deletedCount } = await Instrument.deleteMany({ symbol: { $nin: [...instruments.keys()] } });
+    console.log(`🗑️  ${deletedCount} instrument(s) not in the files removed`);
+  }
+};
+
+importInstruments()
+  .then(() => {
+    console.log('✅ Instrument import completed');
+    return mongoose.connection.close();
+  })
+  .catch(async (error) => {
+    console.error('❌ Instrument import failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
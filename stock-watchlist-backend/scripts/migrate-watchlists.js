@@ -0,0 +1,42 @@
+// Move stocks saved before named watchlists existed into each user's default list,
+// then sync Stock indexes so the old unique { user, symbol } index is dropped.
+//
+// Usage: npm run migrate:watchlists
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Stock from '../src/models/Stock.js';
+import Watchlist from '../src/models/Watchlist.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/stockwatchlist';
+  await mongoose.connect(mongoURI);
+
+  const userIds = await Stock.distinct('user', { watchlist: { $exists: false } });
+  console.log(`🔄 Migrating stocks for ${userIds.length} user(s)...`);
+
+  for (const userId of userIds) {
+    const watchlist = await Watchlist.findOrCreateDefault(userId);
+    const { modifiedCount } = await Stock.updateMany(
+      { user: userId, watchlist: { $exists: false } },
+      { $set: { watchlist: watchlist._id } }
+    );
+    console.log(`  ${userId}: ${modifiedCount} stock(s) moved to "${watchlist.name}"`);
+  }
+
+  await Watchlist.syncIndexes();
+  const dropped = await Stock.syncIndexes();
+  console.log(`📝 Stock indexes synced${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`);
+};
+
+migrate()
+  .then(() => {
+    console.log('✅ Watchlist migration completed');
+    return mongoose.connection.close();
+  })
+  .catch(async (error) => {
+    console.error('❌ Watchlist migration failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
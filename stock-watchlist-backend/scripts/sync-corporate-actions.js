@@ -0,0 +1,56 @@
+// Fetch corporate actions (splits, symbol changes, delistings) from CORPORATE_ACTIONS_SOURCE
+// and apply those that have taken effect to watchlists, positions, alerts and the ledger.
+// The server runs the same sync in the background; this runs it on demand.
+//
+// Usage: npm run sync:corporate-actions -- [--dry-run]
+//
+// --dry-run lists the actions that were found without recording or applying anything.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import CorporateAction from '../src/models/CorporateAction.js';
+import { ingestCorporateActions, applyCorporateActions } from '../src/services/corporateActions.js';
+
+dotenv.config();
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const describe = (action) => {
+  const date = action.effectiveDate.toISOString().slice(0, 10);
+  if (action.type === 'split') return `${date} ${action.symbol} split ${action.ratio}:1`;
+  if (action.type === 'symbol_change') return `${date} ${action.symbol} -> ${action.newSymbol}`;
+  return `${date} ${action.symbol} delisted`;
+};
+
+const syncCorporateActions = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/stockwatchlist';
+  await mongoose.connect(mongoURI);
+  await CorporateAction.syncIndexes();
+
+  const { received, recorded, skipped, actions } = await ingestCorporateActions({ dryRun });
+
+  if (dryRun) {
+    actions.forEach(action => console.log(`  ${describe(action)} (${action.source})`));
+    console.log(`🔍 Dry run: ${actions.length} of ${received} action(s) valid, ${skipped} skipped`);
+    return;
+  }
+
+  console.log(`📥 ${received} action(s) received, ${recorded} new, ${skipped} skipped`);
+
+  const applied = await applyCorporateActions();
+  applied.forEach(action => {
+    const { stocks, holdings, alerts, transactions } = action.applied;
+    console.log(`  ${describe(action)}: ${stocks} stock(s), ${holdings} position(s), ${alerts} alert(s), ${transactions} ledger entry(ies)`);
+  });
+  console.log(`📝 ${applied.length} action(s) applied`);
+};
+
+syncCorporateActions()
+  .then(() => {
+    console.log('✅ Corporate actions sync completed');
+    return mongoose.connection.close();
+  })
+  .catch(async (error) => {
+    console.error('❌ Corporate actions sync failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -1,6 +1,8 @@
 // server.js
 import dotenv from 'dotenv';
 import app from './src/app.js';
+import { startAlertEvaluator } from './src/services/alertEvaluator.js';
+import { startCorporateActionsJob } from './src/services/corporateActions.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,3 +14,17 @@ app.listen(PORT, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📡 API Base URL: http://localhost:${PORT}`);
 });
+
+// Start background alert evaluation
+if (process.env.ALERT_EVALUATOR_ENABLED !== 'false') {
+  const intervalMs = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS) || 60 * 1000;
+  startAlertEvaluator(intervalMs);
+  console.log(`🔔 Alert evaluator running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+// Start background corporate-actions sync (splits, symbol changes, delistings)
+if (process.env.CORPORATE_ACTIONS_ENABLED !== 'false') {
+  const intervalMs = parseInt(process.env.CORPORATE_ACTIONS_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+  startCorporateActionsJob(intervalMs);
+  console.log(`🏢 Corporate actions sync running every ${Math.round(intervalMs / 60000)}m`);
+}
@@ -2,9 +2,17 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import mongoose from 'mongoose';
 import stockRoutes from './routes/stocks.js';
 import userRoutes from './routes/users.js';
+import watchlistRoutes from './routes/watchlists.js';
+import alertRoutes from './routes/alerts.js';
+import portfolioRoutes from './routes/portfolio.js';
+import ledgerRoutes from './routes/ledger.js';
+import incomeRoutes from './routes/income.js';
+import streamRoutes from './routes/stream.js';
+import publicRoutes from './routes/public.js';
+import screenerRoutes from './routes/screener.js';
+import marketRoutes from './routes/markets.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { connectDatabase } from './utils/database.js';
 
@@ -34,6 +42,7 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['X-Cache', 'X-Cache-Quotes'],
   optionsSuccessStatus: 200
 }));
 
@@ -55,6 +64,15 @@ app.get('/', (req, res) => {
 
 app.use('/api/users', userRoutes);
 app.use('/api/stocks', stockRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/income', incomeRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/screener', screenerRoutes);
+app.use('/api/markets', marketRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import Alert, { ALERT_TYPES, ALERT_MODES, ALERT_MARKET_HOURS } from '../models/Alert.js';
+import Stock from '../models/Stock.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { evaluateAlerts } from '../services/alertEvaluator.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { canonicalSymbol, symbolSpellings } from '../utils/validators.js';
+import { body } from 'express-validator';
+
+// Fields a client may set on an alert
+const EDITABLE_FIELDS = ['type', 'threshold', 'maPeriod', 'mode', 'cooldownMinutes', 'marketHours', 'note', 'isActive'];
+
+// Validation rules shared by create and update
+const alertFieldRules = (isUpdate) => [
+  ...(isUpdate ? [] : [
+    body('symbol')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Stock symbol is required')
+  ]),
+
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(ALERT_TYPES)
+    .withMessage(`Alert type must be one of: ${ALERT_TYPES.join(', ')}`),
+
+  body('threshold')
+    .optional()
+    .isFloat()
+    .withMessage('Threshold must be a number')
+    .toFloat(),
+
+  body('maPeriod')
+    .optional()
+    .isInt({ min: 2, max: 200 })
+    .withMessage('Moving average period must be between 2 and 200')
+    .toInt(),
+
+  body('mode')
+    .optional()
+    .isIn(ALERT_MODES)
+    .withMessage('Mode must be once or recurring'),
+
+  body('cooldownMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Cooldown must be between 0 and 10080 minutes')
+    .toInt(),
+
+  body('marketHours')
+    .optional()
+    .isIn(ALERT_MARKET_HOURS)
+    .withMessage(`Market hours must be one of: ${ALERT_MARKET_HOURS.join(', ')}`),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+// Validation rules for creating an alert
+export const validateCreateAlert = alertFieldRules(false);
+
+// Validation rules for updating an alert
+export const validateUpdateAlert = alertFieldRules(true);
+
+// Load one of the authenticated user's alerts into req.alert
+export const loadAlert = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Invalid alert id', 400));
+    }
+
+    const alert = await Alert.findOne({ _id: req.params.id, user: req.user.id });
+    if (!alert) {
+      return next(new AppError('Alert not found', 404));
+    }
+
+    req.alert = alert;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the user's alerts (optionally filtered by symbol or active state)
+export const getAlerts = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user.id };
+
+  if (typeof req.query.symbol === 'string') {
+    filter.symbol = { $in: symbolSpellings(req.query.symbol) };
+  }
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === 'true';
+  }
+
+  const alerts = await Alert.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: 'Alerts retrieved successfully',
+    data: {
+      alerts: alerts.map(alert => alert.toSafeObject()),
+      totalAlerts: alerts.length
+    }
+  });
+});
+
+// Get a single alert
+export const getAlert = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Alert retrieved successfully',
+    data: {
+      alert: req.alert.toSafeObject()
+    }
+  });
+};
+
+// Create an alert on a symbol in one of the user's watchlists or a list shared with them
+export const createAlert = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const symbol = canonicalSymbol(req.body.symbol);
+
+    const stock = await Stock.findAccessible(req.user.id, symbol);
+    if (!stock) {
+      return next(new AppError('Alerts can only be set on symbols in your watchlists or lists shared with you', 404));
+    }
+
+    const alert = new Alert({ user: req.user.id, stock: stock._id, symbol });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) alert[field] = req.body[field];
+    });
+
+    await alert.save();
+
+    await recordAuditEvent(req, {
+      action: 'alert.create',
+      target: { type: 'alert', id: alert._id, label: alert.symbol },
+      details: { type: alert.type, threshold: alert.threshold }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert created successfully',
+      data: {
+        alert: alert.toSafeObject()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update an alert's condition or settings
+export const updateAlert = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const alert = req.alert;
+    const conditionChanged = ['type', 'threshold', 'maPeriod']
+      .some(field => req.body[field] !== undefined);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) alert[field] = req.body[field];
+    });
+
+    // A new condition starts from a clean slate for crossing detection
+    if (conditionChanged) {
+      alert.lastState = null;
+    }
+
+    const fields = EDITABLE_FIELDS.filter(field => alert.isModified(field));
+
+    await alert.save();
+
+    if (fields.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'alert.update',
+        target: { type: 'alert', id: alert._id, label: alert.symbol },
+        details: { fields }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert updated successfully',
+      data: {
+        alert: alert.toSafeObject()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete an alert
+export const deleteAlert = catchAsync(async (req, res, next) => {
+  await req.alert.deleteOne();
+
+  await recordAuditEvent(req, {
+    action: 'alert.delete',
+    target: { type: 'alert', id: req.alert._id, label: req.alert.symbol },
+    details: { type: req.alert.type }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Alert deleted successfully',
+    data: {
+      removedAlert: {
+        id: req.alert._id,
+        symbol: req.alert.symbol,
+        type: req.alert.type
+      }
+    }
+  });
+});
+
+// Evaluate the user's active alerts right away (e.g. where no background evaluator runs)
+export const evaluateUserAlerts = catchAsync(async (req, res, next) => {
+  const { evaluated, triggered } = await evaluateAlerts({ user: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Alerts evaluated successfully',
+    data: {
+      evaluated,
+      triggered: triggered.map(alert => alert.toSafeObject())
+    }
+  });
+});
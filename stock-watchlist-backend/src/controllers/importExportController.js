@@ -0,0 +1,388 @@
+import path from 'path';
+import multer from 'multer';
+import Stock from '../models/Stock.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { classifyStockEntries, canonicalSymbol, symbolSpellings } from '../utils/validators.js';
+import { getQuotes } from '../services/quoteService.js';
+import { getInstrumentCurrencies } from '../services/instrumentCatalog.js';
+import { createCurrencyConverter, DEFAULT_BASE_CURRENCY } from '../services/fx.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const DUPLICATE_MODES = ['skip', 'update'];
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns written on export, in order. The last four are market data at export time:
+// the price in the trading currency and converted into the user's base currency.
+const EXPORT_COLUMNS = [
+  'symbol', 'name', 'notes', 'tags', 'targetBuyPrice', 'targetSellPrice', 'conviction', 'addedAt',
+  'currency', 'price', 'baseCurrency', 'basePrice'
+];
+
+// Header names recognized on import when no explicit mapping is given
+const COLUMN_ALIASES = {
+  symbol: ['symbol', 'ticker', 'code', 'instrument', 'stock'],
+  name: ['name', 'company', 'companyname', 'description', 'security'],
+  notes: ['notes', 'note', 'comment', 'comments'],
+  tags: ['tags', 'tag', 'labels'],
+  targetBuyPrice: ['targetbuyprice', 'buytarget', 'buyprice'],
+  targetSellPrice: ['targetsellprice', 'selltarget', 'sellprice'],
+  conviction: ['conviction', 'rating']
+};
+
+// Compare header names loosely ("Buy Target" matches "buy_target" and "buytarget")
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+// Accept a single CSV or JSON file held in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!['.csv', '.json', '.txt'].includes(extension)) {
+      return callback(new AppError('Import file must be a .csv or .json file', 400));
+    }
+    callback(null, true);
+  }
+});
+
+// Receive the uploaded import file (multipart field "file") into req.file
+export const receiveImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? next(new AppError('Import file is too large', 413))
+        : next(new AppError(`Invalid upload: ${error.message}`, 400));
+    }
+    next(error);
+  });
+};
+
+// Turn file contents into { headers, records } where each record maps header -> value
+const readImportFile = (file, format) => {
+  const text = file.buffer.toString('utf8');
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new AppError('Import file is not valid JSON', 400);
+    }
+
+    // Accept a bare array or our own export format ({ stocks: [...] })
+    const records = Array.isArray(data) ? data : data?.stocks;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new AppError('JSON import must be an array of objects or { "stocks": [...] }', 400);
+    }
+
+    const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { headers, records };
+  }
+
+  const [headers = [], ...rows] = parseCsv(text);
+  const records = rows.map(cells => Object.fromEntries(
+    headers.map((header, index) => [header, cells[index] ?? ''])
+  ));
+
+  return { headers, records };
+};
+
+// Work out which file column feeds each stock field.
+// An explicit mapping ({ field: column }) wins over header aliases.
+const resolveColumnMapping = (headers, explicitMapping = {}) => {
+  const mapping = {};
+
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    const requested = explicitMapping[field];
+
+    if (requested !== undefined && requested !== '') {
+      if (!headers.includes(requested)) {
+        throw new AppError(`Mapped column "${requested}" for ${field} was not found in the file`, 400);
+      }
+      mapping[field] = requested;
+      continue;
+    }
+
+    const match = headers.find(header => COLUMN_ALIASES[field].includes(normalizeHeader(header)));
+    if (match !== undefined) {
+      mapping[field] = match;
+    }
+  }
+
+  if (!mapping.symbol) {
+    throw new AppError('Could not find a symbol column. Provide a mapping such as {"symbol": "Ticker"}', 400);
+  }
+
+  return mapping;
+};
+
+// Parse the optional fields of an import row; returns { values } or { error }
+const parseOptionalFields = (record, mapping) => {
+  const read = (field) => {
+    if (!mapping[field]) return undefined;
+    const value = record[mapping[field]];
+    return value === null || value === undefined || String(value).trim() === '' ? undefined : value;
+  };
+
+  const values = {};
+
+  const notes = read('notes');
+  if (notes !== undefined) {
+    values.notes = String(notes).trim();
+    if (values.notes.length > 2000) return { error: 'Notes cannot exceed 2000 characters' };
+  }
+
+  const tags = read('tags');
+  if (tags !== undefined) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(/[;,|]/);
+    values.tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (values.tags.length > 20 || values.tags.some(tag => tag.length > 30)) {
+      return { error: 'At most 20 tags of up to 30 characters are allowed' };
+    }
+  }
+
+  for (const field of ['targetBuyPrice', 'targetSellPrice']) {
+    const raw = read(field);
+    if (raw !== undefined) {
+      const price = Number(String(raw).replace(/[^0-9.-]/g, ''));
+      if (isNaN(price) || price < 0) return { error: `${field} must be a non-negative number` };
+      values[field] = price;
+    }
+  }
+
+  const conviction = read('conviction');
+  if (conviction !== undefined) {
+    const level = Number(conviction);
+    if (!Number.isInteger(level) || level < 1 || level > 5) {
+      return { error: 'Conviction must be an integer between 1 and 5' };
+    }
+    values.conviction = level;
+  }
+
+  return { values };
+};
+
+// Add current prices (as traded and in the base currency) to exported stocks.
+// Export never fails on market data: unpriced or unconvertible stocks get empty price columns.
+const withExportPrices = async (stocks, baseCurrency) => {
+  let quotes = new Map();
+  let converter = null;
+
+  try {
+    ({ quotes } = await getQuotes(stocks.map(stock => stock.symbol)));
+    const currencies = stocks.map(stock => stock.currency || quotes.get(stock.symbol)?.currency);
+    converter = await createCurrencyConverter(baseCurrency, currencies.filter(Boolean));
+  } catch (error) {
+    console.error('Export price lookup failed:', error.message);
+  }
+
+  return stocks.map(stock => {
+    const quote = quotes.get(stock.symbol);
+    const currency = stock.currency || quote?.currency || null;
+    const price = quote?.price ?? null;
+
+    return {
+      ...stock,
+      currency,
+      price,
+      baseCurrency,
+      basePrice: converter && currency ? converter.convert(price, currency) : null
+    };
+  });
+};
+
+// Export the stocks in one of the user's watchlists as CSV or JSON
+export const exportStocks = catchAsync(async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new AppError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400));
+  }
+
+  const storedStocks = await Stock.find({ watchlist: req.watchlist._id })
+    .sort({ addedAt: 1 })
+    .lean();
+  const stocks = await withExportPrices(storedStocks, req.user.baseCurrency || DEFAULT_BASE_CURRENCY);
+
+  const baseName = req.watchlist.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'watchlist';
+  const filename = `${baseName}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'json') {
+    return res.status(200).json({
+      watchlist: {
+        name: req.watchlist.name,
+        description: req.watchlist.description,
+        color: req.watchlist.color
+      },
+      exportedAt: new Date().toISOString(),
+      stocks: stocks.map(stock => Object.fromEntries(
+        EXPORT_COLUMNS.map(column => [column, stock[column] ?? null])
+      ))
+    });
+  }
+
+  const rows = stocks.map(stock => EXPORT_COLUMNS.map(column => {
+    if (column === 'tags') return (stock.tags || []).join(';');
+    if (column === 'addedAt') return stock.addedAt?.toISOString();
+    return stock[column];
+  }));
+
+  res.type('text/csv').status(200).send(toCsv([EXPORT_COLUMNS, ...rows]));
+});
+
+// Import stocks from an uploaded CSV or JSON file.
+// Form fields: format (csv|json, defaults to the file extension), mapping (JSON object of field -> column),
+// dryRun (true to preview without saving) and duplicates (skip|update).
+export const importStocks = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new AppError('Import file is required (multipart field "file")', 400));
+    }
+
+    const format = req.body.format || (path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'csv');
+    if (!EXPORT_FORMATS.includes(format)) {
+      return next(new AppError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400));
+    }
+
+    const duplicates = req.body.duplicates || 'skip';
+    if (!DUPLICATE_MODES.includes(duplicates)) {
+      return next(new AppError(`Duplicates must be one of: ${DUPLICATE_MODES.join(', ')}`, 400));
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    let explicitMapping = {};
+    if (req.body.mapping) {
+      try {
+        explicitMapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        return next(new AppError('Mapping must be a JSON object such as {"symbol": "Ticker"}', 400));
+      }
+    }
+
+    const { headers, records } = readImportFile(req.file, format);
+    if (records.length === 0) {
+      return next(new AppError('Import file contains no rows', 400));
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return next(new AppError(`Import files are limited to ${MAX_IMPORT_ROWS} rows`, 400));
+    }
+
+    const mapping = resolveColumnMapping(headers, explicitMapping);
+
+    // Same normalization and validation as addStock and the bulk endpoints
+    const results = classifyStockEntries(records.map(record => ({
+      symbol: record[mapping.symbol] === undefined ? '' : String(record[mapping.symbol]),
+      name: mapping.name && record[mapping.name] !== undefined ? String(record[mapping.name]) : ''
+    }))).map((result, index) => ({ row: index + 1, ...result }));
+
+    results.forEach((result, index) => {
+      if (result.status !== null) return;
+      const { values, error } = parseOptionalFields(records[index], mapping);
+      if (error) {
+        result.status = 'invalid';
+        result.message = error;
+      } else {
+        result.values = values;
+      }
+    });
+
+    const candidates = results.filter(result => result.status === null);
+    const existing = await Stock.find({
+      watchlist: req.watchlist._id,
+      symbol: { $in: candidates.flatMap(result => symbolSpellings(result.symbol)) }
+    });
+    const existingBySymbol = new Map(existing.map(stock => [canonicalSymbol(stock.symbol), stock]));
+
+    candidates.forEach(result => {
+      if (!existingBySymbol.has(result.symbol)) {
+        result.status = 'added';
+      } else if (duplicates === 'update') {
+        result.status = 'updated';
+      } else {
+        result.status = 'duplicate';
+        result.message = 'Stock already exists in your watchlist';
+      }
+    });
+
+    if (!dryRun) {
+      const toAdd = results.filter(result => result.status === 'added');
+      const firstPosition = await Stock.nextPosition(req.watchlist._id);
+      const currencies = await getInstrumentCurrencies(toAdd.map(result => result.symbol));
+      const docs = toAdd.map((result, index) => new Stock({
+        ...result.values,
+        symbol: result.symbol,
+        name: result.name,
+        user: req.watchlist.user,
+        addedBy: req.user.id,
+        watchlist: req.watchlist._id,
+        currency: currencies.get(result.symbol) || null,
+        position: firstPosition + index
+      }));
+
+      try {
+        await Stock.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // Only duplicate-key races are expected here; anything else is a real failure
+        if (!error.writeErrors && error.code !== 11000) throw error;
+      }
+
+      const inserted = await Stock.find({ _id: { $in: docs.map(doc => doc._id) } }).select('_id').lean();
+      const insertedIds = new Set(inserted.map(doc => doc._id.toString()));
+      toAdd.forEach((result, index) => {
+        if (!insertedIds.has(docs[index]._id.toString())) {
+          result.status = 'duplicate';
+          result.message = 'Stock already exists in your watchlist';
+        }
+      });
+
+      for (const result of results.filter(entry => entry.status === 'updated')) {
+        const stock = existingBySymbol.get(result.symbol);
+        Object.assign(stock, result.values);
+        if (result.name) stock.name = result.name;
+        await stock.save();
+      }
+
+      const imported = results.filter(result => ['added', 'updated'].includes(result.status));
+      if (imported.length > 0) {
+        await recordAuditEvent(req, {
+          action: 'stock.import',
+          user: req.watchlist.user,
+          target: { type: 'watchlist', id: req.watchlist._id, label: req.watchlist.name },
+          watchlist: req.watchlist._id,
+          details: {
+            symbols: imported.map(result => result.symbol),
+            updated: imported.filter(result => result.status === 'updated').map(result => result.symbol)
+          }
+        });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Import preview generated' : 'Import completed',
+      data: {
+        dryRun,
+        format,
+        duplicates,
+        mapping,
+        totalRows: records.length,
+        summary,
+        results: results.map(({ values, ...result }) => result)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,496 @@
+import mongoose from 'mongoose';
+import Income, { INCOME_TYPES } from '../models/Income.js';
+import Holding from '../models/Holding.js';
+import Stock from '../models/Stock.js';
+import Transaction from '../models/Transaction.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { summarizeIncome, projectPayments, groupByMonth } from '../services/income.js';
+import { createCurrencyConverter, DEFAULT_BASE_CURRENCY } from '../services/fx.js';
+import { syncHoldingWithLedger, removeTransaction } from '../services/positions.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { withOptionalTransaction } from '../utils/database.js';
+import { canonicalSymbol, symbolSpellings } from '../utils/validators.js';
+import { body } from 'express-validator';
+
+const MAX_CALENDAR_MONTHS = 24;
+
+// Payments further back than this are ignored when inferring schedules
+const PROJECTION_HISTORY_MS = 2 * 365 * 24 * 60 * 60 * 1000;
+
+// Validation rules for recording income
+export const validateCreateIncome = [
+  body('symbol')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Stock symbol is required'),
+
+  body('type')
+    .optional()
+    .isIn(INCOME_TYPES)
+    .withMessage('Income type must be dividend or interest'),
+
+  body('exDate')
+    .isISO8601()
+    .withMessage('Ex-date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('payDate')
+    .isISO8601()
+    .withMessage('Pay date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('amountPerShare')
+    .isFloat({ min: 0 })
+    .withMessage('Amount per share must be a non-negative number')
+    .toFloat(),
+
+  body('shares')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Shares must be greater than zero')
+    .toFloat(),
+
+  body('withholdingTax')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Withholding tax must be a non-negative number')
+    .toFloat(),
+
+  body('currency')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+
+  body('reinvest')
+    .optional()
+    .isBoolean()
+    .withMessage('reinvest must be a boolean')
+    .toBoolean(),
+
+  body('reinvestPrice')
+    .if(body('reinvest').equals('true'))
+    .isFloat({ gt: 0 })
+    .withMessage('Reinvestment price is required for DRIP and must be greater than zero')
+    .toFloat(),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Load one of the authenticated user's income entries into req.income
+export const loadIncome = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Invalid income id', 400));
+    }
+
+    const income = await Income.findOne({ _id: req.params.id, user: req.user.id });
+    if (!income) {
+      return next(new AppError('Income entry not found', 404));
+    }
+
+    req.income = income;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Group entries by symbol and summarize each group (in the currency the symbol pays in)
+const summarizeBySymbol = (entries, currencyBySymbol = new Map()) => {
+  const symbols = [...new Set(entries.map(entry => entry.symbol))].sort();
+  return symbols.map(symbol => ({
+    symbol,
+    currency: currencyBySymbol.get(symbol) || null,
+    ...summarizeIncome(entries.filter(entry => entry.symbol === symbol))
+  }));
+};
+
+// Currency each symbol pays in: the one recorded on its latest entry, else its trading currency
+const getIncomeCurrencies = async (userId, entries, symbols = []) => {
+  const allSymbols = [...new Set([...entries.map(entry => entry.symbol), ...symbols])];
+  const stocks = await Stock.find({ user: userId, symbol: { $in: allSymbols } }).select('symbol currency').lean();
+  const currencies = new Map(stocks.filter(stock => stock.currency).map(stock => [stock.symbol, stock.currency]));
+
+  [...entries]
+    .filter(entry => entry.currency)
+    .sort((a, b) => new Date(a.payDate) - new Date(b.payDate))
+    .forEach(entry => currencies.set(entry.symbol, entry.currency));
+
+  return currencies;
+};
+
+// Build a converter into the user's base currency; null when rates cannot be loaded
+const getBaseConverter = async (baseCurrency, currencies) => {
+  try {
+    return await createCurrencyConverter(baseCurrency, currencies.filter(Boolean));
+  } catch (error) {
+    console.error('FX rate lookup failed:', error.message);
+    return null;
+  }
+};
+
+// Rate from an amount's currency into the base currency (null when unknown or unpriced)
+const rateFor = (converter, currency) => (converter && currency ? converter.rate(currency) : null);
+
+// Totals of entries in the base currency. Entries paid in different currencies cannot be added
+// as they are, so each is converted at today's rate; those that cannot be are left out and counted.
+const summarizeInBaseCurrency = async (entries, baseCurrency, currencyBySymbol) => {
+  const currencyOf = (entry) => entry.currency || currencyBySymbol.get(entry.symbol) || null;
+  const converter = await getBaseConverter(baseCurrency, entries.map(currencyOf));
+
+  const converted = entries.flatMap(entry => {
+    const rate = rateFor(converter, currencyOf(entry));
+    return rate === null ? [] : [{
+      ...entry,
+      amountPerShare: entry.amountPerShare * rate,
+      withholdingTax: (entry.withholdingTax || 0) * rate
+    }];
+  });
+
+  return {
+    currency: baseCurrency,
+    ...summarizeIncome(converted),
+    unconvertedPayments: entries.length - converted.length
+  };
+};
+
+// Entries paid in the last 12 months
+const findTrailingIncome = (userId, now = new Date()) => {
+  const since = new Date(now);
+  since.setUTCFullYear(since.getUTCFullYear() - 1);
+
+  return Income.find({ user: userId, payDate: { $gt: since, $lte: now } }).lean();
+};
+
+// List the user's income entries (optionally filtered by symbol, type and pay date range)
+export const getIncomeEntries = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user.id };
+
+  if (typeof req.query.symbol === 'string') {
+    filter.symbol = { $in: symbolSpellings(req.query.symbol) };
+  }
+  if (typeof req.query.type === 'string') {
+    if (!INCOME_TYPES.includes(req.query.type)) {
+      return next(new AppError('Income type must be dividend or interest', 400));
+    }
+    filter.type = req.query.type;
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (typeof req.query[param] !== 'string') continue;
+
+    const date = new Date(req.query[param]);
+    if (isNaN(date)) {
+      return next(new AppError(`${param} must be a valid date`, 400));
+    }
+    filter.payDate = { ...filter.payDate, [operator]: date };
+  }
+
+  const entries = await Income.find(filter).sort({ payDate: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: 'Income entries retrieved successfully',
+    data: {
+      entries: entries.map(entry => entry.toSafeObject()),
+      totalEntries: entries.length
+    }
+  });
+});
+
+// Get a single income entry
+export const getIncomeEntry = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Income entry retrieved successfully',
+    data: {
+      entry: req.income.toSafeObject()
+    }
+  });
+};
+
+// Record a dividend or interest payment.
+// Shares default to the current position; with reinvest the net amount becomes a new buy lot.
+// The symbol may be in a list shared with the user; the entry is still the user's own.
+export const createIncomeEntry = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const symbol = canonicalSymbol(req.body.symbol);
+
+    const stock = await Stock.findAccessible(req.user.id, symbol);
+    if (!stock) {
+      return next(new AppError('Income can only be recorded for symbols in your watchlists or lists shared with you', 404));
+    }
+
+    const holding = await Holding.findOne({ user: req.user.id, symbol: { $in: symbolSpellings(symbol) } });
+    const shares = req.body.shares ?? (holding ? holding.getCostBasis().quantity : null);
+    if (!shares) {
+      return next(new AppError(`Shares are required when you have no position in ${symbol}`, 400));
+    }
+
+    const fields = {
+      user: req.user.id,
+      stock: stock._id,
+      symbol,
+      type: req.body.type,
+      exDate: req.body.exDate,
+      payDate: req.body.payDate,
+      amountPerShare: req.body.amountPerShare,
+      shares,
+      withholdingTax: req.body.withholdingTax,
+      currency: req.body.currency,
+      reinvest: req.body.reinvest,
+      reinvestPrice: req.body.reinvest ? req.body.reinvestPrice : undefined,
+      note: req.body.note
+    };
+
+    const draft = new Income(fields);
+    await draft.validate();
+
+    // A reinvestment is a buy in the ledger; the position picks up its lot from there
+    let reinvestment = null;
+    if (draft.reinvest) {
+      const reinvestedShares = Math.round((draft.netAmount / draft.reinvestPrice) * 1e8) / 1e8;
+      if (reinvestedShares <= 0) {
+        return next(new AppError('Nothing to reinvest: net amount is zero', 400));
+      }
+
+      reinvestment = {
+        _id: new mongoose.Types.ObjectId(),
+        user: req.user.id,
+        stock: stock._id,
+        symbol,
+        type: 'buy',
+        quantity: reinvestedShares,
+        price: draft.reinvestPrice,
+        executedAt: draft.payDate,
+        note: 'Dividend reinvestment'
+      };
+      fields.reinvestedShares = reinvestedShares;
+      fields.lot = reinvestment._id;
+    }
+
+    // The reinvestment and the entry are saved together, so a failed entry leaves no orphan lot.
+    // Documents are built inside so a retried transaction inserts them afresh.
+    const { result: income } = await withOptionalTransaction(async (session) => {
+      const transaction = reinvestment && new Transaction(reinvestment);
+      if (transaction) {
+        await transaction.save({ session });
+        await syncHoldingWithLedger(req.user.id, symbol, session);
+      }
+
+      try {
+        return await new Income(fields).save({ session });
+      } catch (error) {
+        // Without a transaction, take the reinvestment back out by hand
+        if (!session && transaction) {
+          await transaction.deleteOne();
+          await syncHoldingWithLedger(req.user.id, symbol);
+        }
+        throw error;
+      }
+    });
+
+    await recordAuditEvent(req, {
+      action: 'income.create',
+      target: { type: 'income', id: income._id, label: income.symbol },
+      details: {
+        type: income.type,
+        amount: income.netAmount,
+        currency: income.currency,
+        reinvestedShares: income.reinvest ? income.reinvestedShares : null
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: income.reinvest ? 'Income recorded and reinvested' : 'Income recorded successfully',
+      data: {
+        entry: income.toSafeObject()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete an income entry, along with the buy its reinvestment recorded (which must still be the
+// latest transaction for the symbol)
+export const deleteIncomeEntry = catchAsync(async (req, res, next) => {
+  const income = req.income;
+
+  // Reinvestments are in the ledger; entries from before that point at a lot entered by hand
+  const reinvestment = income.lot && await Transaction.findOne({ _id: income.lot, user: req.user.id });
+  if (reinvestment) {
+    await removeTransaction(reinvestment);
+  } else if (income.lot) {
+    const holding = await Holding.findOne({ user: req.user.id, symbol: income.symbol, 'lots._id': income.lot });
+    if (holding) {
+      holding.lots.id(income.lot).deleteOne();
+      if (holding.lots.length === 0) {
+        await holding.deleteOne();
+      } else {
+        await holding.save();
+      }
+    }
+  }
+
+  await income.deleteOne();
+
+  await recordAuditEvent(req, {
+    action: 'income.delete',
+    target: { type: 'income', id: income._id, label: income.symbol },
+    details: { type: income.type, amount: income.netAmount, currency: income.currency }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Income entry deleted successfully',
+    data: {
+      removedEntry: {
+        id: income._id,
+        symbol: income.symbol,
+        payDate: income.payDate,
+        lot: income.lot
+      }
+    }
+  });
+});
+
+// Income paid over the trailing 12 months, in total and per symbol
+export const getTrailingIncome = catchAsync(async (req, res, next) => {
+  const entries = await findTrailingIncome(req.user.id);
+  const currencyBySymbol = await getIncomeCurrencies(req.user.id, entries);
+
+  res.status(200).json({
+    success: true,
+    message: 'Trailing 12-month income calculated successfully',
+    data: {
+      totals: await summarizeInBaseCurrency(entries, req.user.baseCurrency || DEFAULT_BASE_CURRENCY, currencyBySymbol),
+      bySymbol: summarizeBySymbol(entries, currencyBySymbol)
+    }
+  });
+});
+
+// Trailing 12-month net income as a percentage of each position's cost basis
+export const getYieldOnCost = catchAsync(async (req, res, next) => {
+  const [entries, holdings] = await Promise.all([
+    findTrailingIncome(req.user.id),
+    Holding.find({ user: req.user.id })
+  ]);
+
+  const baseCurrency = req.user.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const currencyBySymbol = await getIncomeCurrencies(req.user.id, entries, holdings.map(holding => holding.symbol));
+  const incomeBySymbol = new Map(summarizeBySymbol(entries).map(summary => [summary.symbol, summary]));
+  const costBySymbol = new Map(holdings.map(holding => [holding.symbol, holding.getCostBasis().totalCost]));
+  const symbols = [...new Set([...incomeBySymbol.keys(), ...costBySymbol.keys()])].sort();
+
+  // Income and cost of a position share its currency, so the per-position yield needs no conversion
+  const positions = symbols.map(symbol => {
+    const netIncome = incomeBySymbol.get(symbol)?.netAmount || 0;
+    const totalCost = costBySymbol.get(symbol) ?? null;
+
+    return {
+      symbol,
+      currency: currencyBySymbol.get(symbol) || null,
+      netIncome,
+      totalCost,
+      yieldOnCost: totalCost ? Math.round((netIncome / totalCost) * 10000) / 100 : null
+    };
+  });
+
+  // Totals are in the base currency and skip positions that cannot be converted
+  const converter = await getBaseConverter(baseCurrency, [...currencyBySymbol.values()]);
+  const costed = positions
+    .filter(position => position.totalCost)
+    .map(position => ({ ...position, rate: rateFor(converter, position.currency) }));
+  const converted = costed.filter(position => position.rate !== null);
+  const totalIncome = converted.reduce((sum, position) => sum + position.netIncome * position.rate, 0);
+  const totalCost = converted.reduce((sum, position) => sum + position.totalCost * position.rate, 0);
+
+  res.status(200).json({
+    success: true,
+    message: 'Yield on cost calculated successfully',
+    data: {
+      positions,
+      totals: {
+        currency: baseCurrency,
+        netIncome: round(totalIncome),
+        totalCost: round(totalCost),
+        yieldOnCost: totalCost ? Math.round((totalIncome / totalCost) * 10000) / 100 : null,
+        unconvertedPositions: costed.length - converted.length
+      }
+    }
+  });
+});
+
+// Projected income for the symbols in a watchlist over the next few months
+export const getIncomeCalendar = catchAsync(async (req, res, next) => {
+  const months = req.query.months === undefined ? 12 : Number(req.query.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_CALENDAR_MONTHS) {
+    return next(new AppError(`Months must be an integer between 1 and ${MAX_CALENDAR_MONTHS}`, 400));
+  }
+
+  const now = new Date();
+  const stocks = await Stock.find({ watchlist: req.watchlist._id }).select('symbol').lean();
+  const symbols = stocks.map(stock => stock.symbol);
+
+  const [entries, holdings] = await Promise.all([
+    Income.find({
+      user: req.user.id,
+      symbol: { $in: symbols },
+      payDate: { $gte: new Date(now - PROJECTION_HISTORY_MS) }
+    }).lean(),
+    Holding.find({ user: req.user.id, symbol: { $in: symbols } })
+  ]);
+
+  const sharesBySymbol = new Map(holdings.map(holding => [holding.symbol, holding.getCostBasis().quantity]));
+  const currencyBySymbol = await getIncomeCurrencies(req.user.id, entries, symbols);
+
+  const payments = symbols.flatMap(symbol => {
+    const history = entries.filter(entry => entry.symbol === symbol);
+    if (history.length === 0) return [];
+
+    // Without a position, assume the share count of the latest payment
+    const latest = history.reduce((a, b) => (a.payDate > b.payDate ? a : b));
+    const shares = sharesBySymbol.get(symbol) ?? latest.shares;
+
+    return projectPayments(history, shares, { from: now, months })
+      .map(payment => ({ ...payment, currency: payment.currency || currencyBySymbol.get(symbol) || null }));
+  }).sort((a, b) => a.payDate - b.payDate);
+
+  // Monthly and overall estimates are in the base currency and skip payments that cannot be converted
+  const baseCurrency = req.user.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const converter = await getBaseConverter(baseCurrency, payments.map(payment => payment.currency));
+  const convertedPayments = payments.flatMap(payment => {
+    const rate = rateFor(converter, payment.currency);
+    return rate === null ? [] : [{ ...payment, estimatedAmount: payment.estimatedAmount * rate }];
+  });
+  const totalEstimated = convertedPayments.reduce((sum, payment) => sum + payment.estimatedAmount, 0);
+
+  res.status(200).json({
+    success: true,
+    message: 'Income calendar projected successfully',
+    data: {
+      watchlist: req.watchlist.toSafeObject(req.user.id),
+      months,
+      payments,
+      currency: baseCurrency,
+      byMonth: groupByMonth(convertedPayments),
+      totalEstimated: round(totalEstimated),
+      unconvertedPayments: payments.length - convertedPayments.length
+    }
+  });
+});
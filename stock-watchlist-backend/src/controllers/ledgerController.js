@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import Transaction, { TRANSACTION_TYPES, COST_BASIS_METHODS } from '../models/Transaction.js';
+import Stock from '../models/Stock.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { replayTransactions, buildRealizedGainsReport } from '../services/ledger.js';
+import { getSymbolRenames, withCurrentSymbols } from '../services/corporateActions.js';
+import { recordTransaction, removeTransaction } from '../services/positions.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { canonicalSymbol, symbolSpellings } from '../utils/validators.js';
+import { body } from 'express-validator';
+
+// Validation rules for recording a transaction
+export const validateCreateTransaction = [
+  body('symbol')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Stock symbol is required'),
+
+  body('type')
+    .isIn(TRANSACTION_TYPES)
+    .withMessage(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}`),
+
+  body('quantity')
+    .if(body('type').not().equals('split'))
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than zero')
+    .toFloat(),
+
+  body('price')
+    .if(body('type').isIn(['buy', 'sell', 'transfer_in']))
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number')
+    .toFloat(),
+
+  body('fees')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fees must be a non-negative number')
+    .toFloat(),
+
+  body('ratio')
+    .if(body('type').equals('split'))
+    .isFloat({ gt: 0 })
+    .withMessage('Split ratio must be greater than zero')
+    .toFloat(),
+
+  body('executedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Execution date must be a valid ISO 8601 date')
+    .toDate()
+    .custom(date => date <= new Date())
+    .withMessage('Execution date cannot be in the future'),
+
+  body('acquiredAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Acquisition date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Pick the lot-matching method from ?method= or the user's preference
+const resolveMethod = (req) => {
+  const method = req.query.method || req.user.costBasisMethod || 'fifo';
+  if (!COST_BASIS_METHODS.includes(method)) {
+    throw new AppError(`Cost basis method must be one of: ${COST_BASIS_METHODS.join(', ')}`, 400);
+  }
+  return method;
+};
+
+// Load one of the authenticated user's transactions into req.transaction
+export const loadTransaction = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Invalid transaction id', 400));
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user.id });
+    if (!transaction) {
+      return next(new AppError('Transaction not found', 404));
+    }
+
+    req.transaction = transaction;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the user's transactions (optionally filtered by symbol, type and date range)
+export const getTransactions = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user.id };
+
+  if (typeof req.query.symbol === 'string') {
+    filter.symbol = { $in: symbolSpellings(req.query.symbol) };
+  }
+  if (typeof req.query.type === 'string') {
+    if (!TRANSACTION_TYPES.includes(req.query.type)) {
+      return next(new AppError(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}`, 400));
+    }
+    filter.type = req.query.type;
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (typeof req.query[param] !== 'string') continue;
+
+    const date = new Date(req.query[param]);
+    if (isNaN(date)) {
+      return next(new AppError(`${param} must be a valid date`, 400));
+    }
+    filter.executedAt = { ...filter.executedAt, [operator]: date };
+  }
+
+  const transactions = await Transaction.find(filter).sort({ executedAt: -1, createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: 'Transactions retrieved successfully',
+    data: {
+      transactions: transactions.map(transaction => transaction.toSafeObject()),
+      totalTransactions: transactions.length
+    }
+  });
+});
+
+// Get a single transaction
+export const getTransaction = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Transaction retrieved successfully',
+    data: {
+      transaction: req.transaction.toSafeObject()
+    }
+  });
+};
+
+// Record a transaction and update the position it belongs to.
+// The symbol's history is replayed with it, in the same database transaction as the insert,
+// so a sale can never exceed the shares held at that date.
+export const createTransaction = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const symbol = canonicalSymbol(req.body.symbol);
+    const { type } = req.body;
+
+    // Link to the watchlist entry when there is one; past trades may outlive it
+    const stock = await Stock.findOne({ user: req.user.id, symbol: { $in: symbolSpellings(symbol) } }).select('_id');
+
+    const fields = {
+      user: req.user.id,
+      stock: stock?._id,
+      symbol,
+      type,
+      quantity: type === 'split' ? undefined : req.body.quantity,
+      price: ['buy', 'sell', 'transfer_in'].includes(type) ? req.body.price : undefined,
+      fees: req.body.fees,
+      ratio: type === 'split' ? req.body.ratio : undefined,
+      acquiredAt: type === 'transfer_in' ? req.body.acquiredAt : undefined,
+      executedAt: req.body.executedAt || new Date(),
+      note: req.body.note
+    };
+
+    await new Transaction(fields).validate();
+
+    const { transaction } = await recordTransaction(fields);
+
+    await recordAuditEvent(req, {
+      action: 'transaction.create',
+      target: { type: 'transaction', id: transaction._id, label: transaction.symbol },
+      details: { type: transaction.type, quantity: transaction.quantity, price: transaction.price, ratio: transaction.ratio }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transaction recorded successfully',
+      data: {
+        transaction: transaction.toSafeObject()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a transaction entered by mistake (only the latest for its symbol) and update the position
+export const deleteTransaction = catchAsync(async (req, res, next) => {
+  await removeTransaction(req.transaction);
+
+  await recordAuditEvent(req, {
+    action: 'transaction.delete',
+    target: { type: 'transaction', id: req.transaction._id, label: req.transaction.symbol },
+    details: { type: req.transaction.type, quantity: req.transaction.quantity }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Transaction deleted successfully',
+    data: {
+      removedTransaction: {
+        id: req.transaction._id,
+        symbol: req.transaction.symbol,
+        type: req.transaction.type
+      }
+    }
+  });
+});
+
+// Replay the ledger into open positions
+export const getLedgerPositions = catchAsync(async (req, res, next) => {
+  const method = resolveMethod(req);
+  const transactions = await Transaction.find({ user: req.user.id }).lean();
+  const { positions } = replayTransactions(withCurrentSymbols(transactions, await getSymbolRenames()), method);
+
+  res.status(200).json({
+    success: true,
+    message: 'Positions calculated successfully',
+    data: {
+      method,
+      positions,
+      totalPositions: positions.length
+    }
+  });
+});
+
+// Realized gains for one calendar year under the chosen lot-matching method
+export const getRealizedGains = catchAsync(async (req, res, next) => {
+  const year = Number(req.params.year);
+  if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+    return next(new AppError('Year must be a four-digit year', 400));
+  }
+
+  const method = resolveMethod(req);
+
+  // Earlier years are needed too: they decide which lots are still open
+  const transactions = await Transaction.find({
+    user: req.user.id,
+    executedAt: { $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+  }).lean();
+  const { sales } = replayTransactions(withCurrentSymbols(transactions, await getSymbolRenames()), method);
+
+  res.status(200).json({
+    success: true,
+    message: 'Realized gains report generated successfully',
+    data: {
+      method,
+      ...buildRealizedGainsReport(sales, year)
+    }
+  });
+});
@@ -0,0 +1,77 @@
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { getCalendars, findCalendar, getMarketStatus as describeMarketStatus } from '../services/marketCalendar.js';
+import { getSupportedCurrencies, getFxConfig } from '../services/fx.js';
+import CorporateAction, { CORPORATE_ACTION_TYPES } from '../models/CorporateAction.js';
+import { canonicalSymbol } from '../utils/validators.js';
+
+// Get every exchange calendar with its current state
+export const getMarkets = catchAsync(async (req, res, next) => {
+  const now = new Date();
+  const calendars = await getCalendars();
+
+  res.status(200).json({
+    success: true,
+    message: 'Markets retrieved successfully',
+    data: {
+      markets: calendars.map(calendar => {
+        const { exchange, state, isOpen, nextOpen, nextClose } = describeMarketStatus(calendar, now);
+        return { ...exchange, aliases: calendar.aliases, state, isOpen, nextOpen, nextClose };
+      })
+    }
+  });
+});
+
+// Get an exchange's current state, today's sessions and its next open and close.
+// :exchange is a calendar code (XNYS) or alias (NYSE, NMS, LSE).
+export const getMarketStatus = catchAsync(async (req, res, next) => {
+  const calendar = await findCalendar(req.params.exchange);
+  if (!calendar) {
+    return next(new AppError(`No trading calendar for exchange ${req.params.exchange}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Market status retrieved successfully',
+    data: describeMarketStatus(calendar)
+  });
+});
+
+// Get the currencies amounts can be converted into (choices for a user's base currency)
+export const getCurrencies = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    message: 'Currencies retrieved successfully',
+    data: {
+      currencies: await getSupportedCurrencies(),
+      rateSource: getFxConfig().source
+    }
+  });
+});
+
+// List recorded corporate actions, newest first (optionally for one symbol or type).
+// ?symbol= matches both the old and the new ticker of a symbol change.
+export const getCorporateActions = catchAsync(async (req, res, next) => {
+  const filter = {};
+
+  if (typeof req.query.symbol === 'string') {
+    const symbol = canonicalSymbol(req.query.symbol);
+    filter.$or = [{ symbol }, { newSymbol: symbol }];
+  }
+  if (typeof req.query.type === 'string') {
+    if (!CORPORATE_ACTION_TYPES.includes(req.query.type)) {
+      return next(new AppError(`Corporate action type must be one of: ${CORPORATE_ACTION_TYPES.join(', ')}`, 400));
+    }
+    filter.type = req.query.type;
+  }
+
+  const actions = await CorporateAction.find(filter).sort({ effectiveDate: -1 }).limit(200);
+
+  res.status(200).json({
+    success: true,
+    message: 'Corporate actions retrieved successfully',
+    data: {
+      actions: actions.map(action => action.toSafeObject()),
+      totalActions: actions.length
+    }
+  });
+});
@@ -0,0 +1,356 @@
+import Holding, { formatLot } from '../models/Holding.js';
+import Stock from '../models/Stock.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { getQuotes } from '../services/quoteService.js';
+import { createCurrencyConverter, DEFAULT_BASE_CURRENCY } from '../services/fx.js';
+import { recordTransaction } from '../services/positions.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { canonicalSymbol, symbolSpellings } from '../utils/validators.js';
+import { body } from 'express-validator';
+
+// Fields a client may set on a lot
+const LOT_FIELDS = ['quantity', 'price', 'fees', 'purchasedAt', 'note'];
+
+// Lots that mirror the ledger change only through it
+const ledgerLotError = () => new AppError(
+  'This lot is recorded in the ledger; delete its transaction or record a correcting one instead', 409
+);
+
+// Validation rules shared by adding and editing a lot
+const lotFieldRules = (isUpdate) => {
+  const optionalUnlessCreating = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    ...(isUpdate ? [] : [
+      body('symbol')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Stock symbol is required')
+    ]),
+
+    optionalUnlessCreating(body('quantity'))
+      .isFloat({ gt: 0 })
+      .withMessage('Quantity must be greater than zero')
+      .toFloat(),
+
+    optionalUnlessCreating(body('price'))
+      .isFloat({ min: 0 })
+      .withMessage('Purchase price must be a non-negative number')
+      .toFloat(),
+
+    body('fees')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Fees must be a non-negative number')
+      .toFloat(),
+
+    body('purchasedAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Purchase date must be a valid ISO 8601 date')
+      .toDate()
+      .custom(date => date <= new Date())
+      .withMessage('Purchase date cannot be in the future'),
+
+    body('note')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Note cannot exceed 200 characters')
+  ];
+};
+
+// Validation rules for adding a lot
+export const validateAddLot = lotFieldRules(false);
+
+// Validation rules for editing a lot
+export const validateUpdateLot = lotFieldRules(true);
+
+// Load the authenticated user's position in :symbol into req.holding
+export const loadHolding = async (req, res, next) => {
+  try {
+    const holding = await Holding.findOne({
+      user: req.user.id,
+      symbol: { $in: symbolSpellings(req.params.symbol) }
+    });
+
+    if (!holding) {
+      return next(new AppError('Position not found in your portfolio', 404));
+    }
+
+    req.holding = holding;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Look up quotes for positions without failing the request when the provider is down
+const fetchQuotes = async (symbols) => {
+  try {
+    return await getQuotes(symbols);
+  } catch (error) {
+    console.error('Quote lookup failed:', error.message);
+    return { quotes: new Map(), cacheStatus: 'MISS' };
+  }
+};
+
+// Trading currency of each position: its quote's, else the one recorded on its watchlist entry
+const getPositionCurrencies = async (holdings, quotes) => {
+  const stocks = await Stock.find({ _id: { $in: holdings.map(holding => holding.stock) } }).select('currency').lean();
+  const currencyByStock = new Map(stocks.map(stock => [stock._id.toString(), stock.currency]));
+
+  return new Map(holdings.map(holding => [
+    holding.symbol,
+    quotes.get(holding.symbol)?.currency || currencyByStock.get(holding.stock?.toString()) || null
+  ]));
+};
+
+// Build a converter into the user's base currency; null when rates cannot be loaded
+const getBaseConverter = async (baseCurrency, currencies) => {
+  try {
+    return await createCurrencyConverter(baseCurrency, currencies.filter(Boolean));
+  } catch (error) {
+    console.error('FX rate lookup failed:', error.message);
+    return null;
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Combine a holding with its market valuation, plus the same amounts in the base currency.
+// Cost is converted at today's rate, so gains in the base currency include currency moves.
+const toPosition = (holding, quote, currency, converter) => {
+  const valuation = holding.getValuation(quote?.price ?? null);
+  const rate = converter && currency ? converter.rate(currency) : null;
+  const convert = (amount) => (amount === null ? null : round(amount * rate));
+
+  return {
+    ...holding.toSafeObject(),
+    ...valuation,
+    currency,
+    converted: rate === null ? null : {
+      currency: converter.currency,
+      rate: Math.round(rate * 1000000) / 1000000,
+      totalCost: convert(valuation.totalCost),
+      marketValue: convert(valuation.marketValue),
+      unrealizedGain: convert(valuation.unrealizedGain)
+    },
+    quoteStatus: quote && quote.price !== null ? 'ok' : 'unavailable'
+  };
+};
+
+// Get all positions with market value and unrealized gain/loss.
+// Totals are in the user's base currency and skip positions that cannot be converted.
+export const getPortfolio = catchAsync(async (req, res, next) => {
+  const baseCurrency = req.user.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const holdings = await Holding.find({ user: req.user.id }).sort({ symbol: 1 });
+  const { quotes, cacheStatus } = await fetchQuotes(holdings.map(holding => holding.symbol));
+  const currencies = await getPositionCurrencies(holdings, quotes);
+  const converter = await getBaseConverter(baseCurrency, [...currencies.values()]);
+
+  const positions = holdings.map(holding => toPosition(
+    holding,
+    quotes.get(holding.symbol),
+    currencies.get(holding.symbol),
+    converter
+  ));
+
+  // Totals only cover positions that could be converted (and, for values, priced)
+  const converted = positions.filter(position => position.converted);
+  const priced = converted.filter(position => position.quoteStatus === 'ok');
+  const totalCost = converted.reduce((sum, position) => sum + position.converted.totalCost, 0);
+  const pricedCost = priced.reduce((sum, position) => sum + position.converted.totalCost, 0);
+  const marketValue = priced.reduce((sum, position) => sum + position.converted.marketValue, 0);
+  const unrealizedGain = marketValue - pricedCost;
+
+  res.set('X-Cache-Quotes', cacheStatus);
+  res.status(200).json({
+    success: true,
+    message: 'Portfolio retrieved successfully',
+    data: {
+      positions,
+      totals: {
+        currency: baseCurrency,
+        positions: positions.length,
+        pricedPositions: priced.length,
+        unconvertedPositions: positions.length - converted.length,
+        totalCost: round(totalCost),
+        marketValue: round(marketValue),
+        unrealizedGain: round(unrealizedGain),
+        unrealizedGainPercent: pricedCost > 0 ? Math.round((unrealizedGain / pricedCost) * 10000) / 100 : null
+      }
+    }
+  });
+});
+
+// Get a single position
+export const getHolding = catchAsync(async (req, res, next) => {
+  const { quotes, cacheStatus } = await fetchQuotes([req.holding.symbol]);
+  const currency = (await getPositionCurrencies([req.holding], quotes)).get(req.holding.symbol);
+  const converter = await getBaseConverter(req.user.baseCurrency || DEFAULT_BASE_CURRENCY, [currency]);
+
+  res.set('X-Cache-Quotes', cacheStatus);
+  res.status(200).json({
+    success: true,
+    message: 'Position retrieved successfully',
+    data: {
+      position: toPosition(req.holding, quotes.get(req.holding.symbol), currency, converter)
+    }
+  });
+});
+
+// Record a buy lot, opening the position if needed.
+// The buy goes into the ledger, and the position is updated from there.
+export const addLot = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const symbol = canonicalSymbol(req.body.symbol);
+
+    // Positions are linked to the symbol's watchlist entry, in the user's own lists or one shared with them
+    const stock = await Stock.findAccessible(req.user.id, symbol);
+    if (!stock) {
+      return next(new AppError('Positions can only be opened on symbols in your watchlists or lists shared with you', 404));
+    }
+
+    const { transaction, holding } = await recordTransaction({
+      user: req.user.id,
+      stock: stock._id,
+      symbol,
+      type: 'buy',
+      quantity: req.body.quantity,
+      price: req.body.price,
+      fees: req.body.fees,
+      executedAt: req.body.purchasedAt || new Date(),
+      note: req.body.note
+    });
+
+    await recordAuditEvent(req, {
+      action: 'portfolio.lot_add',
+      target: { type: 'holding', id: holding._id, label: holding.symbol },
+      details: { lot: transaction._id, quantity: transaction.quantity, price: transaction.price }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lot added successfully',
+      data: {
+        holding: holding.toSafeObject(),
+        lot: formatLot(holding.lots.id(transaction._id))
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('Position was created concurrently, please retry', 409));
+    }
+    next(error);
+  }
+};
+
+// Edit a lot in a position
+export const updateLot = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const lot = req.holding.lots.id(req.params.lotId);
+    if (!lot) {
+      return next(new AppError('Lot not found in this position', 404));
+    }
+    if (lot.transaction) {
+      return next(ledgerLotError());
+    }
+
+    LOT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) lot[field] = req.body[field];
+    });
+
+    const fields = LOT_FIELDS.filter(field => lot.isModified(field));
+
+    await req.holding.save();
+
+    if (fields.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'portfolio.lot_update',
+        target: { type: 'holding', id: req.holding._id, label: req.holding.symbol },
+        details: { lot: lot._id, fields }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lot updated successfully',
+      data: {
+        holding: req.holding.toSafeObject(),
+        lot: formatLot(lot)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a lot; the position is closed when its last lot goes
+export const removeLot = catchAsync(async (req, res, next) => {
+  const lot = req.holding.lots.id(req.params.lotId);
+  if (!lot) {
+    return next(new AppError('Lot not found in this position', 404));
+  }
+  if (lot.transaction) {
+    return next(ledgerLotError());
+  }
+
+  lot.deleteOne();
+
+  const closed = req.holding.lots.length === 0;
+  if (closed) {
+    await req.holding.deleteOne();
+  } else {
+    await req.holding.save();
+  }
+
+  await recordAuditEvent(req, {
+    action: 'portfolio.lot_remove',
+    target: { type: 'holding', id: req.holding._id, label: req.holding.symbol },
+    details: { lot: lot._id, quantity: lot.quantity, closed }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: closed ? 'Lot removed and position closed' : 'Lot removed successfully',
+    data: {
+      holding: closed ? null : req.holding.toSafeObject(),
+      removedLot: { id: lot._id }
+    }
+  });
+});
+
+// Remove a position and all of its lots (positions recorded in the ledger close with a sale or transfer out)
+export const removeHolding = catchAsync(async (req, res, next) => {
+  if (req.holding.lots.some(lot => lot.transaction)) {
+    return next(new AppError('This position is recorded in the ledger; record a sale or transfer out to close it', 409));
+  }
+
+  await req.holding.deleteOne();
+
+  await recordAuditEvent(req, {
+    action: 'portfolio.holding_remove',
+    target: { type: 'holding', id: req.holding._id, label: req.holding.symbol },
+    details: { lots: req.holding.lots.length }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Position removed successfully',
+    data: {
+      removedHolding: {
+        id: req.holding._id,
+        symbol: req.holding.symbol,
+        lots: req.holding.lots.length
+      }
+    }
+  });
+});
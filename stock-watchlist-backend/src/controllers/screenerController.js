@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import Screen from '../models/Screen.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import {
+  runScreen,
+  validateScreenFilter,
+  validateScreenSort,
+  describeScreenerFields
+} from '../services/screener.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { body } from 'express-validator';
+
+const MAX_SCREENS_PER_USER = 50;
+
+// Turn a { isValid, message } helper into an express-validator check
+const checkWith = (validate) => (value) => {
+  const result = validate(value);
+  if (!result.isValid) throw new Error(result.message);
+  return true;
+};
+
+// Validation rules for paging through results
+const pageRules = [
+  body('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be between 1 and 1000')
+    .toInt(),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+// Validation rules shared by running and saving screens
+const screenRules = (isUpdate) => [
+  (isUpdate ? body('filter').optional() : body('filter'))
+    .custom(checkWith(validateScreenFilter)),
+
+  body('sort')
+    .optional()
+    .custom(checkWith(validateScreenSort))
+];
+
+// Validation rules for running an unsaved screen
+export const validateRunScreen = [...screenRules(false), ...pageRules];
+
+// Validation rules for running a saved screen
+export const validateRunSavedScreen = pageRules;
+
+// Validation rules for saving or updating a screen
+const savedScreenRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Screen name must be between 1 and 50 characters'),
+
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  ...screenRules(isUpdate)
+];
+
+export const validateCreateScreen = savedScreenRules(false);
+export const validateUpdateScreen = savedScreenRules(true);
+
+// Run a screen and send one page of results
+const sendScreenResults = async (res, { filter, sort = 'symbol', page = 1, limit = 20 }, extra = {}) => {
+  const { results, total, universeSize } = await runScreen({ filter, sort, page, limit });
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    message: 'Screen ran successfully',
+    data: {
+      ...extra,
+      sort,
+      results,
+      universeSize,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalResults: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    }
+  });
+};
+
+// Describe the fields and operators screens can use
+export const getScreenerFields = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Screener fields retrieved successfully',
+    data: describeScreenerFields()
+  });
+};
+
+// Run an unsaved screen
+export const runScreener = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+    await sendScreenResults(res, req.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load one of the authenticated user's saved screens into req.screen
+export const loadScreen = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Invalid screen id', 400));
+    }
+
+    const screen = await Screen.findOne({ _id: req.params.id, user: req.user.id });
+    if (!screen) {
+      return next(new AppError('Screen not found', 404));
+    }
+
+    req.screen = screen;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the user's saved screens
+export const getScreens = catchAsync(async (req, res, next) => {
+  const screens = await Screen.find({ user: req.user.id }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    message: 'Screens retrieved successfully',
+    data: {
+      screens: screens.map(screen => screen.toSafeObject())
+    }
+  });
+});
+
+// Save a screen under a name
+export const createScreen = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const count = await Screen.countDocuments({ user: req.user.id });
+    if (count >= MAX_SCREENS_PER_USER) {
+      return next(new AppError(`You can save at most ${MAX_SCREENS_PER_USER} screens`, 400));
+    }
+
+    const { name, description, filter, sort } = req.body;
+    const screen = await Screen.create({ user: req.user.id, name, description, filter, sort });
+
+    await recordAuditEvent(req, {
+      action: 'screen.create',
+      target: { type: 'screen', id: screen._id, label: screen.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Screen saved successfully',
+      data: {
+        screen: screen.toSafeObject()
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('You already have a screen with this name', 409));
+    }
+    next(error);
+  }
+};
+
+// Update a saved screen's name, description, filter or sort
+export const updateScreen = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const screen = req.screen;
+    const editable = ['name', 'description', 'filter', 'sort'];
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) screen[field] = req.body[field];
+    });
+    // Mixed paths are not change-tracked
+    if (req.body.filter !== undefined) screen.markModified('filter');
+
+    const fields = editable.filter(field => screen.isModified(field));
+
+    await screen.save();
+
+    if (fields.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'screen.update',
+        target: { type: 'screen', id: screen._id, label: screen.name },
+        details: { fields }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Screen updated successfully',
+      data: {
+        screen: screen.toSafeObject()
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('You already have a screen with this name', 409));
+    }
+    next(error);
+  }
+};
+
+// Delete a saved screen
+export const deleteScreen = catchAsync(async (req, res, next) => {
+  await req.screen.deleteOne();
+
+  await recordAuditEvent(req, {
+    action: 'screen.delete',
+    target: { type: 'screen', id: req.screen._id, label: req.screen.name }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Screen deleted successfully',
+    data: {
+      removedScreen: {
+        id: req.screen._id,
+        name: req.screen.name
+      }
+    }
+  });
+});
+
+// Run a saved screen
+export const runSavedScreen = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const screen = req.screen;
+    screen.lastRunAt = new Date();
+    await screen.save();
+
+    await sendScreenResults(res, {
+      filter: screen.filter,
+      sort: screen.sort,
+      page: req.body.page,
+      limit: req.body.limit
+    }, { screen: screen.toSafeObject() });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import ShareLink from '../models/ShareLink.js';
+import Watchlist from '../models/Watchlist.js';
+import Stock from '../models/Stock.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { body } from 'express-validator';
+
+const MAX_ACTIVE_LINKS_PER_WATCHLIST = 20;
+
+// Validation rules for creating a share link
+export const validateCreateShareLink = [
+  body('label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Label cannot exceed 50 characters'),
+
+  body('includeNotes')
+    .optional()
+    .isBoolean()
+    .withMessage('includeNotes must be a boolean')
+    .toBoolean(),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+    .toDate()
+    .custom(date => date > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
+// List the share links of a watchlist
+export const getShareLinks = catchAsync(async (req, res, next) => {
+  const shareLinks = await ShareLink.find({ watchlist: req.watchlist._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: 'Share links retrieved successfully',
+    data: {
+      shareLinks: shareLinks.map(shareLink => shareLink.toSafeObject())
+    }
+  });
+});
+
+// Create a read-only share link for a watchlist.
+// The token is returned only in this response.
+export const createShareLink = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const activeLinks = await ShareLink.countDocuments({
+      watchlist: req.watchlist._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeLinks >= MAX_ACTIVE_LINKS_PER_WATCHLIST) {
+      return next(new AppError(`A watchlist can have at most ${MAX_ACTIVE_LINKS_PER_WATCHLIST} active share links`, 400));
+    }
+
+    const { shareLink, token } = await ShareLink.generate({
+      watchlist: req.watchlist._id,
+      user: req.user.id,
+      label: req.body.label,
+      includeNotes: req.body.includeNotes,
+      expiresAt: req.body.expiresAt || null
+    });
+
+    await recordAuditEvent(req, {
+      action: 'share_link.create',
+      user: req.watchlist.user,
+      target: { type: 'share_link', id: shareLink._id, label: shareLink.label },
+      watchlist: req.watchlist._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: {
+        shareLink: shareLink.toSafeObject(),
+        token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a share link; it stops working immediately
+export const revokeShareLink = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.shareId)) {
+    return next(new AppError('Invalid share link id', 400));
+  }
+
+  const shareLink = await ShareLink.findOne({ _id: req.params.shareId, watchlist: req.watchlist._id });
+  if (!shareLink) {
+    return next(new AppError('Share link not found', 404));
+  }
+
+  if (!shareLink.revokedAt) {
+    shareLink.revokedAt = new Date();
+    await shareLink.save();
+
+    await recordAuditEvent(req, {
+      action: 'share_link.revoke',
+      user: req.watchlist.user,
+      target: { type: 'share_link', id: shareLink._id, label: shareLink.label },
+      watchlist: req.watchlist._id
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Share link revoked successfully',
+    data: {
+      shareLink: shareLink.toSafeObject()
+    }
+  });
+});
+
+// Public, read-only view of a shared watchlist.
+// Only list details, symbols, names and (if the owner allowed it) notes are exposed.
+export const getSharedWatchlist = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+
+  // Unknown, revoked and expired links all look the same to the caller
+  const notFound = () => next(new AppError('Share link not found or no longer active', 404));
+
+  if (!/^[A-Za-z0-9_-]{20,100}$/.test(token)) {
+    return notFound();
+  }
+
+  const shareLink = await ShareLink.findActiveByToken(token);
+  if (!shareLink) {
+    return notFound();
+  }
+
+  const watchlist = await Watchlist.findById(shareLink.watchlist);
+  if (!watchlist) {
+    return notFound();
+  }
+
+  const stocks = await Stock.find({ watchlist: watchlist._id })
+    .select(shareLink.includeNotes ? 'symbol name notes' : 'symbol name')
+    .sort(watchlist.getStockSort())
+    .lean();
+
+  await ShareLink.updateOne(
+    { _id: shareLink._id },
+    { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Shared watchlist retrieved successfully',
+    data: {
+      watchlist: {
+        name: watchlist.name,
+        description: watchlist.description,
+        color: watchlist.color
+      },
+      stocks: stocks.map(stock => ({
+        symbol: stock.symbol,
+        name: stock.name,
+        ...(shareLink.includeNotes && { notes: stock.notes })
+      })),
+      totalStocks: stocks.length,
+      expiresAt: shareLink.expiresAt,
+      // Signed-in owners get a hint to open their own copy instead
+      viewer: {
+        isOwner: Boolean(req.user && watchlist.user.equals(req.user._id))
+      }
+    }
+  });
+});
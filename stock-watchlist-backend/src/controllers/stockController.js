@@ -1,8 +1,36 @@
 import Stock from '../models/Stock.js';
+import Watchlist from '../models/Watchlist.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
-import axios from 'axios';
+import { rejectInvalidRequest, DEFAULT_INDICATOR_RANGE } from '../middleware/validation.js';
+import { getMarketDataProvider } from '../services/marketData/index.js';
+import { attachQuotes } from '../services/quoteService.js';
+import { attachMarketStates } from '../services/marketCalendar.js';
+import { attachConvertedQuotes, DEFAULT_BASE_CURRENCY } from '../services/fx.js';
+import { getCache, getCacheTtl } from '../services/cache.js';
+import { searchCatalog, getSearchSource, getInstrumentCurrencies } from '../services/instrumentCatalog.js';
+import { resolveHistoryParams, HISTORY_INTERVALS } from '../services/marketData/historyPresets.js';
+import { resolveIndicatorParams, computeIndicators } from '../services/indicators.js';
+import { normalizeStockInput, classifyStockEntries, validateStockSymbol, parseSymbol, toProviderSymbol, canonicalSymbol, symbolSpellings } from '../utils/validators.js';
+import { withOptionalTransaction } from '../utils/database.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { body } from 'express-validator';
 
-// Get all stocks in user's watchlist
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stocks added before their currency was known take it from their first quote
+const backfillCurrencies = async (items) => {
+  const missing = items.filter(item => !item.currency && item.quote?.currency);
+  if (missing.length === 0) return items;
+
+  await Stock.bulkWrite(missing.map(item => ({
+    updateOne: { filter: { _id: item.id, currency: null }, update: { currency: item.quote.currency } }
+  })));
+
+  return items.map(item => (missing.includes(item) ? { ...item, currency: item.quote.currency } : item));
+};
+
+// Get all stocks in one of the user's watchlists
 export const getAllStocks = catchAsync(async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 50;
@@ -13,26 +41,117 @@ export const getAllStocks = catchAsync(async (req, res, next) => {
     return next(new AppError('Limit cannot exceed 100', 400));
   }
 
-  // Get stocks for the authenticated user only
-  const stocks = await Stock.find({ user: req.user.id })
-    .sort({ addedAt: -1 })
+  // Get stocks in the resolved watchlist (always owned by the authenticated user)
+  const filter = { watchlist: req.watchlist._id };
+
+  // ?tag=growth or ?tag=growth,dividend (stocks must carry every listed tag)
+  if (req.query.tag) {
+    const tags = [].concat(req.query.tag)
+      .flatMap(tag => String(tag).split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (tags.length > 0) {
+      filter.tags = { $all: tags };
+    }
+  }
+
+  // Prefix and text filters (query params have already been checked by validateQueryParams)
+  const { q, symbolPrefix, namePrefix, addedFrom, addedTo, sort, fields } = req.query;
+
+  if (symbolPrefix) {
+    filter.symbol = { $regex: `^${escapeRegex(symbolPrefix.trim().toUpperCase())}` };
+  }
+  if (namePrefix) {
+    filter.name = { $regex: `^${escapeRegex(namePrefix.trim())}`, $options: 'i' };
+  }
+  if (q) {
+    const pattern = escapeRegex(q.trim());
+    filter.$or = [
+      { symbol: { $regex: pattern, $options: 'i' } },
+      { name: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+  if (addedFrom || addedTo) {
+    filter.addedAt = {};
+    if (addedFrom) filter.addedAt.$gte = new Date(addedFrom);
+    if (addedTo) filter.addedAt.$lte = new Date(addedTo);
+  }
+
+  // ?sort=name or ?sort=-addedAt (default: the list's manual order, or newest first).
+  // Pages are cut from the same sort, so paging follows the manual order too.
+  const sortField = sort ? sort.replace(/^-/, '') : null;
+  const sortDirection = sort?.startsWith('-') ? -1 : 1;
+  const sortSpec = sortField
+    ? { [sortField]: sortDirection, ...(sortField === 'position' && { addedAt: -1 }), _id: sortDirection }
+    : req.watchlist.getStockSort();
+
+  let query = Stock.find(filter)
+    .sort(sortSpec)
     .skip(skip)
-    .limit(limit)
-    .lean();
+    .limit(limit);
+
+  // Names sort case-insensitively
+  if (sortField === 'name') {
+    query = query.collation({ locale: 'en', strength: 2 });
+  }
+
+  const stocks = await query.lean();
+
+  const total = await Stock.countDocuments(filter);
+
+  // ?fields=symbol,name,quote limits each item to those fields (id is always included)
+  const selectedFields = fields
+    ? new Set(['id', ...fields.split(',').map(field => field.trim()).filter(Boolean)])
+    : null;
+  const wantsQuotes = !selectedFields || selectedFields.has('quote') || selectedFields.has('quoteStatus');
+
+  const items = stocks.map(stock => ({
+    id: stock._id,
+    symbol: stock.symbol,
+    name: stock.name,
+    notes: stock.notes,
+    tags: stock.tags,
+    targetBuyPrice: stock.targetBuyPrice,
+    targetSellPrice: stock.targetSellPrice,
+    conviction: stock.conviction,
+    currency: stock.currency,
+    previousSymbols: stock.previousSymbols || [],
+    delisted: Boolean(stock.delistedAt),
+    delistedAt: stock.delistedAt || null,
+    position: stock.position,
+    addedAt: stock.addedAt,
+    lastUpdated: stock.lastUpdated
+  }));
+
+  // Enrich the current page with live quotes in one batch (skipped when not requested),
+  // converted into the user's base currency
+  const baseCurrency = req.user.baseCurrency || DEFAULT_BASE_CURRENCY;
+  let enrichedStocks = items;
+  if (wantsQuotes) {
+    const enriched = await attachQuotes(items);
+    enrichedStocks = await backfillCurrencies(await attachConvertedQuotes(enriched.items, baseCurrency));
+    res.set('X-Cache-Quotes', enriched.cacheStatus);
+  }
+
+  // Tag each item with its exchange's state (pre, regular, post or closed)
+  if (!selectedFields || selectedFields.has('market')) {
+    enrichedStocks = await attachMarketStates(enrichedStocks);
+  }
 
-  const total = await Stock.countDocuments({ user: req.user.id });
+  if (selectedFields) {
+    enrichedStocks = enrichedStocks.map(stock => Object.fromEntries(
+      Object.entries(stock).filter(([field]) => selectedFields.has(field))
+    ));
+  }
 
   res.status(200).json({
     success: true,
     message: 'Stocks retrieved successfully',
     data: {
-      stocks: stocks.map(stock => ({
-        id: stock._id,
-        symbol: stock.symbol,
-        name: stock.name,
-        addedAt: stock.addedAt,
-        lastUpdated: stock.lastUpdated
-      })),
+      watchlist: req.watchlist.toSafeObject(req.user.id),
+      baseCurrency,
+      stocks: enrichedStocks,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -44,37 +163,134 @@ export const getAllStocks = catchAsync(async (req, res, next) => {
   });
 });
 
-// Add a new stock to user's watchlist
+// Get OHLCV price history for a symbol
+export const getStockHistory = catchAsync(async (req, res, next) => {
+  const symbol = canonicalSymbol(req.params.symbol);
+
+  // Query params have already been checked by validateHistoryParams
+  const { range, interval } = resolveHistoryParams(req.query.range, req.query.interval);
+
+  const provider = getMarketDataProvider();
+  const { value: history, status: cacheStatus } = await getCache().wrap(
+    `history:${provider.name}:${symbol}:${range}:${interval}`,
+    getCacheTtl('history'),
+    () => provider.getHistory(symbol, { range, interval })
+  );
+
+  res.set('X-Cache', cacheStatus);
+
+  res.status(200).json({
+    success: true,
+    message: 'Price history retrieved successfully',
+    data: {
+      symbol: history.symbol,
+      range,
+      interval,
+      currency: history.currency,
+      timezone: {
+        name: history.timezone,
+        gmtOffset: history.gmtOffset
+      },
+      candles: history.candles,
+      totalCandles: history.candles.length
+    }
+  });
+});
+
+// Round every number in an indicator result (series and parameters alike) to keep responses small
+const roundIndicatorValues = (value) => {
+  if (Array.isArray(value)) return value.map(roundIndicatorValues);
+  if (typeof value === 'number') return Math.round(value * 10000) / 10000;
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, roundIndicatorValues(entry)]));
+  }
+  return value;
+};
+
+// Get technical indicator series for a symbol, computed from its price history.
+// Series line up with the returned timestamps; null marks each indicator's warm-up period.
+export const getStockIndicators = catchAsync(async (req, res, next) => {
+  const symbol = canonicalSymbol(req.params.symbol);
+
+  // Query params have already been checked by validateIndicatorParams
+  const { range, interval } = resolveHistoryParams(req.query.range || DEFAULT_INDICATOR_RANGE, req.query.interval);
+  const { indicators } = resolveIndicatorParams(req.query);
+
+  const provider = getMarketDataProvider();
+  const { value: history, status: cacheStatus } = await getCache().wrap(
+    `history:${provider.name}:${symbol}:${range}:${interval}`,
+    getCacheTtl('history'),
+    () => provider.getHistory(symbol, { range, interval })
+  );
+
+  // Candles with missing prices (e.g. halted sessions) would poison every running average
+  const candles = history.candles.filter(candle =>
+    [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite)
+  );
+
+  // Intraday VWAP restarts every session
+  const resetVwapDaily = HISTORY_INTERVALS[interval].durationMs < HISTORY_INTERVALS['1d'].durationMs;
+
+  res.set('X-Cache', cacheStatus);
+
+  res.status(200).json({
+    success: true,
+    message: 'Indicators calculated successfully',
+    data: {
+      symbol: history.symbol,
+      range,
+      interval,
+      currency: history.currency,
+      timestamps: candles.map(candle => candle.timestamp),
+      close: candles.map(candle => candle.close),
+      indicators: roundIndicatorValues(computeIndicators(candles, indicators, { resetVwapDaily })),
+      totalCandles: candles.length
+    }
+  });
+});
+
+// Add a new stock to one of the user's watchlists
 export const addStock = async (req, res, next) => {
   try {
-    const { symbol, name } = req.body;
+    const { symbol: inputSymbol, name: normalizedName } = normalizeStockInput(req.body);
 
     // Validate required fields
-    if (!symbol) {
-      return next(new AppError('Stock symbol is required', 400));
+    const symbolValidation = validateStockSymbol(inputSymbol);
+    if (!symbolValidation.isValid) {
+      return next(new AppError(symbolValidation.message, 400));
     }
+    const normalizedSymbol = symbolValidation.symbol;
 
-    const normalizedSymbol = symbol.toUpperCase().trim();
-
-    // Check if stock already exists in user's watchlist
+    // Check if stock already exists in the target watchlist (under this or a former ticker)
     const existingStock = await Stock.findOne({ 
-      symbol: normalizedSymbol, 
-      user: req.user.id 
+      ...Stock.symbolFilter(normalizedSymbol), 
+      watchlist: req.watchlist._id 
     });
     
     if (existingStock) {
       return next(new AppError('Stock already exists in your watchlist', 409));
     }
 
-    // Create new stock
+    // Create new stock at the bottom of the list's manual order
     const newStock = new Stock({
       symbol: normalizedSymbol,
-      name: name?.trim() || '',
-      user: req.user.id
+      name: normalizedName,
+      user: req.watchlist.user,
+      addedBy: req.user.id,
+      watchlist: req.watchlist._id,
+      currency: (await getInstrumentCurrencies([normalizedSymbol])).get(normalizedSymbol) || null,
+      position: await Stock.nextPosition(req.watchlist._id)
     });
 
     await newStock.save();
 
+    await recordAuditEvent(req, {
+      action: 'stock.add',
+      user: req.watchlist.user,
+      target: { type: 'stock', id: newStock._id, label: newStock.symbol },
+      watchlist: req.watchlist._id
+    });
+
     res.status(201).json({
       success: true,
       message: 'Stock added to watchlist successfully',
@@ -90,30 +306,345 @@ export const addStock = async (req, res, next) => {
   }
 };
 
-// Remove a stock from user's watchlist
-export const removeStock = async (req, res, next) => {
+// Modes for bulk operations
+const BULK_MODES = ['best-effort', 'atomic'];
+const MAX_BULK_SYMBOLS = 100;
+
+// Validation rules for bulk add/remove requests
+export const validateBulkRequest = [
+  body('symbols')
+    .isArray({ min: 1, max: MAX_BULK_SYMBOLS })
+    .withMessage(`Symbols must be an array of 1 to ${MAX_BULK_SYMBOLS} entries`),
+
+  body('mode')
+    .optional()
+    .isIn(BULK_MODES)
+    .withMessage(`Mode must be one of: ${BULK_MODES.join(', ')}`)
+];
+
+// Summarize per-symbol results by status
+const summarizeBulkResults = (results) => results.reduce((summary, result) => {
+  summary[result.status] = (summary[result.status] || 0) + 1;
+  return summary;
+}, {});
+
+// Send a bulk response; atomic requests with any failure are rejected as a whole
+const sendBulkResponse = (res, { results, mode, applied, message, transactional }) => {
+  const statusCode = applied ? 200 : 409;
+
+  res.status(statusCode).json({
+    success: applied,
+    message: applied ? message : 'No changes were made because some symbols failed (atomic mode)',
+    data: {
+      mode,
+      applied,
+      transactional,
+      results,
+      summary: summarizeBulkResults(results)
+    }
+  });
+};
+
+// Add many stocks to one of the user's watchlists
+export const bulkAddStocks = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const mode = req.body.mode || 'best-effort';
+    const results = classifyStockEntries(req.body.symbols);
+    const candidates = results.filter(result => result.status === null);
+
+    // Symbols already in the list are duplicates
+    const existing = await Stock.find({
+      watchlist: req.watchlist._id,
+      symbol: { $in: candidates.flatMap(result => symbolSpellings(result.symbol)) }
+    }).select('symbol').lean();
+    const existingSymbols = new Set(existing.map(stock => canonicalSymbol(stock.symbol)));
+
+    candidates.forEach(result => {
+      if (existingSymbols.has(result.symbol)) {
+        result.status = 'duplicate';
+        result.message = 'Stock already exists in your watchlist';
+      }
+    });
+
+    const toInsert = results.filter(result => result.status === null);
+    const hasFailures = toInsert.length !== results.length;
+
+    if (mode === 'atomic' && hasFailures) {
+      results.forEach(result => {
+        if (result.status === null) result.status = 'skipped';
+        delete result.name;
+      });
+      return sendBulkResponse(res, { results, mode, applied: false, transactional: false });
+    }
+
+    const firstPosition = await Stock.nextPosition(req.watchlist._id);
+    const currencies = await getInstrumentCurrencies(toInsert.map(result => result.symbol));
+    const docs = toInsert.map((result, index) => new Stock({
+      symbol: result.symbol,
+      name: result.name,
+      user: req.watchlist.user,
+      addedBy: req.user.id,
+      watchlist: req.watchlist._id,
+      currency: currencies.get(result.symbol) || null,
+      position: firstPosition + index
+    }));
+
+    let transactional = false;
+
+    if (mode === 'atomic') {
+      // All-or-nothing: one transaction where supported, compensating delete otherwise
+      ({ transactional } = await withOptionalTransaction(async (session) => {
+        try {
+          await Stock.insertMany(docs, { session, ordered: true });
+        } catch (error) {
+          if (!session) {
+            await Stock.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+          }
+          throw error;
+        }
+      }));
+      toInsert.forEach(result => { result.status = 'added'; });
+    } else {
+      // Best effort: each symbol succeeds or fails on its own
+      try {
+        await Stock.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // Only duplicate-key races are expected here; anything else is a real failure
+        if (!error.writeErrors && error.code !== 11000) throw error;
+      }
+
+      const inserted = await Stock.find({ _id: { $in: docs.map(doc => doc._id) } }).select('_id').lean();
+      const insertedIds = new Set(inserted.map(doc => doc._id.toString()));
+
+      toInsert.forEach((result, index) => {
+        if (insertedIds.has(docs[index]._id.toString())) {
+          result.status = 'added';
+        } else {
+          result.status = 'duplicate';
+          result.message = 'Stock already exists in your watchlist';
+        }
+      });
+    }
+
+    const stocksById = new Map(docs.map(doc => [doc.symbol, doc]));
+    results.forEach(result => {
+      if (result.status === 'added') {
+        result.stock = stocksById.get(result.symbol).toSafeObject();
+      }
+      delete result.name;
+    });
+
+    const added = results.filter(result => result.status === 'added').map(result => result.symbol);
+    if (added.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'stock.bulk_add',
+        user: req.watchlist.user,
+        target: { type: 'watchlist', id: req.watchlist._id, label: req.watchlist.name },
+        watchlist: req.watchlist._id,
+        details: { symbols: added }
+      });
+    }
+
+    sendBulkResponse(res, {
+      results,
+      mode,
+      applied: true,
+      message: 'Bulk add completed',
+      transactional
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('Some stocks were added concurrently; no changes were made', 409));
+    }
+    next(error);
+  }
+};
+
+// Remove many stocks from one of the user's watchlists
+export const bulkRemoveStocks = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const mode = req.body.mode || 'best-effort';
+    const results = classifyStockEntries(req.body.symbols);
+    const candidates = results.filter(result => result.status === null);
+
+    const existing = await Stock.find({
+      watchlist: req.watchlist._id,
+      symbol: { $in: candidates.flatMap(result => symbolSpellings(result.symbol)) }
+    }).select('symbol').lean();
+    const existingSymbols = new Set(existing.map(stock => canonicalSymbol(stock.symbol)));
+
+    candidates.forEach(result => {
+      if (!existingSymbols.has(result.symbol)) {
+        result.status = 'not_found';
+        result.message = 'Stock not found in your watchlist';
+      }
+    });
+
+    results.forEach(result => { delete result.name; });
+
+    const toRemove = results.filter(result => result.status === null);
+    // A repeated symbol is only removed once; that's not worth failing an atomic request over
+    const hasFailures = results.some(result => ['invalid', 'not_found'].includes(result.status));
+
+    if (mode === 'atomic' && hasFailures) {
+      toRemove.forEach(result => { result.status = 'skipped'; });
+      return sendBulkResponse(res, { results, mode, applied: false, transactional: false });
+    }
+
+    const { transactional } = await withOptionalTransaction(session => Stock.deleteMany({
+      watchlist: req.watchlist._id,
+      symbol: { $in: toRemove.flatMap(result => symbolSpellings(result.symbol)) }
+    }, { session }));
+
+    toRemove.forEach(result => { result.status = 'removed'; });
+
+    if (toRemove.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'stock.bulk_remove',
+        user: req.watchlist.user,
+        target: { type: 'watchlist', id: req.watchlist._id, label: req.watchlist.name },
+        watchlist: req.watchlist._id,
+        details: { symbols: [...new Set(toRemove.map(result => result.symbol))] }
+      });
+    }
+
+    sendBulkResponse(res, {
+      results,
+      mode,
+      applied: true,
+      message: 'Bulk remove completed',
+      transactional
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Validation rules for updating a watchlist item (null clears a target or rating)
+export const validateUpdateStock = [
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string')
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 entries'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+
+  body('targetBuyPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Buy target must be a non-negative number')
+    .toFloat(),
+
+  body('targetSellPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Sell target must be a non-negative number')
+    .toFloat(),
+
+  body('conviction')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Conviction must be an integer between 1 and 5')
+    .toInt()
+];
+
+// Update notes, tags, targets and conviction on a watchlist item
+export const updateStock = async (req, res, next) => {
   try {
-    const { symbol } = req.params;
+    if (rejectInvalidRequest(req, next)) return;
+
+    const normalizedSymbol = canonicalSymbol(req.params.symbol);
+
+    const stock = await Stock.findOne({
+      ...Stock.symbolFilter(normalizedSymbol),
+      watchlist: req.watchlist._id
+    });
+
+    if (!stock) {
+      return next(new AppError('Stock not found in your watchlist', 404));
+    }
+
+    const { notes, tags, targetBuyPrice, targetSellPrice, conviction } = req.body;
+
+    if (notes !== undefined) stock.notes = notes;
+    if (tags !== undefined) stock.tags = [...new Set(tags.map(tag => tag.toLowerCase()))];
+    if (targetBuyPrice !== undefined) stock.targetBuyPrice = targetBuyPrice;
+    if (targetSellPrice !== undefined) stock.targetSellPrice = targetSellPrice;
+    if (conviction !== undefined) stock.conviction = conviction;
 
-    const normalizedSymbol = symbol.toUpperCase().trim();
+    const fields = ['notes', 'tags', 'targetBuyPrice', 'targetSellPrice', 'conviction']
+      .filter(field => stock.isModified(field));
+
+    await stock.save();
+
+    if (fields.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'stock.update',
+        user: req.watchlist.user,
+        target: { type: 'stock', id: stock._id, label: stock.symbol },
+        watchlist: req.watchlist._id,
+        details: { fields }
+      });
+    }
 
-    // Delete stock from user's watchlist only
+    res.status(200).json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: {
+        stock: stock.toSafeObject()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a stock from one of the user's watchlists
+export const removeStock = async (req, res, next) => {
+  try {
+    const normalizedSymbol = canonicalSymbol(req.params.symbol);
+
+    // Delete stock from the target watchlist only (former tickers still find it)
     const deletedStock = await Stock.findOneAndDelete({ 
-      symbol: normalizedSymbol, 
-      user: req.user.id 
+      ...Stock.symbolFilter(normalizedSymbol), 
+      watchlist: req.watchlist._id 
     });
     
     if (!deletedStock) {
       return next(new AppError('Stock not found in your watchlist', 404));
     }
 
+    await recordAuditEvent(req, {
+      action: 'stock.remove',
+      user: req.watchlist.user,
+      target: { type: 'stock', id: deletedStock._id, label: deletedStock.symbol },
+      watchlist: req.watchlist._id
+    });
+
     res.status(200).json({
       success: true,
       message: 'Stock removed from watchlist successfully',
       data: {
         removedStock: {
           symbol: deletedStock.symbol,
-          name: deletedStock.name
+          name: deletedStock.name,
+          watchlist: deletedStock.watchlist
         }
       }
     });
@@ -122,7 +653,7 @@ export const removeStock = async (req, res, next) => {
   }
 };
 
-// Search stocks using Yahoo Finance API
+// Search stocks in the local instrument catalog and/or the configured market-data provider (SEARCH_SOURCE)
 export const searchStocks = async (req, res, next) => {
   try {
     const { q } = req.query;
@@ -137,46 +668,65 @@ export const searchStocks = async (req, res, next) => {
       return next(new AppError('Search query must be between 1 and 50 characters', 400));
     }
 
-    // Sanitize query to prevent any malicious input
-    const sanitizedQuery = query.replace(/[^a-zA-Z0-9\s]/g, '');
+    // Sanitize query to prevent any malicious input (keeping ticker punctuation: BRK.B, ^GSPC, BTC-USD, EURUSD=X)
+    const sanitizedQuery = query.replace(/[^a-zA-Z0-9\s.^=-]/g, '');
     if (sanitizedQuery.length === 0) {
       return next(new AppError('Invalid search query', 400));
     }
 
-    const options = {
-      method: 'GET',
-      url: 'https://apidojo-yahoo-finance-v1.p.rapidapi.com/auto-complete',
-      params: {
-        region: 'US',
-        q: sanitizedQuery
-      },
-      headers: {
-        'x-rapidapi-host': 'apidojo-yahoo-finance-v1.p.rapidapi.com',
-        'x-rapidapi-key': process.env.RAPIDAPI_KEY
-      },
-      timeout: 10000 // 10 second timeout
-    };
+    // A query that is itself a ticker is searched in the provider's spelling (BRK.B -> BRK-B)
+    const parsedQuery = parseSymbol(sanitizedQuery);
+    const providerQuery = parsedQuery.isValid ? toProviderSymbol(parsedQuery) : sanitizedQuery;
 
-    // Check if API key is configured
-    if (!process.env.RAPIDAPI_KEY) {
-      return next(new AppError('External API service not configured', 500));
+    const source = getSearchSource();
+    const provider = getMarketDataProvider();
+    const useCatalog = source !== 'provider';
+    const useProvider = source === 'provider' || (source === 'merged' && provider.isConfigured());
+
+    // Search the local catalog and the provider side by side; either one may fail on its own
+    const [catalogOutcome, providerOutcome] = await Promise.allSettled([
+      useCatalog ? searchCatalog(sanitizedQuery) : [],
+      useProvider
+        ? getCache().wrap(
+          `search:${provider.name}:${providerQuery.toLowerCase()}`,
+          getCacheTtl('search'),
+          () => provider.search(providerQuery)
+        )
+        : null
+    ]);
+
+    if (catalogOutcome.status === 'rejected') {
+      console.error('Catalog search error:', catalogOutcome.reason.message);
     }
+    const catalogResults = catalogOutcome.status === 'fulfilled' ? catalogOutcome.value : [];
 
-    const response = await axios.request(options);
-    
-    // Extract relevant data from the response
-    const results = response.data?.quotes || [];
-    
-    // Filter and format the results
-    const formattedResults = results
-      .filter(stock => stock.symbol && stock.shortname)
-      .slice(0, 20) // Limit to top 20 results
-      .map(stock => ({
-        symbol: stock.symbol,
-        name: stock.shortname || stock.longname || '',
-        exchange: stock.exchange || '',
-        type: stock.quoteType || ''
-      }));
+    // Fall back to the catalog when the provider fails, unless there is nothing to fall back to
+    if (providerOutcome.status === 'rejected') {
+      if (catalogResults.length === 0) throw providerOutcome.reason;
+      console.error('Provider search error:', providerOutcome.reason.message);
+    }
+    const providerSearch = providerOutcome.status === 'fulfilled' ? providerOutcome.value : null;
+    const providerResults = (providerSearch?.value || []).map(result => ({ ...result, source: 'provider' }));
+
+    // Catalog matches first; provider results fill in symbols the catalog doesn't know
+    const seen = new Set();
+    const merged = [...catalogResults, ...providerResults].filter(result => {
+      const parsed = parseSymbol(result.symbol);
+      const key = parsed.isValid ? toProviderSymbol(parsed) : result.symbol;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    // Limit to top 20 results, each with its parsed symbol parts (null when it can't be added)
+    const formattedResults = merged.slice(0, 20).map(result => {
+      const { isValid, parts } = validateStockSymbol(result.symbol);
+      return { ...result, symbolParts: isValid ? parts : null };
+    });
+
+    if (providerSearch) {
+      res.set('X-Cache', providerSearch.status);
+    }
 
     res.status(200).json({
       success: true,
@@ -184,33 +734,143 @@ export const searchStocks = async (req, res, next) => {
       data: {
         query: sanitizedQuery,
         results: formattedResults,
-        totalResults: formattedResults.length
+        totalResults: formattedResults.length,
+        sources: {
+          catalog: catalogResults.length,
+          provider: providerResults.length
+        }
       }
     });
 
   } catch (error) {
-    // Handle different types of errors
-    if (error.code === 'ECONNABORTED') {
-      return next(new AppError('External API request timeout', 504));
+    // Providers report upstream failures as operational errors
+    if (error.isOperational) {
+      return next(error);
     }
-    
-    if (error.response) {
-      // API responded with error status
-      const status = error.response.status;
-      if (status === 429) {
-        return next(new AppError('API rate limit exceeded. Please try again later', 429));
-      } else if (status === 401 || status === 403) {
-        return next(new AppError('External API authentication failed', 502));
-      } else {
-        return next(new AppError('External API service unavailable', 502));
-      }
-    } else if (error.request) {
-      // Network error
-      return next(new AppError('Unable to reach external API service', 503));
-    }
-    
+
     // Log the error for debugging (don't expose sensitive info)
     console.error('Stock search error:', error.message);
     next(new AppError('Stock search failed', 500));
   }
-};
\ No newline at end of file
+};
+
+const MAX_REORDER_SYMBOLS = 1000;
+
+// Validation rules for reordering a watchlist: either the full new order
+// ({ symbols, orderVersion }) or a single move ({ symbol, index, orderVersion })
+export const validateReorderStocks = [
+  body('orderVersion')
+    .isInt({ min: 0 })
+    .withMessage('orderVersion must be the non-negative integer returned with the list')
+    .toInt(),
+
+  body('symbols')
+    .optional()
+    .isArray({ min: 1, max: MAX_REORDER_SYMBOLS })
+    .withMessage(`Symbols must be an array of 1 to ${MAX_REORDER_SYMBOLS} entries`),
+
+  body('symbol')
+    .optional()
+    .isString()
+    .withMessage('Symbol must be a string'),
+
+  body('index')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Index must be a non-negative integer')
+    .toInt(),
+
+  body()
+    .custom(value => (value.symbols !== undefined) !== (value.symbol !== undefined && value.index !== undefined))
+    .withMessage('Send either symbols (the full order) or symbol and index (a single move)')
+];
+
+// Reorder the stocks in a watchlist.
+// Reorders are optimistic: the request names the orderVersion it was based on, and a
+// reorder based on an older version (another reorder won the race) is rejected with 409.
+export const reorderStocks = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const { orderVersion } = req.body;
+    const conflict = () => new AppError('The watchlist order changed since it was loaded; reload it and try again', 409);
+
+    if (orderVersion !== req.watchlist.orderVersion) {
+      return next(conflict());
+    }
+
+    const current = await Stock.find({ watchlist: req.watchlist._id })
+      .sort(req.watchlist.getStockSort())
+      .select('symbol')
+      .lean();
+    // Compared in canonical form, so entries saved as BRK.B match BRK-B and the other way round
+    const currentSymbols = current.map(stock => canonicalSymbol(stock.symbol));
+    const idBySymbol = new Map(current.map((stock, index) => [currentSymbols[index], stock._id]));
+
+    let order;
+    let moved = null;
+    if (req.body.symbols) {
+      order = req.body.symbols.map(symbol => canonicalSymbol(String(symbol)));
+
+      if (new Set(order).size !== order.length) {
+        return next(new AppError('Symbols must not repeat', 400));
+      }
+
+      // The new order must name exactly the stocks in the list; anything else means it changed meanwhile
+      const currentSet = new Set(currentSymbols);
+      if (order.length !== currentSymbols.length || !order.every(symbol => currentSet.has(symbol))) {
+        return next(conflict());
+      }
+    } else {
+      const symbol = canonicalSymbol(req.body.symbol);
+      moved = symbol;
+      const from = currentSymbols.indexOf(symbol);
+      if (from === -1) {
+        return next(new AppError('Stock not found in watchlist', 404));
+      }
+
+      order = [...currentSymbols];
+      order.splice(from, 1);
+      order.splice(Math.min(req.body.index, order.length), 0, symbol);
+    }
+
+    const { result: watchlist } = await withOptionalTransaction(async (session) => {
+      // Claim the next version; fails when another reorder got there first.
+      // Lists saved before manual ordering existed have no orderVersion yet.
+      const claimed = await Watchlist.findOneAndUpdate(
+        { _id: req.watchlist._id, orderVersion: orderVersion === 0 ? { $in: [0, null] } : orderVersion },
+        { $inc: { orderVersion: 1 } },
+        { new: true, session }
+      );
+      if (!claimed) throw conflict();
+
+      await Stock.bulkWrite(order.map((symbol, position) => ({
+        updateOne: {
+          filter: { _id: idBySymbol.get(symbol) },
+          update: { $set: { position } }
+        }
+      })), { session });
+
+      return claimed;
+    });
+
+    await recordAuditEvent(req, {
+      action: 'stock.reorder',
+      user: req.watchlist.user,
+      target: { type: 'watchlist', id: req.watchlist._id, label: req.watchlist.name },
+      watchlist: req.watchlist._id,
+      details: moved ? { symbols: [moved] } : null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Watchlist reordered successfully',
+      data: {
+        orderVersion: watchlist.orderVersion,
+        symbols: order
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
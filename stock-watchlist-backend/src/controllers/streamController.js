@@ -0,0 +1,129 @@
+import Stock from '../models/Stock.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { getQuoteStream, getQuoteStreamConfig } from '../services/quoteStream.js';
+import { getMarketStates } from '../services/marketCalendar.js';
+import { generateStreamToken } from '../middleware/auth.js';
+import { canonicalSymbol } from '../utils/validators.js';
+
+// Milliseconds EventSource clients wait before reconnecting
+const RECONNECT_DELAY_MS = 3000;
+
+// Quote fields sent to clients (same shape as list quotes)
+const toStreamQuote = (quote) => ({
+  symbol: quote.symbol,
+  price: quote.price,
+  change: quote.change,
+  changePercent: quote.changePercent,
+  previousClose: quote.previousClose,
+  dayHigh: quote.dayHigh,
+  dayLow: quote.dayLow,
+  volume: quote.volume,
+  currency: quote.currency,
+  timestamp: quote.timestamp
+});
+
+// Issue a short-lived token for opening a stream with ?token=
+export const createStreamToken = (req, res) => {
+  const { token, expiresIn } = generateStreamToken(req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Stream token issued successfully',
+    data: {
+      token,
+      expiresIn
+    }
+  });
+};
+
+// Stream live quotes for the symbols in a watchlist as Server-Sent Events.
+// Events: "subscribed" (once), "quotes" (batched, at most one batch per throttle window),
+// "markets" (symbol -> { exchange, state }, sent first and whenever a market opens or closes)
+// and "heartbeat". Reconnecting with the same URL resubscribes to the list's current symbols;
+// ?symbols=A,B narrows the subscription to part of the watchlist.
+export const streamQuotes = catchAsync(async (req, res, next) => {
+  const { source, throttleMs, heartbeatMs } = getQuoteStreamConfig();
+
+  const stocks = await Stock.find({ watchlist: req.watchlist._id }).select('symbol').lean();
+  let symbols = stocks.map(stock => stock.symbol);
+
+  if (typeof req.query.symbols === 'string' && req.query.symbols.trim() !== '') {
+    const requested = new Set(req.query.symbols.split(',').map(symbol => canonicalSymbol(symbol)));
+    symbols = symbols.filter(symbol => requested.has(canonicalSymbol(symbol)));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+  res.status(200);
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (event, data) => {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  send('subscribed', {
+    watchlist: { id: req.watchlist._id, name: req.watchlist.name },
+    symbols,
+    source,
+    throttleMs,
+    heartbeatMs
+  });
+
+  const stream = getQuoteStream();
+
+  // Throttle: collect updates and flush the latest quote per symbol once per window
+  const pending = new Map();
+  let flushTimer = null;
+
+  const flush = () => {
+    flushTimer = null;
+    if (pending.size === 0) return;
+    send('quotes', { quotes: [...pending.values()].map(toStreamQuote) });
+    pending.clear();
+  };
+
+  const queue = (quotes) => {
+    quotes.forEach(quote => pending.set(quote.symbol, quote));
+    if (!flushTimer) flushTimer = setTimeout(flush, throttleMs);
+  };
+
+  const snapshot = stream.snapshot(symbols);
+  if (snapshot.length > 0) {
+    send('quotes', { quotes: snapshot.map(toStreamQuote) });
+  }
+
+  const unsubscribe = symbols.length > 0 ? stream.subscribe(symbols, queue) : () => {};
+
+  // Market states only change at session boundaries, so re-check them with each heartbeat
+  let lastMarkets = null;
+  const sendMarkets = async () => {
+    try {
+      const markets = Object.fromEntries(await getMarketStates(symbols));
+      const serialized = JSON.stringify(markets);
+      if (serialized === lastMarkets || res.destroyed) return;
+      lastMarkets = serialized;
+      send('markets', { markets });
+    } catch (error) {
+      console.error('Market calendar lookup failed:', error.message);
+    }
+  };
+  sendMarkets();
+
+  const heartbeat = setInterval(() => {
+    send('heartbeat', { time: new Date().toISOString() });
+    sendMarkets();
+  }, heartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(flushTimer);
+    unsubscribe();
+  });
+});
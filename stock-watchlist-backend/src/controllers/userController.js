@@ -1,7 +1,14 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import AuditEvent, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../models/AuditEvent.js';
+import { COST_BASIS_METHODS } from '../models/Transaction.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
 import { generateToken } from '../middleware/auth.js';
-import { body, validationResult } from 'express-validator';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { getSupportedCurrencies } from '../services/fx.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { canonicalSymbol } from '../utils/validators.js';
+import { body } from 'express-validator';
 
 // Validation rules for user registration
 export const validateRegistration = [
@@ -50,20 +57,31 @@ export const validateLogin = [
     .withMessage('Password is required')
 ];
 
-// Helper function to check validation results
-const checkValidationErrors = (req, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const errorMessages = errors.array().map(error => error.msg);
-    return next(new AppError(errorMessages.join(', '), 400));
-  }
-};
+// Validation rules for updating user preferences
+export const validateUpdatePreferences = [
+  body('costBasisMethod')
+    .optional()
+    .isIn(COST_BASIS_METHODS)
+    .withMessage(`Cost basis method must be one of: ${COST_BASIS_METHODS.join(', ')}`),
+
+  body('baseCurrency')
+    .optional()
+    .isString()
+    .trim()
+    .toUpperCase()
+    .custom(async (currency) => {
+      const supported = await getSupportedCurrencies();
+      if (!supported.includes(currency)) {
+        throw new Error(`Base currency must be one of: ${supported.join(', ')}`);
+      }
+      return true;
+    })
+];
 
 // Register a new user
 export const registerUser = async (req, res, next) => {
   try {
-    // Check validation errors
-    checkValidationErrors(req, next);
+    if (rejectInvalidRequest(req, next)) return;
 
     const { username, email, password, firstName, lastName } = req.body;
 
@@ -102,6 +120,12 @@ export const registerUser = async (req, res, next) => {
     user.lastLogin = new Date();
     await user.save();
 
+    await recordAuditEvent(req, {
+      action: 'user.register',
+      actor: user._id,
+      target: { type: 'user', id: user._id, label: user.username }
+    });
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -122,8 +146,7 @@ export const registerUser = async (req, res, next) => {
 // Login user
 export const loginUser = async (req, res, next) => {
   try {
-    // Check validation errors
-    checkValidationErrors(req, next);
+    if (rejectInvalidRequest(req, next)) return;
 
     const { email, password } = req.body;
 
@@ -137,6 +160,12 @@ export const loginUser = async (req, res, next) => {
     user.lastLogin = new Date();
     await user.save();
 
+    await recordAuditEvent(req, {
+      action: 'user.login',
+      actor: user._id,
+      target: { type: 'user', id: user._id, label: user.username }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Login successful',
@@ -147,6 +176,18 @@ export const loginUser = async (req, res, next) => {
     });
   } catch (error) {
     if (error.message === 'Invalid credentials') {
+      // Failed attempts on a real account show up in its owner's activity
+      const account = await User.findOne({ email: String(req.body.email).toLowerCase() })
+        .select('username')
+        .catch(() => null);
+      if (account) {
+        await recordAuditEvent(req, {
+          action: 'user.login_failed',
+          actor: null,
+          user: account._id,
+          target: { type: 'user', id: account._id, label: account.username }
+        });
+      }
       return next(new AppError('Invalid email or password', 401));
     }
     next(error);
@@ -168,5 +209,130 @@ export const getProfile = async (req, res, next) => {
   }
 };
 
+// Update current user preferences
+export const updatePreferences = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    if (req.body.costBasisMethod !== undefined) {
+      req.user.costBasisMethod = req.body.costBasisMethod;
+    }
+    if (req.body.baseCurrency !== undefined) {
+      req.user.baseCurrency = req.body.baseCurrency;
+    }
+
+    const changes = Object.fromEntries(['costBasisMethod', 'baseCurrency']
+      .filter(field => req.user.isModified(field))
+      .map(field => [field, req.user[field]]));
+
+    await req.user.save();
+
+    if (Object.keys(changes).length > 0) {
+      await recordAuditEvent(req, {
+        action: 'user.preferences_update',
+        target: { type: 'user', id: req.user._id, label: req.user.username },
+        details: changes
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: {
+        user: req.user.toSafeObject()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Audit targets labelled with the symbol they concern
+const SYMBOL_TARGET_TYPES = ['stock', 'alert', 'holding', 'transaction', 'income', 'corporate_action'];
+
+// Get the audit trail of the user's account and watchlists, newest first.
+// Covers what the user did and what others did to their data (e.g. on a shared list).
+// Filters: ?action=stock.add,stock.remove &targetType= &symbol= &watchlist= &from= &to= &page= &limit=
+export const getActivity = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  if (page < 1 || page > 1000) {
+    return next(new AppError('Page must be between 1 and 1000', 400));
+  }
+  if (limit < 1 || limit > 100) {
+    return next(new AppError('Limit must be between 1 and 100', 400));
+  }
 
+  const conditions = [{ $or: [{ user: req.user._id }, { actor: req.user._id }] }];
 
+  if (typeof req.query.action === 'string') {
+    const actions = req.query.action.split(',').map(action => action.trim()).filter(Boolean);
+    const invalid = actions.filter(action => !AUDIT_ACTIONS.includes(action));
+    if (actions.length === 0 || invalid.length > 0) {
+      return next(new AppError(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`, 400));
+    }
+    conditions.push({ action: { $in: actions } });
+  }
+
+  if (typeof req.query.targetType === 'string') {
+    if (!AUDIT_TARGET_TYPES.includes(req.query.targetType)) {
+      return next(new AppError(`Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`, 400));
+    }
+    conditions.push({ 'target.type': req.query.targetType });
+  }
+
+  // A symbol matches events on that symbol, bulk changes that included it and renames to it
+  if (typeof req.query.symbol === 'string') {
+    const symbol = canonicalSymbol(req.query.symbol);
+    conditions.push({
+      $or: [
+        { 'target.type': { $in: SYMBOL_TARGET_TYPES }, 'target.label': symbol },
+        { 'details.symbols': symbol },
+        { 'details.newSymbol': symbol }
+      ]
+    });
+  }
+
+  if (typeof req.query.watchlist === 'string') {
+    if (!mongoose.isValidObjectId(req.query.watchlist)) {
+      return next(new AppError('Invalid watchlist id', 400));
+    }
+    conditions.push({ watchlist: req.query.watchlist });
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (typeof req.query[param] !== 'string') continue;
+
+    const date = new Date(req.query[param]);
+    if (isNaN(date)) {
+      return next(new AppError(`${param} must be a valid date`, 400));
+    }
+    conditions.push({ createdAt: { [operator]: date } });
+  }
+
+  const filter = { $and: conditions };
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'username'),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Activity retrieved successfully',
+    data: {
+      events: events.map(event => event.toSafeObject()),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEvents: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    }
+  });
+});
@@ -0,0 +1,371 @@
+import mongoose from 'mongoose';
+import Watchlist, { MEMBER_ROLES } from '../models/Watchlist.js';
+import Stock from '../models/Stock.js';
+import ShareLink from '../models/ShareLink.js';
+import User from '../models/User.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { rejectInvalidRequest } from '../middleware/validation.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { body } from 'express-validator';
+
+// Validation rules shared by create and update
+const watchlistFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Watchlist name must be between 1 and 50 characters'),
+
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #667eea')
+];
+
+// Validation rules for creating a watchlist
+export const validateCreateWatchlist = watchlistFieldRules(false);
+
+// Validation rules for updating a watchlist
+export const validateUpdateWatchlist = watchlistFieldRules(true);
+
+const MAX_MEMBERS_PER_WATCHLIST = 50;
+
+// Validation rules for inviting a member
+export const validateAddMember = [
+  body('identifier')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Username or email is required'),
+
+  body('role')
+    .optional()
+    .isIn(MEMBER_ROLES)
+    .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+];
+
+// Validation rules for changing a member's role
+export const validateUpdateMember = [
+  body('role')
+    .isIn(MEMBER_ROLES)
+    .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+];
+
+// Get the user's own watchlists and the ones shared with them, with their stock counts
+export const getWatchlists = catchAsync(async (req, res, next) => {
+  // Make sure every user has a default list to start from
+  await Watchlist.findOrCreateDefault(req.user.id);
+
+  const lists = await Watchlist.find(Watchlist.accessibleBy(req.user.id))
+    .sort({ isDefault: -1, createdAt: 1 });
+
+  // Own lists first, then lists shared with the user
+  const isOwn = (watchlist) => watchlist.user.equals(req.user.id);
+  const watchlists = [...lists.filter(isOwn), ...lists.filter(watchlist => !isOwn(watchlist))];
+
+  const ownerIds = [...new Set(watchlists.filter(watchlist => !isOwn(watchlist)).map(watchlist => watchlist.user.toString()))];
+  const owners = await User.find({ _id: { $in: ownerIds } }).select('username').lean();
+  const ownerNameById = new Map(owners.map(owner => [owner._id.toString(), owner.username]));
+
+  const counts = await Stock.aggregate([
+    { $match: { watchlist: { $in: watchlists.map(watchlist => watchlist._id) } } },
+    { $group: { _id: '$watchlist', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+  res.status(200).json({
+    success: true,
+    message: 'Watchlists retrieved successfully',
+    data: {
+      watchlists: watchlists.map(watchlist => ({
+        ...watchlist.toSafeObject(req.user.id),
+        ...(!isOwn(watchlist) && { ownerName: ownerNameById.get(watchlist.user.toString()) || null }),
+        stockCount: countById.get(watchlist._id.toString()) || 0
+      }))
+    }
+  });
+});
+
+// Get a single watchlist
+export const getWatchlist = catchAsync(async (req, res, next) => {
+  const stockCount = await Stock.countDocuments({ watchlist: req.watchlist._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Watchlist retrieved successfully',
+    data: {
+      watchlist: {
+        ...req.watchlist.toSafeObject(req.user.id),
+        stockCount
+      }
+    }
+  });
+});
+
+// Create a new watchlist
+export const createWatchlist = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const { name, description, color } = req.body;
+
+    const watchlist = await Watchlist.create({
+      name,
+      description,
+      color,
+      user: req.user.id
+    });
+
+    await recordAuditEvent(req, {
+      action: 'watchlist.create',
+      target: { type: 'watchlist', id: watchlist._id, label: watchlist.name },
+      watchlist: watchlist._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Watchlist created successfully',
+      data: {
+        watchlist: watchlist.toSafeObject(req.user.id)
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('You already have a watchlist with this name', 409));
+    }
+    next(error);
+  }
+};
+
+// Update a watchlist's name, description or color
+export const updateWatchlist = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const { name, description, color } = req.body;
+    const watchlist = req.watchlist;
+
+    if (name !== undefined) watchlist.name = name;
+    if (description !== undefined) watchlist.description = description;
+    if (color !== undefined) watchlist.color = color;
+
+    const fields = ['name', 'description', 'color'].filter(field => watchlist.isModified(field));
+
+    await watchlist.save();
+
+    if (fields.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'watchlist.update',
+        user: watchlist.user,
+        target: { type: 'watchlist', id: watchlist._id, label: watchlist.name },
+        watchlist: watchlist._id,
+        details: { fields }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Watchlist updated successfully',
+      data: {
+        watchlist: watchlist.toSafeObject(req.user.id)
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('You already have a watchlist with this name', 409));
+    }
+    next(error);
+  }
+};
+
+// Delete a watchlist and every stock in it
+export const deleteWatchlist = catchAsync(async (req, res, next) => {
+  if (req.watchlist.isDefault) {
+    return next(new AppError('The default watchlist cannot be deleted', 400));
+  }
+
+  const { deletedCount } = await Stock.deleteMany({ watchlist: req.watchlist._id });
+  await ShareLink.deleteMany({ watchlist: req.watchlist._id });
+  await req.watchlist.deleteOne();
+
+  await recordAuditEvent(req, {
+    action: 'watchlist.delete',
+    user: req.watchlist.user,
+    target: { type: 'watchlist', id: req.watchlist._id, label: req.watchlist.name },
+    watchlist: req.watchlist._id,
+    details: { removedStocks: deletedCount }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Watchlist deleted successfully',
+    data: {
+      removedWatchlist: {
+        id: req.watchlist._id,
+        name: req.watchlist.name,
+        removedStocks: deletedCount
+      }
+    }
+  });
+});
+
+// Format the owner and members of a watchlist with their usernames
+const describeMembers = async (watchlist) => {
+  const userIds = [watchlist.user, ...watchlist.members.map(member => member.user)];
+  const users = await User.find({ _id: { $in: userIds } }).select('username').lean();
+  const usernameById = new Map(users.map(user => [user._id.toString(), user.username]));
+
+  return [
+    { user: { id: watchlist.user, username: usernameById.get(watchlist.user.toString()) || null }, role: 'owner', addedAt: watchlist.createdAt },
+    ...watchlist.members.map(member => ({
+      user: { id: member.user, username: usernameById.get(member.user.toString()) || null },
+      role: member.role,
+      addedAt: member.addedAt
+    }))
+  ];
+};
+
+// Username of a member, for audit event labels
+const usernameOf = async (userId) => {
+  const user = await User.findById(userId).select('username').lean();
+  return user?.username || '';
+};
+
+// Find a member entry by the :userId route parameter
+const findMember = (watchlist, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new AppError('Invalid user id', 400);
+  }
+
+  const member = watchlist.members.find(entry => entry.user.equals(userId));
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+
+  return member;
+};
+
+// List who has access to a watchlist
+export const getMembers = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    message: 'Watchlist members retrieved successfully',
+    data: {
+      members: await describeMembers(req.watchlist)
+    }
+  });
+});
+
+// Invite a user (by username or email) as an editor or viewer
+export const addMember = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const identifier = req.body.identifier.trim();
+    const user = await User.findOne(
+      identifier.includes('@') ? { email: identifier.toLowerCase() } : { username: identifier }
+    );
+
+    if (!user) {
+      return next(new AppError('No user found with that username or email', 404));
+    }
+    if (req.watchlist.user.equals(user._id)) {
+      return next(new AppError('The owner already has full access to this watchlist', 400));
+    }
+    if (req.watchlist.members.some(member => member.user.equals(user._id))) {
+      return next(new AppError('This user is already a member of the watchlist', 409));
+    }
+    if (req.watchlist.members.length >= MAX_MEMBERS_PER_WATCHLIST) {
+      return next(new AppError(`A watchlist can have at most ${MAX_MEMBERS_PER_WATCHLIST} members`, 400));
+    }
+
+    const role = req.body.role || 'viewer';
+    req.watchlist.members.push({ user: user._id, role });
+    await req.watchlist.save();
+
+    await recordAuditEvent(req, {
+      action: 'watchlist.member_add',
+      user: req.watchlist.user,
+      target: { type: 'user', id: user._id, label: user.username },
+      watchlist: req.watchlist._id,
+      details: { role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: {
+        members: await describeMembers(req.watchlist)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a member's role
+export const updateMember = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, next)) return;
+
+    const member = findMember(req.watchlist, req.params.userId);
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await req.watchlist.save();
+
+    if (member.role !== previousRole) {
+      await recordAuditEvent(req, {
+        action: 'watchlist.member_role_change',
+        user: req.watchlist.user,
+        target: { type: 'user', id: member.user, label: await usernameOf(member.user) },
+        watchlist: req.watchlist._id,
+        details: { role: member.role, previousRole }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        members: await describeMembers(req.watchlist)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member. The owner can remove anyone; members can remove themselves to leave the list.
+export const removeMember = catchAsync(async (req, res, next) => {
+  const isOwner = req.resourceRole === 'owner';
+  if (!isOwner && req.params.userId !== req.user.id) {
+    return next(new AppError('Access denied: insufficient permissions', 403));
+  }
+
+  const member = findMember(req.watchlist, req.params.userId);
+  req.watchlist.members = req.watchlist.members.filter(entry => entry !== member);
+  await req.watchlist.save();
+
+  await recordAuditEvent(req, {
+    action: 'watchlist.member_remove',
+    user: req.watchlist.user,
+    target: { type: 'user', id: member.user, label: await usernameOf(member.user) },
+    watchlist: req.watchlist._id,
+    details: { role: member.role }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: isOwner ? 'Member removed successfully' : 'You left the watchlist',
+    data: {
+      members: isOwner ? await describeMembers(req.watchlist) : []
+    }
+  });
+});
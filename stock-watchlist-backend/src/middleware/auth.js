@@ -2,6 +2,9 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { AppError } from './errorHandler.js';
 
+// Scope of the short-lived tokens that open quote streams
+const STREAM_TOKEN_SCOPE = 'stream';
+
 // Middleware to verify JWT token
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -16,6 +19,11 @@ export const authenticateToken = async (req, res, next) => {
 
     // Verify token using jsonwebtoken
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Scoped tokens (see generateStreamToken) only open what they were issued for
+    if (decoded.scope) {
+      return next(new AppError('Invalid token', 401));
+    }
     
     // Get user from token
     const user = await User.findById(decoded.userId).select('-password');
@@ -38,6 +46,40 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Authenticate a streaming request. EventSource cannot send headers, so a stream token
+// (see generateStreamToken) may be passed as ?token= instead; session tokens are only
+// accepted from the header, where they stay out of URLs and access logs.
+export const authenticateStreamToken = async (req, res, next) => {
+  if (req.headers.authorization || typeof req.query.token !== 'string') {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+
+    if (decoded.scope !== STREAM_TOKEN_SCOPE) {
+      return next(new AppError('A stream token is required in the URL', 401));
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user) {
+      return next(new AppError('User not found', 401));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new AppError('Invalid token', 401));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new AppError('Token expired', 401));
+    }
+    next(error);
+  }
+};
+
 // Optional authentication middleware (doesn't require token but adds user if present)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -49,9 +91,10 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const user = decoded.scope ? null : await User.findById(decoded.userId).select('-password');
         
-        if (user && user.isActive) {
+        // Users have no isActive flag; only an explicit false disables them
+        if (user && user.isActive !== false) {
           req.user = user;
         }
       } catch (error) {
@@ -85,21 +128,63 @@ export const generateToken = async (userId) => {
   return token;
 };
 
-// Middleware to check if user owns the resource
-export const checkResourceOwnership = (resourceUserField = 'user') => {
+// Generate a short-lived token that can only open streams. It travels in the stream URL,
+// so it expires quickly; clients request a fresh one for every (re)connect.
+export const generateStreamToken = (userId) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const expiresIn = process.env.STREAM_TOKEN_EXPIRES_IN || '60s';
+
+  const token = jwt.sign(
+    { userId, scope: STREAM_TOKEN_SCOPE },
+    process.env.JWT_SECRET,
+    {
+      expiresIn,
+      issuer: 'stock-watchlist-api'
+    }
+  );
+
+  return { token, expiresIn };
+};
+
+// Roles ranked by how much they allow; a higher role includes every lower one
+export const ROLE_RANKS = { viewer: 1, editor: 2, owner: 3 };
+
+// Work out the user's role on a resource. Resources that can be shared expose
+// getRole(userId); anything else only has an owner, named by resourceUserField.
+export const getResourceRole = (resource, userId, resourceUserField = 'user') => {
+  if (typeof resource.getRole === 'function') {
+    return resource.getRole(userId);
+  }
+
+  const resourceUserId = resource[resourceUserField];
+  return resourceUserId && resourceUserId.toString() === userId ? 'owner' : null;
+};
+
+// Middleware to check the user holds at least minimumRole on req[resourceKey].
+// The role found is kept on req.resourceRole for handlers that need it.
+export const authorizeRole = (minimumRole, { resourceKey = 'resource', resourceUserField = 'user' } = {}) => {
   return (req, res, next) => {
-    const resource = req.resource; // This should be set by the route handler
-    
+    const resource = req[resourceKey]; // This should be set by a loader middleware
+
     if (!resource) {
       return next(new AppError('Resource not found', 404));
     }
 
-    const resourceUserId = resource[resourceUserField];
-    
-    if (!resourceUserId || resourceUserId.toString() !== req.user.id) {
+    const role = getResourceRole(resource, req.user.id, resourceUserField);
+
+    if (!role || ROLE_RANKS[role] < ROLE_RANKS[minimumRole]) {
       return next(new AppError('Access denied: insufficient permissions', 403));
     }
-    
+
+    req.resourceRole = role;
     next();
   };
-};
\ No newline at end of file
+};
+
+// Middleware to check if user owns the resource
+export const checkResourceOwnership = (resourceUserField = 'user') => {
+  return authorizeRole('owner', { resourceUserField });
+};
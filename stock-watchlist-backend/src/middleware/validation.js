@@ -1,5 +1,19 @@
+import { validationResult } from 'express-validator';
 import { AppError } from './errorHandler.js';
 import { validateStockSymbol } from '../utils/validators.js';
+import { resolveHistoryParams } from '../services/marketData/historyPresets.js';
+import { resolveIndicatorParams, INDICATOR_DEFAULTS } from '../services/indicators.js';
+
+// Check express-validator results; forwards a 400 and returns true when the request was rejected
+export const rejectInvalidRequest = (req, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    next(new AppError(errorMessages.join(', '), 400));
+    return true;
+  }
+  return false;
+};
 
 // Request validation middleware
 export const validateRequest = (req, res, next) => {
@@ -9,7 +23,7 @@ export const validateRequest = (req, res, next) => {
       // Remove any potentially dangerous properties
       const dangerousProps = ['__proto__', 'constructor', 'prototype'];
       dangerousProps.forEach(prop => {
-        if (req.body.hasOwnProperty(prop)) {
+        if (Object.hasOwn(req.body, prop)) {
           delete req.body[prop];
         }
       });
@@ -51,7 +65,7 @@ export const validateRequest = (req, res, next) => {
 
 // Stock-specific validation middleware
 export const validateStockData = (req, res, next) => {
-  const { symbol, name } = req.body;
+  const { name } = req.body;
 
   // Validate name if provided
   if (name !== undefined) {
@@ -96,9 +110,25 @@ export const validateStockSymbolParam = (req, res, next) => {
   next();
 };
 
+// Fields GET /api/stocks can sort on and project with ?fields=
+export const STOCK_SORT_FIELDS = ['symbol', 'name', 'addedAt', 'lastUpdated', 'position'];
+export const STOCK_LIST_FIELDS = [
+  'id', 'symbol', 'name', 'notes', 'tags', 'targetBuyPrice', 'targetSellPrice',
+  'conviction', 'currency', 'previousSymbols', 'delisted', 'delistedAt', 'position', 'addedAt', 'lastUpdated',
+  'quote', 'quoteStatus', 'market'
+];
+
 // Query parameter validation
 export const validateQueryParams = (req, res, next) => {
-  const { page, limit, sort } = req.query;
+  const { page, limit, sort, q, symbolPrefix, namePrefix, addedFrom, addedTo, fields } = req.query;
+
+  // Repeated parameters arrive as arrays; every one of these must be a single value
+  const singleValued = { page, limit, sort, q, symbolPrefix, namePrefix, addedFrom, addedTo, fields };
+  const repeated = Object.keys(singleValued)
+    .find(key => singleValued[key] !== undefined && typeof singleValued[key] !== 'string');
+  if (repeated) {
+    return next(new AppError(`Query parameter ${repeated} must be a single value`, 400));
+  }
 
   // Validate page
   if (page !== undefined) {
@@ -121,12 +151,82 @@ export const validateQueryParams = (req, res, next) => {
 
   // Validate sort
   if (sort !== undefined) {
-    const allowedSortFields = ['symbol', 'name', 'addedAt', 'lastUpdated'];
     const sortField = sort.replace(/^-/, ''); // Remove descending indicator
-    if (!allowedSortFields.includes(sortField)) {
+    if (!STOCK_SORT_FIELDS.includes(sortField)) {
       return next(new AppError('Invalid sort field', 400));
     }
   }
 
+  // Validate text and prefix filters
+  if (q !== undefined && (q.trim().length < 1 || q.length > 50)) {
+    return next(new AppError('Search filter must be between 1 and 50 characters', 400));
+  }
+  if (symbolPrefix !== undefined && (symbolPrefix.trim().length < 1 || symbolPrefix.length > 20)) {
+    return next(new AppError('Symbol prefix must be between 1 and 20 characters', 400));
+  }
+  if (namePrefix !== undefined && (namePrefix.trim().length < 1 || namePrefix.length > 50)) {
+    return next(new AppError('Name prefix must be between 1 and 50 characters', 400));
+  }
+
+  // Validate added-date range
+  const fromDate = addedFrom !== undefined ? new Date(addedFrom) : null;
+  const toDate = addedTo !== undefined ? new Date(addedTo) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return next(new AppError('addedFrom and addedTo must be valid dates', 400));
+  }
+  if (fromDate && toDate && fromDate > toDate) {
+    return next(new AppError('addedFrom must not be after addedTo', 400));
+  }
+
+  // Validate field projection
+  if (fields !== undefined) {
+    const requested = fields.split(',').map(field => field.trim()).filter(Boolean);
+    const invalid = requested.filter(field => !STOCK_LIST_FIELDS.includes(field));
+    if (requested.length === 0 || invalid.length > 0) {
+      return next(new AppError(`Invalid fields: ${invalid.join(', ') || fields}. Allowed fields: ${STOCK_LIST_FIELDS.join(', ')}`, 400));
+    }
+  }
+
   next();
-};
\ No newline at end of file
+};
+
+// Price history parameter validation (range/interval presets and their combinations)
+export const validateHistoryParams = (req, res, next) => {
+  const { range, interval } = req.query;
+
+  if ((range !== undefined && typeof range !== 'string') ||
+      (interval !== undefined && typeof interval !== 'string')) {
+    return next(new AppError('Range and interval must be single values', 400));
+  }
+
+  const resolved = resolveHistoryParams(range, interval);
+  if (!resolved.isValid) {
+    return next(new AppError(resolved.message, 400));
+  }
+
+  next();
+};
+
+// Range used for indicators when none is given; long enough to warm up the default periods
+export const DEFAULT_INDICATOR_RANGE = '1y';
+
+// Indicator parameters validation middleware (range/interval plus per-indicator periods)
+export const validateIndicatorParams = (req, res, next) => {
+  const singleValued = ['range', 'interval', 'indicators', ...Object.keys(INDICATOR_DEFAULTS)];
+  const repeated = singleValued.find(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+  if (repeated) {
+    return next(new AppError(`Query parameter ${repeated} must be a single value`, 400));
+  }
+
+  const history = resolveHistoryParams(req.query.range || DEFAULT_INDICATOR_RANGE, req.query.interval);
+  if (!history.isValid) {
+    return next(new AppError(history.message, 400));
+  }
+
+  const indicators = resolveIndicatorParams(req.query);
+  if (!indicators.isValid) {
+    return next(new AppError(indicators.message, 400));
+  }
+
+  next();
+};
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import Watchlist from '../models/Watchlist.js';
+import { AppError } from './errorHandler.js';
+import { authorizeRole } from './auth.js';
+
+// Find a watchlist the authenticated user owns or is a member of.
+// Lists they cannot open look the same as missing ones.
+const findUserWatchlist = async (watchlistId, userId) => {
+  if (!mongoose.isValidObjectId(watchlistId)) {
+    throw new AppError('Invalid watchlist id', 400);
+  }
+
+  const watchlist = await Watchlist.findOne({ _id: watchlistId, ...Watchlist.accessibleBy(userId) });
+  if (!watchlist) {
+    throw new AppError('Watchlist not found', 404);
+  }
+
+  return watchlist;
+};
+
+// Load the watchlist named by the :id route parameter into req.watchlist
+export const loadWatchlist = async (req, res, next) => {
+  try {
+    req.watchlist = await findUserWatchlist(req.params.id, req.user.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolve the target watchlist for /api/stocks requests into req.watchlist.
+// Uses ?watchlistId= (or watchlistId in the body) and falls back to the user's default list.
+export const resolveWatchlist = async (req, res, next) => {
+  try {
+    const watchlistId = req.query.watchlistId || req.body?.watchlistId;
+
+    req.watchlist = watchlistId
+      ? await findUserWatchlist(watchlistId, req.user.id)
+      : await Watchlist.findOrCreateDefault(req.user.id);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require at least the given role (owner, editor or viewer) on req.watchlist
+export const requireWatchlistRole = (role) => authorizeRole(role, { resourceKey: 'watchlist' });
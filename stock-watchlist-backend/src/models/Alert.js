@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+
+export const ALERT_TYPES = [
+  'price_above',     // price rises to or above threshold
+  'price_below',     // price falls to or below threshold
+  'percent_change',  // daily move of at least threshold percent, either direction
+  'ma_cross_above',  // price crosses above its maPeriod-day simple moving average
+  'ma_cross_below'   // price crosses below its maPeriod-day simple moving average
+];
+
+export const ALERT_MODES = ['once', 'recurring'];
+
+// When an alert may fire: any time, while its market is in any session (pre, regular or post),
+// or during regular trading hours only. Symbols without a known calendar are always evaluated.
+export const ALERT_MARKET_HOURS = ['any', 'extended', 'regular'];
+
+// Keep only the most recent triggers on each alert
+const MAX_TRIGGER_HISTORY = 50;
+
+const triggerSchema = new mongoose.Schema({
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  price: Number,
+  value: Number, // the compared value: price, percent change or moving average
+  marketState: String // the market's session when the alert fired (null when unknown)
+}, { _id: false });
+
+const alertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  stock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stock'
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Alert type is required'],
+    enum: { values: ALERT_TYPES, message: 'Invalid alert type' }
+  },
+  threshold: {
+    type: Number,
+    required: [function() { return !this.type?.startsWith('ma_'); }, 'Threshold is required']
+  },
+  // When the threshold was last set; a split only rescales thresholds set before it
+  thresholdSetAt: {
+    type: Date,
+    default: Date.now
+  },
+  maPeriod: {
+    type: Number,
+    min: [2, 'Moving average period must be at least 2'],
+    max: [200, 'Moving average period must not exceed 200'],
+    required: [function() { return this.type?.startsWith('ma_'); }, 'Moving average period is required']
+  },
+  mode: {
+    type: String,
+    enum: { values: ALERT_MODES, message: 'Mode must be once or recurring' },
+    default: 'once'
+  },
+  cooldownMinutes: {
+    type: Number,
+    min: [0, 'Cooldown cannot be negative'],
+    max: [10080, 'Cooldown cannot exceed one week'],
+    default: 60
+  },
+  marketHours: {
+    type: String,
+    enum: { values: ALERT_MARKET_HOURS, message: 'Market hours must be any, extended or regular' },
+    default: 'any'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note must not exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Last observed side of the moving average, used to detect crossings
+  lastState: {
+    type: String,
+    enum: ['above', 'below', null],
+    default: null
+  },
+  lastEvaluatedAt: Date,
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  triggers: [triggerSchema]
+}, {
+  timestamps: true
+});
+
+alertSchema.index({ user: 1, symbol: 1 });
+alertSchema.index({ isActive: 1 });
+
+// Pre-save middleware to update thresholdSetAt when the threshold changes
+alertSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('threshold')) {
+    this.thresholdSetAt = new Date();
+  }
+  next();
+});
+
+// Instance method to check whether the alert is still cooling down after a trigger
+alertSchema.methods.isCoolingDown = function(now = new Date()) {
+  if (!this.lastTriggeredAt) return false;
+  return now - this.lastTriggeredAt < this.cooldownMinutes * 60 * 1000;
+};
+
+// Instance method to record a trigger (one-shot alerts deactivate themselves)
+alertSchema.methods.recordTrigger = function({ price, value, marketState = null }, now = new Date()) {
+  this.lastTriggeredAt = now;
+  this.triggerCount += 1;
+  this.triggers.push({ triggeredAt: now, price, value, marketState });
+
+  if (this.triggers.length > MAX_TRIGGER_HISTORY) {
+    this.triggers = this.triggers.slice(-MAX_TRIGGER_HISTORY);
+  }
+
+  if (this.mode === 'once') {
+    this.isActive = false;
+  }
+};
+
+// Instance method to format alert data
+alertSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    symbol: this.symbol,
+    stock: this.stock,
+    type: this.type,
+    threshold: this.threshold,
+    maPeriod: this.maPeriod,
+    mode: this.mode,
+    cooldownMinutes: this.cooldownMinutes,
+    marketHours: this.marketHours,
+    note: this.note,
+    isActive: this.isActive,
+    lastEvaluatedAt: this.lastEvaluatedAt,
+    lastTriggeredAt: this.lastTriggeredAt,
+    triggerCount: this.triggerCount,
+    triggers: this.triggers,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+export default Alert;
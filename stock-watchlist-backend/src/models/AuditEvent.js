@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+
+// Every change to a user's data records one of these through recordAuditEvent (services/auditLog.js);
+// a new kind of change adds its action here and to the activity page's descriptions.
+export const AUDIT_ACTIONS = [
+  'user.register',                // account created
+  'user.login',                   // successful sign-in
+  'user.login_failed',            // wrong password for an existing account
+  'user.preferences_update',      // cost basis method or base currency changed (details: new values)
+  'stock.add',                    // symbol added to a watchlist
+  'stock.remove',                 // symbol removed from a watchlist
+  'stock.update',                 // notes, tags, targets or conviction edited (details.fields)
+  'stock.bulk_add',               // several symbols added at once (details.symbols)
+  'stock.bulk_remove',            // several symbols removed at once (details.symbols)
+  'stock.reorder',                // manual order changed (details.symbols: the one moved, if only one)
+  'stock.import',                 // symbols imported from a file (details.symbols, details.updated)
+  'watchlist.create',             // watchlist created
+  'watchlist.update',             // name, description or color changed (details.fields)
+  'watchlist.delete',             // watchlist and its stocks deleted (details.removedStocks)
+  'watchlist.member_add',         // user invited to a watchlist (details.role)
+  'watchlist.member_remove',      // member removed, or left the list
+  'watchlist.member_role_change', // member's role changed (details.role)
+  'share_link.create',            // read-only share link created
+  'share_link.revoke',            // share link revoked
+  'alert.create',                 // price or indicator alert set on a symbol (details.type, details.threshold)
+  'alert.update',                 // alert condition or settings changed (details.fields)
+  'alert.delete',                 // alert deleted
+  'portfolio.lot_add',            // lot bought through the portfolio (details.quantity, details.price)
+  'portfolio.lot_update',         // manual lot edited (details.fields)
+  'portfolio.lot_remove',         // manual lot removed (details.quantity)
+  'portfolio.holding_remove',     // position with only manual lots removed (details.lots)
+  'transaction.create',           // trade, transfer or split recorded in the ledger (details.type, details.quantity)
+  'transaction.delete',           // latest ledger transaction for a symbol deleted (details.type)
+  'income.create',                // dividend or interest payment recorded (details.amount, details.reinvested)
+  'income.delete',                // income entry deleted (details.amount)
+  'screen.create',                // screener filter saved
+  'screen.update',                // saved screen changed (details.fields)
+  'screen.delete',                // saved screen deleted
+  'corporate_action.apply'        // split, ticker change or delisting applied to the user's data (details: the action)
+];
+
+export const AUDIT_TARGET_TYPES = [
+  'user', 'stock', 'watchlist', 'share_link', 'alert', 'holding', 'transaction', 'income', 'screen', 'corporate_action'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  // Who did it; null when nobody was signed in (e.g. a failed login)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Whose account or data it concerns: the actor, or the owner of a shared watchlist
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: { values: AUDIT_ACTIONS, message: 'Invalid audit action' }
+  },
+  target: {
+    type: {
+      type: String,
+      enum: { values: AUDIT_TARGET_TYPES, message: 'Invalid audit target type' },
+      required: [true, 'Target type is required']
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // What the target was called at the time (symbol, username, list or screen name)
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Target label must not exceed 100 characters'],
+      default: ''
+    }
+  },
+  watchlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watchlist',
+    default: null
+  },
+  // Action-specific extras, e.g. { symbols: [...] } for bulk changes
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    maxlength: [64, 'IP address must not exceed 64 characters'],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent must not exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+
+// The audit log is append-only: events can be neither changed nor removed
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events cannot be modified once recorded'));
+  }
+  next();
+});
+
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Audit events cannot be modified once recorded'));
+});
+
+auditEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit events cannot be deleted'));
+});
+
+// Instance method to format audit event data (actor may be populated with its username)
+auditEventSchema.methods.toSafeObject = function() {
+  let actor = null;
+  if (this.actor) {
+    actor = this.populated('actor')
+      ? { id: this.actor._id, username: this.actor.username }
+      : { id: this.actor, username: null };
+  }
+
+  return {
+    id: this._id,
+    action: this.action,
+    actor,
+    user: this.user,
+    target: {
+      type: this.target.type,
+      id: this.target.id,
+      label: this.target.label
+    },
+    watchlist: this.watchlist,
+    details: this.details,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt
+  };
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const CORPORATE_ACTION_TYPES = [
+  'split',          // shares multiplied by ratio (2 for a 2-for-1 split, 0.1 for 1-for-10)
+  'symbol_change',  // the ticker changed from symbol to newSymbol
+  'delisting'       // the symbol stopped trading
+];
+
+export const CORPORATE_ACTION_SOURCES = ['provider', 'file'];
+
+const corporateActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Corporate action type is required'],
+    enum: { values: CORPORATE_ACTION_TYPES, message: 'Invalid corporate action type' }
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters']
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  ratio: {
+    type: Number,
+    min: [0.00000001, 'Split ratio must be greater than zero'],
+    required: [function() { return this.type === 'split'; }, 'Split ratio is required']
+  },
+  newSymbol: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters'],
+    required: [function() { return this.type === 'symbol_change'; }, 'New symbol is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description must not exceed 200 characters'],
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: { values: CORPORATE_ACTION_SOURCES, message: 'Invalid corporate action source' },
+    required: [true, 'Source is required']
+  },
+  // Set once the action has been applied to watchlists, positions and alerts
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  // How many records applying the action changed
+  applied: {
+    stocks: { type: Number, default: 0 },
+    holdings: { type: Number, default: 0 },
+    alerts: { type: Number, default: 0 },
+    transactions: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// The same action reported twice (or by both sources) is recorded once
+corporateActionSchema.index({ type: 1, symbol: 1, effectiveDate: 1 }, { unique: true });
+corporateActionSchema.index({ appliedAt: 1, effectiveDate: 1 });
+corporateActionSchema.index({ newSymbol: 1 });
+
+// Instance method to format corporate action data
+corporateActionSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    symbol: this.symbol,
+    effectiveDate: this.effectiveDate,
+    ratio: this.ratio,
+    newSymbol: this.newSymbol,
+    description: this.description,
+    source: this.source,
+    appliedAt: this.appliedAt,
+    applied: this.appliedAt ? {
+      stocks: this.applied.stocks,
+      holdings: this.applied.holdings,
+      alerts: this.applied.alerts,
+      transactions: this.applied.transactions
+    } : null
+  };
+};
+
+const CorporateAction = mongoose.model('CorporateAction', corporateActionSchema);
+
+export default CorporateAction;
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+// Round money values to a fixed number of decimals
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const lotSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.00000001, 'Quantity must be greater than zero']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Purchase price is required'],
+    min: [0, 'Purchase price cannot be negative']
+  },
+  fees: {
+    type: Number,
+    min: [0, 'Fees cannot be negative'],
+    default: 0
+  },
+  purchasedAt: {
+    type: Date,
+    required: [true, 'Purchase date is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note must not exceed 200 characters'],
+    default: ''
+  },
+  // Ledger transaction (a buy or transfer in) the lot mirrors; such lots follow the ledger (see services/positions.js)
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Effective date of the last split already applied to quantity and price
+  splitAdjustedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Format a lot for API responses
+export const formatLot = (lot) => ({
+  id: lot._id,
+  quantity: lot.quantity,
+  price: lot.price,
+  fees: lot.fees,
+  purchasedAt: lot.purchasedAt,
+  note: lot.note,
+  transaction: lot.transaction || null
+});
+
+const holdingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  // The watchlist entry this position belongs to
+  stock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stock'
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters']
+  },
+  lots: [lotSchema]
+}, {
+  timestamps: true
+});
+
+// One position per symbol per user
+holdingSchema.index({ user: 1, symbol: 1 }, { unique: true });
+
+// Instance method to total up the open lots.
+// Fees are part of the cost basis, so averageCost includes them.
+holdingSchema.methods.getCostBasis = function() {
+  const quantity = this.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const totalCost = this.lots.reduce((sum, lot) => sum + lot.quantity * lot.price + (lot.fees || 0), 0);
+
+  return {
+    quantity: round(quantity, 8),
+    totalCost: round(totalCost),
+    averageCost: quantity > 0 ? round(totalCost / quantity) : null
+  };
+};
+
+// Instance method to value the position at a market price (null when no quote is available)
+holdingSchema.methods.getValuation = function(price) {
+  const { quantity, totalCost, averageCost } = this.getCostBasis();
+  const hasPrice = typeof price === 'number' && !isNaN(price);
+  const marketValue = hasPrice ? round(quantity * price) : null;
+  const unrealizedGain = hasPrice ? round(marketValue - totalCost) : null;
+
+  return {
+    quantity,
+    totalCost,
+    averageCost,
+    price: hasPrice ? price : null,
+    marketValue,
+    unrealizedGain,
+    unrealizedGainPercent: hasPrice && totalCost > 0 ? round((unrealizedGain / totalCost) * 100, 2) : null
+  };
+};
+
+// Instance method to format holding data
+holdingSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    symbol: this.symbol,
+    stock: this.stock,
+    lots: this.lots.map(formatLot),
+    ...this.getCostBasis(),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Holding = mongoose.model('Holding', holdingSchema);
+
+export default Holding;
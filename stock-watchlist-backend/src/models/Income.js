@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+export const INCOME_TYPES = ['dividend', 'interest'];
+
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const incomeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  stock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stock'
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: { values: INCOME_TYPES, message: 'Income type must be dividend or interest' },
+    default: 'dividend'
+  },
+  exDate: {
+    type: Date,
+    required: [true, 'Ex-date is required']
+  },
+  payDate: {
+    type: Date,
+    required: [true, 'Pay date is required'],
+    validate: {
+      validator: function(value) { return !this.exDate || value >= this.exDate; },
+      message: 'Pay date cannot be before the ex-date'
+    }
+  },
+  amountPerShare: {
+    type: Number,
+    required: [true, 'Amount per share is required'],
+    min: [0, 'Amount per share cannot be negative']
+  },
+  // Shares held on the ex-date
+  shares: {
+    type: Number,
+    required: [true, 'Shares are required'],
+    min: [0.00000001, 'Shares must be greater than zero']
+  },
+  withholdingTax: {
+    type: Number,
+    min: [0, 'Withholding tax cannot be negative'],
+    default: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [3, 'Currency must be a 3-letter code'],
+    default: null
+  },
+  // Dividend reinvestment: the net amount buys shares at reinvestPrice on the pay date
+  reinvest: {
+    type: Boolean,
+    default: false
+  },
+  reinvestPrice: {
+    type: Number,
+    min: [0.00000001, 'Reinvestment price must be greater than zero'],
+    required: [function() { return this.reinvest; }, 'Reinvestment price is required for DRIP']
+  },
+  reinvestedShares: Number,
+  // Ledger buy recorded for the reinvestment (also the id of the position lot that mirrors it)
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note must not exceed 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+incomeSchema.index({ user: 1, payDate: -1 });
+incomeSchema.index({ user: 1, symbol: 1, payDate: -1 });
+
+// Gross income before withholding
+incomeSchema.virtual('grossAmount').get(function() {
+  return round(this.amountPerShare * this.shares);
+});
+
+// Income actually received after withholding
+incomeSchema.virtual('netAmount').get(function() {
+  return round(this.amountPerShare * this.shares - (this.withholdingTax || 0));
+});
+
+// Instance method to format income data
+incomeSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    symbol: this.symbol,
+    stock: this.stock,
+    type: this.type,
+    exDate: this.exDate,
+    payDate: this.payDate,
+    amountPerShare: this.amountPerShare,
+    shares: this.shares,
+    grossAmount: this.grossAmount,
+    withholdingTax: this.withholdingTax,
+    netAmount: this.netAmount,
+    currency: this.currency,
+    reinvest: this.reinvest,
+    reinvestPrice: this.reinvestPrice,
+    reinvestedShares: this.reinvestedShares,
+    lot: this.lot,
+    note: this.note,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Income = mongoose.model('Income', incomeSchema);
+
+export default Income;
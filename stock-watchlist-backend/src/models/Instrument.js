@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Entries of the local instrument catalog (loaded with npm run import:instruments)
+const instrumentSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Symbol must not exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [200, 'Name must not exceed 200 characters']
+  },
+  exchange: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  assetType: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'equity'
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  sector: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}[A-Z0-9]{9}[0-9]$/, 'ISIN must be 12 characters: country code, 9 alphanumerics and a check digit'],
+    default: null
+  },
+  // File the entry was last imported from
+  source: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+instrumentSchema.index({ symbol: 1 }, { unique: true });
+instrumentSchema.index({ isin: 1 }, { sparse: true });
+
+const Instrument = mongoose.model('Instrument', instrumentSchema);
+
+export default Instrument;
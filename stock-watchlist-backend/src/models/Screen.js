@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A saved stock screen: a named filter tree (see services/screener.js) and sort order
+const screenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Screen name is required'],
+    trim: true,
+    maxlength: [50, 'Screen name must not exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Screen description must not exceed 500 characters']
+  },
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Filter is required']
+  },
+  sort: {
+    type: String,
+    default: 'symbol'
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Filters are plain JSON trees; keep empty groups and objects as given
+  minimize: false
+});
+
+// Screen names are unique per user
+screenSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Instance method to format screen data
+screenSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    filter: this.filter,
+    sort: this.sort,
+    lastRunAt: this.lastRunAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Screen = mongoose.model('Screen', screenSchema);
+
+export default Screen;
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Hash share tokens before storing them, so the database alone never reveals a working link
+export const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const shareLinkSchema = new mongoose.Schema({
+  watchlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Watchlist is required'],
+    ref: 'Watchlist'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Last characters of the token, so owners can tell links apart
+  tokenHint: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label must not exceed 50 characters'],
+    default: ''
+  },
+  includeNotes: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ watchlist: 1, createdAt: -1 });
+
+// Static method to create a link; resolves to { shareLink, token }.
+// The plain token is only available here: it is shown to the owner once and never stored.
+shareLinkSchema.statics.generate = async function({ watchlist, user, label, includeNotes, expiresAt }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const shareLink = await this.create({
+    watchlist,
+    user,
+    tokenHash: hashShareToken(token),
+    tokenHint: token.slice(-4),
+    label,
+    includeNotes,
+    expiresAt
+  });
+
+  return { shareLink, token };
+};
+
+// Static method to find a usable (not revoked, not expired) link by its token
+shareLinkSchema.statics.findActiveByToken = function(token, now = new Date()) {
+  return this.findOne({
+    tokenHash: hashShareToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+};
+
+// Instance method to describe the link's state
+shareLinkSchema.methods.getStatus = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  return 'active';
+};
+
+// Instance method to format share link data (never includes the token)
+shareLinkSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    watchlist: this.watchlist,
+    label: this.label,
+    tokenHint: this.tokenHint,
+    includeNotes: this.includeNotes,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    status: this.getStatus(),
+    lastAccessedAt: this.lastAccessedAt,
+    accessCount: this.accessCount,
+    createdAt: this.createdAt
+  };
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { parseSymbol, symbolSpellings } from '../utils/validators.js';
 
 const stockSchema = new mongoose.Schema({
   symbol: {
@@ -19,6 +20,79 @@ const stockSchema = new mongoose.Schema({
     required: [true, 'User is required'],
     ref: 'User'
   },
+  watchlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watchlist'
+  },
+  // Who added the stock; differs from user (the list owner) on shared lists
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [2000, 'Notes must not exceed 2000 characters']
+  },
+  tags: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: [30, 'Tags must not exceed 30 characters']
+    }],
+    validate: {
+      validator: (tags) => tags.length <= 20,
+      message: 'A stock cannot have more than 20 tags'
+    }
+  },
+  targetBuyPrice: {
+    type: Number,
+    min: [0, 'Buy target cannot be negative'],
+    default: null
+  },
+  targetSellPrice: {
+    type: Number,
+    min: [0, 'Sell target cannot be negative'],
+    default: null
+  },
+  // When the buy or sell target was last set; a split only rescales targets set before it
+  targetsSetAt: {
+    type: Date,
+    default: Date.now
+  },
+  conviction: {
+    type: Number,
+    min: [1, 'Conviction must be between 1 and 5'],
+    max: [5, 'Conviction must be between 1 and 5'],
+    default: null
+  },
+  // Trading currency (ISO code, or a minor unit like GBp); from the catalog or the first quote seen
+  currency: {
+    type: String,
+    trim: true,
+    maxlength: [3, 'Currency must be a 3-letter code'],
+    default: null
+  },
+  // Tickers the stock traded under before a symbol change, oldest first; still accepted in lookups
+  previousSymbols: [{
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters']
+  }],
+  // Set when a delisting is applied; the entry is kept so notes and history survive
+  delistedAt: {
+    type: Date,
+    default: null
+  },
+  // Manual order within the watchlist (0 = top); set when the stock is added and on reorder
+  position: {
+    type: Number,
+    default: null
+  },
   addedAt: {
     type: Date,
     default: Date.now
@@ -33,20 +107,57 @@ const stockSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Compound index for user-specific stocks and uniqueness per user
-stockSchema.index({ user: 1, symbol: 1 }, { unique: true });
-stockSchema.index({ user: 1, addedAt: -1 });
+// A symbol is unique within a watchlist but may appear in several lists
+stockSchema.index({ watchlist: 1, symbol: 1 }, { unique: true });
+stockSchema.index({ watchlist: 1, addedAt: -1 });
+stockSchema.index({ user: 1, symbol: 1 });
+stockSchema.index({ watchlist: 1, tags: 1 });
+stockSchema.index({ watchlist: 1, position: 1 });
+stockSchema.index({ previousSymbols: 1 });
 
-// Pre-save middleware to update lastUpdated
+// Pre-save middleware to update lastUpdated (and targetsSetAt when a target changes)
 stockSchema.pre('save', function(next) {
   this.lastUpdated = new Date();
+  if (!this.isNew && (this.isModified('targetBuyPrice') || this.isModified('targetSellPrice'))) {
+    this.targetsSetAt = this.lastUpdated;
+  }
   next();
 });
 
-// Static method to validate stock symbol
+// Static method to validate stock symbol (same grammar as validateStockSymbol)
 stockSchema.statics.isValidSymbol = function(symbol) {
-  const regex = /^[A-Z]{1,5}$/;
-  return regex.test(symbol);
+  return parseSymbol(symbol).isValid;
+};
+
+// Static method to build a filter matching a symbol or a ticker the stock used to trade under,
+// in any spelling (BRK-B also finds an older BRK.B entry)
+stockSchema.statics.symbolFilter = function(symbol) {
+  const symbols = symbolSpellings(symbol);
+  return { $or: [{ symbol: { $in: symbols } }, { previousSymbols: { $in: symbols } }] };
+};
+
+// Static method to get the position after the last stock in a watchlist
+stockSchema.statics.nextPosition = async function(watchlistId) {
+  const last = await this.findOne({ watchlist: watchlistId, position: { $ne: null } })
+    .sort({ position: -1 })
+    .select('position')
+    .lean();
+  return last ? last.position + 1 : 0;
+};
+
+// Static method to find a symbol's entry in any watchlist the user can open (their own or one shared
+// with them, as any role), preferring their own lists. For features that keep the user's own records
+// on a symbol, such as alerts, positions and income. Resolves to null when no list has the symbol.
+stockSchema.statics.findAccessible = async function(userId, symbol) {
+  const Watchlist = mongoose.model('Watchlist');
+  const watchlists = await Watchlist.find(Watchlist.accessibleBy(userId)).select('_id').lean();
+
+  const stocks = await this.find({
+    symbol: { $in: symbolSpellings(symbol) },
+    $or: [{ user: userId }, { watchlist: { $in: watchlists.map(watchlist => watchlist._id) } }]
+  });
+
+  return stocks.find(stock => stock.user.equals(userId)) || stocks[0] || null;
 };
 
 // Instance method to format stock data
@@ -55,6 +166,18 @@ stockSchema.methods.toSafeObject = function() {
     id: this._id,
     symbol: this.symbol,
     name: this.name,
+    watchlist: this.watchlist,
+    notes: this.notes,
+    tags: this.tags,
+    targetBuyPrice: this.targetBuyPrice,
+    targetSellPrice: this.targetSellPrice,
+    conviction: this.conviction,
+    currency: this.currency,
+    previousSymbols: this.previousSymbols,
+    delisted: Boolean(this.delistedAt),
+    delistedAt: this.delistedAt,
+    addedBy: this.addedBy,
+    position: this.position,
     addedAt: this.addedAt,
     lastUpdated: this.lastUpdated
   };
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+export const TRANSACTION_TYPES = [
+  'buy',           // shares bought at price, fees added to cost basis
+  'sell',          // shares sold at price, fees deducted from proceeds
+  'transfer_in',   // shares moved in from another account at their original cost (price)
+  'transfer_out',  // shares moved out without realizing a gain
+  'split'          // every open lot multiplied by ratio (2 for a 2-for-1 split, 0.1 for 1-for-10)
+];
+
+// How sold shares are matched against open lots
+export const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+const transactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  stock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stock'
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Stock symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [100, 'Stock symbol must not exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: { values: TRANSACTION_TYPES, message: 'Invalid transaction type' }
+  },
+  quantity: {
+    type: Number,
+    min: [0.00000001, 'Quantity must be greater than zero'],
+    required: [function() { return this.type !== 'split'; }, 'Quantity is required']
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    required: [function() { return ['buy', 'sell', 'transfer_in'].includes(this.type); }, 'Price is required']
+  },
+  fees: {
+    type: Number,
+    min: [0, 'Fees cannot be negative'],
+    default: 0
+  },
+  ratio: {
+    type: Number,
+    min: [0.00000001, 'Split ratio must be greater than zero'],
+    required: [function() { return this.type === 'split'; }, 'Split ratio is required']
+  },
+  // Original purchase date for transfers in (defaults to executedAt)
+  acquiredAt: Date,
+  executedAt: {
+    type: Date,
+    required: [true, 'Execution date is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note must not exceed 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+transactionSchema.index({ user: 1, executedAt: 1 });
+transactionSchema.index({ user: 1, symbol: 1, executedAt: 1 });
+
+// Transactions are immutable once recorded; corrections are new transactions
+transactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Transactions cannot be modified once recorded'));
+  }
+  next();
+});
+
+transactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Transactions cannot be modified once recorded'));
+});
+
+// Instance method to format transaction data
+transactionSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    symbol: this.symbol,
+    stock: this.stock,
+    type: this.type,
+    quantity: this.quantity,
+    price: this.price,
+    fees: this.fees,
+    ratio: this.ratio,
+    acquiredAt: this.acquiredAt,
+    executedAt: this.executedAt,
+    note: this.note,
+    createdAt: this.createdAt
+  };
+};
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+export default Transaction;
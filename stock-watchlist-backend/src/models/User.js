@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { COST_BASIS_METHODS } from './Transaction.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -17,7 +18,7 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
     lowercase: true,
-    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
   password: {
     type: String,
@@ -25,6 +26,20 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // Lot-matching method used for realized gains
+  costBasisMethod: {
+    type: String,
+    enum: { values: COST_BASIS_METHODS, message: 'Invalid cost basis method' },
+    default: 'fifo'
+  },
+  // Currency quotes, portfolio values and exports are converted into
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter code'],
+    default: 'USD'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -64,11 +79,7 @@ userSchema.pre('save', function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  try {
-    return await bcrypt.compare(candidatePassword, this.password);
-  } catch (error) {
-    throw error;
-  }
+  return bcrypt.compare(candidatePassword, this.password);
 };
 
 // Instance method to get safe user object (without password)
@@ -82,6 +93,8 @@ userSchema.methods.toSafeObject = function() {
     email: userObject.email,
     isActive: userObject.isActive,
     lastLogin: userObject.lastLogin,
+    costBasisMethod: userObject.costBasisMethod,
+    baseCurrency: userObject.baseCurrency,
     createdAt: userObject.createdAt,
     updatedAt: userObject.updatedAt
   };
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+
+// Roles a user can hold on a watchlist, from most to least access.
+// The owner is the list's user; everyone else is an invited member.
+export const WATCHLIST_ROLES = ['owner', 'editor', 'viewer'];
+export const MEMBER_ROLES = ['editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Member user is required'],
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: { values: MEMBER_ROLES, message: 'Role must be editor or viewer' },
+    default: 'viewer'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const watchlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Watchlist name is required'],
+    trim: true,
+    minlength: [1, 'Watchlist name must be at least 1 character'],
+    maxlength: [50, 'Watchlist name must not exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Watchlist description must not exceed 500 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '#667eea',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #667eea']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  // Bumped on every manual reorder; 0 means the list was never reordered.
+  // Reorders must send the version they started from, so concurrent reorders cannot overwrite each other.
+  orderVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// List names are unique per user, and each user has at most one default list
+watchlistSchema.index({ user: 1, name: 1 }, { unique: true });
+watchlistSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+watchlistSchema.index({ 'members.user': 1 });
+
+// Static method to build a filter for the lists a user can open (owned or shared with them)
+watchlistSchema.statics.accessibleBy = function(userId) {
+  return { $or: [{ user: userId }, { 'members.user': userId }] };
+};
+
+// Static method to get (or lazily create) a user's default watchlist.
+// Stocks saved before named watchlists existed have no list and are moved into it.
+watchlistSchema.statics.findOrCreateDefault = async function(userId) {
+  let watchlist = await this.findOne({ user: userId, isDefault: true });
+
+  if (!watchlist) {
+    try {
+      watchlist = await this.create({
+        name: DEFAULT_WATCHLIST_NAME,
+        user: userId,
+        isDefault: true
+      });
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+      watchlist = await this.findOne({ user: userId, isDefault: true });
+    }
+
+    await mongoose.model('Stock').updateMany(
+      { user: userId, watchlist: { $exists: false } },
+      { $set: { watchlist: watchlist._id } }
+    );
+  }
+
+  return watchlist;
+};
+
+// Instance method to get a user's role on this list (null when they have no access)
+watchlistSchema.methods.getRole = function(userId) {
+  if (!userId) return null;
+  if (this.user.equals(userId)) return 'owner';
+  return this.members.find(member => member.user.equals(userId))?.role || null;
+};
+
+// Instance method to get the list's default stock order: its manual order once it has been
+// reordered, otherwise newest first. Ties (e.g. stocks added while a reorder was in flight)
+// fall back to newest first.
+watchlistSchema.methods.getStockSort = function() {
+  return this.orderVersion > 0
+    ? { position: 1, addedAt: -1, _id: -1 }
+    : { addedAt: -1, _id: -1 };
+};
+
+// Instance method to format watchlist data; pass the viewer's id to include their role
+watchlistSchema.methods.toSafeObject = function(viewerId) {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    color: this.color,
+    isDefault: this.isDefault,
+    owner: this.user,
+    role: this.getRole(viewerId),
+    memberCount: this.members.length,
+    orderVersion: this.orderVersion,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Watchlist = mongoose.model('Watchlist', watchlistSchema);
+
+export default Watchlist;
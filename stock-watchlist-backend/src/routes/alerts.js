@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getAlerts,
+  getAlert,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  evaluateUserAlerts,
+  loadAlert,
+  validateCreateAlert,
+  validateUpdateAlert
+} from '../controllers/alertController.js';
+import { validateRequest } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all alert routes
+router.use(rateLimiter);
+
+// All alert routes require authentication
+router.use(authenticateToken);
+
+router.get('/', getAlerts);                                                    // GET /api/alerts?symbol=&active= - List user's alerts
+router.post('/', validateRequest, validateCreateAlert, createAlert);           // POST /api/alerts - Create an alert
+router.post('/evaluate', evaluateUserAlerts);                                  // POST /api/alerts/evaluate - Evaluate user's alerts now
+router.get('/:id', loadAlert, getAlert);                                       // GET /api/alerts/:id - Get an alert
+router.put('/:id', validateRequest, loadAlert, validateUpdateAlert, updateAlert); // PUT /api/alerts/:id - Update an alert
+router.delete('/:id', loadAlert, deleteAlert);                                 // DELETE /api/alerts/:id - Delete an alert
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getIncomeEntries,
+  getIncomeEntry,
+  createIncomeEntry,
+  deleteIncomeEntry,
+  getTrailingIncome,
+  getYieldOnCost,
+  getIncomeCalendar,
+  loadIncome,
+  validateCreateIncome
+} from '../controllers/incomeController.js';
+import { validateRequest } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveWatchlist } from '../middleware/watchlist.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all income routes
+router.use(rateLimiter);
+
+// All income routes require authentication
+router.use(authenticateToken);
+
+router.get('/', getIncomeEntries);                                             // GET /api/income?symbol=&type=&from=&to= - List income entries
+router.post('/', validateRequest, validateCreateIncome, createIncomeEntry);     // POST /api/income - Record a dividend or interest payment
+router.get('/ttm', getTrailingIncome);                                         // GET /api/income/ttm - Trailing 12-month income
+router.get('/yield-on-cost', getYieldOnCost);                                  // GET /api/income/yield-on-cost - Trailing income over cost basis
+router.get('/calendar', resolveWatchlist, getIncomeCalendar);                  // GET /api/income/calendar?watchlistId=&months= - Projected income calendar
+router.get('/:id', loadIncome, getIncomeEntry);                                // GET /api/income/:id - Get an income entry
+router.delete('/:id', loadIncome, deleteIncomeEntry);                          // DELETE /api/income/:id - Delete an income entry
+
+export default router;
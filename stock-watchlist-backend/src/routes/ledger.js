@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getTransactions,
+  getTransaction,
+  createTransaction,
+  deleteTransaction,
+  getLedgerPositions,
+  getRealizedGains,
+  loadTransaction,
+  validateCreateTransaction
+} from '../controllers/ledgerController.js';
+import { validateRequest } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all ledger routes
+router.use(rateLimiter);
+
+// All ledger routes require authentication
+router.use(authenticateToken);
+
+router.get('/transactions', getTransactions);                                  // GET /api/ledger/transactions?symbol=&type=&from=&to= - List transactions
+router.post('/transactions', validateRequest, validateCreateTransaction, createTransaction); // POST /api/ledger/transactions - Record a transaction
+router.get('/transactions/:id', loadTransaction, getTransaction);              // GET /api/ledger/transactions/:id - Get a transaction
+router.delete('/transactions/:id', loadTransaction, deleteTransaction);        // DELETE /api/ledger/transactions/:id - Delete the latest transaction for a symbol
+router.get('/positions', getLedgerPositions);                                  // GET /api/ledger/positions?method= - Positions replayed from the ledger
+router.get('/realized-gains/:year', getRealizedGains);                         // GET /api/ledger/realized-gains/:year?method= - Yearly realized gains report
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { getMarkets, getMarketStatus, getCurrencies, getCorporateActions } from '../controllers/marketController.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all market routes
+router.use(rateLimiter);
+
+// Public routes (trading hours, currencies and corporate actions are not user data)
+router.get('/', getMarkets);                           // GET /api/markets - Exchanges with their current state
+router.get('/currencies', getCurrencies);              // GET /api/markets/currencies - Currencies amounts can be converted into
+router.get('/corporate-actions', getCorporateActions); // GET /api/markets/corporate-actions - Recorded splits, symbol changes and delistings
+router.get('/:exchange/status', getMarketStatus);      // GET /api/markets/:exchange/status - Current state, today's sessions, next open and close
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getPortfolio,
+  getHolding,
+  addLot,
+  updateLot,
+  removeLot,
+  removeHolding,
+  loadHolding,
+  validateAddLot,
+  validateUpdateLot
+} from '../controllers/portfolioController.js';
+import { validateRequest } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all portfolio routes
+router.use(rateLimiter);
+
+// All portfolio routes require authentication
+router.use(authenticateToken);
+
+router.get('/', getPortfolio);                                                 // GET /api/portfolio - List positions with valuations
+router.post('/lots', validateRequest, validateAddLot, addLot);                 // POST /api/portfolio/lots - Record a buy lot
+router.get('/:symbol', loadHolding, getHolding);                               // GET /api/portfolio/:symbol - Get a position
+router.delete('/:symbol', loadHolding, removeHolding);                         // DELETE /api/portfolio/:symbol - Remove a position
+router.put('/:symbol/lots/:lotId', validateRequest, loadHolding, validateUpdateLot, updateLot); // PUT /api/portfolio/:symbol/lots/:lotId - Edit a lot
+router.delete('/:symbol/lots/:lotId', loadHolding, removeLot);                 // DELETE /api/portfolio/:symbol/lots/:lotId - Remove a lot
+
+export default router;
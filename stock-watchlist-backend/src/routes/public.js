@@ -0,0 +1,16 @@
+import express from 'express';
+import { getSharedWatchlist } from '../controllers/shareController.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all public routes
+router.use(rateLimiter);
+
+// Public routes work without a token but recognize signed-in users
+router.use(optionalAuth);
+
+router.get('/watchlists/:token', getSharedWatchlist);                          // GET /api/public/watchlists/:token - View a shared watchlist (read-only)
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getScreenerFields,
+  runScreener,
+  getScreens,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  runSavedScreen,
+  loadScreen,
+  validateRunScreen,
+  validateRunSavedScreen,
+  validateCreateScreen,
+  validateUpdateScreen
+} from '../controllers/screenerController.js';
+import { validateRequest } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all screener routes
+router.use(rateLimiter);
+
+// All screener routes require authentication
+router.use(authenticateToken);
+
+router.post('/', validateRequest, validateRunScreen, runScreener);              // POST /api/screener - Run a screen ({ filter, sort, page, limit })
+router.get('/fields', getScreenerFields);                                      // GET /api/screener/fields - Fields and operators screens can use
+router.get('/screens', getScreens);                                            // GET /api/screener/screens - List saved screens
+router.post('/screens', validateRequest, validateCreateScreen, createScreen);  // POST /api/screener/screens - Save a screen
+router.put('/screens/:id', validateRequest, loadScreen, validateUpdateScreen, updateScreen); // PUT /api/screener/screens/:id - Update a saved screen
+router.delete('/screens/:id', loadScreen, deleteScreen);                       // DELETE /api/screener/screens/:id - Delete a saved screen
+router.post('/screens/:id/run', validateRequest, loadScreen, validateRunSavedScreen, runSavedScreen); // POST /api/screener/screens/:id/run - Run a saved screen ({ page, limit })
+
+export default router;
@@ -3,11 +3,20 @@ import {
   getAllStocks, 
   addStock, 
   removeStock, 
-  searchStocks
+  updateStock,
+  validateUpdateStock,
+  bulkAddStocks,
+  bulkRemoveStocks,
+  validateBulkRequest,
+  searchStocks,
+  getStockHistory,
+  getStockIndicators
 } from '../controllers/stockController.js';
-import { validateRequest } from '../middleware/validation.js';
+import { exportStocks, importStocks, receiveImportFile } from '../controllers/importExportController.js';
+import { validateRequest, validateHistoryParams, validateIndicatorParams, validateQueryParams, validateStockSymbolParam } from '../middleware/validation.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { resolveWatchlist, requireWatchlistRole } from '../middleware/watchlist.js';
 
 const router = express.Router();
 
@@ -20,8 +29,20 @@ router.get('/search', searchStocks);             // GET /api/stocks/search?q=que
 // Protected routes (require authentication)
 router.use(authenticateToken); // All routes below require authentication
 
-router.get('/', getAllStocks);                    // GET /api/stocks - Get user's stocks
-router.post('/', validateRequest, addStock);     // POST /api/stocks - Add stock to user's watchlist
-router.delete('/:symbol', removeStock);          // DELETE /api/stocks/:symbol - Remove stock from user's watchlist
+// Watchlist routes act on ?watchlistId= (or watchlistId in the body), defaulting to the user's default list.
+// Reading needs any role on the list; changing its stocks needs the editor role.
+const canView = [resolveWatchlist, requireWatchlistRole('viewer')];
+const canEdit = [resolveWatchlist, requireWatchlistRole('editor')];
+
+router.get('/', validateQueryParams, canView, getAllStocks); // GET /api/stocks?sort=&q=&symbolPrefix=&namePrefix=&addedFrom=&addedTo=&tag=&fields= - Get user's stocks
+router.get('/export', canView, exportStocks);                // GET /api/stocks/export?format=csv|json - Export user's stocks
+router.post('/import', receiveImportFile, canEdit, importStocks); // POST /api/stocks/import - Import stocks from an uploaded CSV/JSON file
+router.get('/:symbol/history', validateStockSymbolParam, validateHistoryParams, getStockHistory); // GET /api/stocks/:symbol/history?range=1m&interval=1d - Price history
+router.get('/:symbol/indicators', validateStockSymbolParam, validateIndicatorParams, getStockIndicators); // GET /api/stocks/:symbol/indicators?range=1y&indicators=sma,rsi&sma=20,50 - Technical indicators
+router.post('/', validateRequest, canEdit, addStock);     // POST /api/stocks - Add stock to user's watchlist
+router.post('/bulk', validateRequest, canEdit, validateBulkRequest, bulkAddStocks);      // POST /api/stocks/bulk - Add many stocks ({ symbols, mode })
+router.delete('/bulk', validateRequest, canEdit, validateBulkRequest, bulkRemoveStocks); // DELETE /api/stocks/bulk - Remove many stocks ({ symbols, mode })
+router.put('/:symbol', validateRequest, validateStockSymbolParam, canEdit, validateUpdateStock, updateStock); // PUT /api/stocks/:symbol - Update notes, tags, targets and conviction
+router.delete('/:symbol', validateStockSymbolParam, canEdit, removeStock); // DELETE /api/stocks/:symbol - Remove stock from user's watchlist
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+import express from 'express';
+import { createStreamToken, streamQuotes } from '../controllers/streamController.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken, authenticateStreamToken } from '../middleware/auth.js';
+import { resolveWatchlist } from '../middleware/watchlist.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all stream routes (each connection counts once)
+router.use(rateLimiter);
+
+// Stream tokens are issued to signed-in users; streams take the usual JWT from the header
+// or a stream token from ?token=
+router.post('/token', authenticateToken, createStreamToken);                   // POST /api/stream/token - Issue a short-lived stream token
+router.get('/quotes', authenticateStreamToken, resolveWatchlist, streamQuotes); // GET /api/stream/quotes?watchlistId=&symbols=&token= - Live quotes (SSE)
+
+export default router;
@@ -3,6 +3,9 @@ import {
   registerUser,
   loginUser,
   getProfile,
+  updatePreferences,
+  getActivity,
+  validateUpdatePreferences,
   validateRegistration,
   validateLogin
 } from '../controllers/userController.js';
@@ -22,5 +25,7 @@ router.post('/login', validateLogin, loginUser);              // POST /api/users
 router.use(authenticateToken); // All routes below require authentication
 
 router.get('/profile', getProfile);                           // GET /api/users/profile
+router.put('/preferences', validateUpdatePreferences, updatePreferences); // PUT /api/users/preferences
+router.get('/activity', getActivity);                         // GET /api/users/activity
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import express from 'express';
+import {
+  getWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  validateCreateWatchlist,
+  validateUpdateWatchlist,
+  validateAddMember,
+  validateUpdateMember
+} from '../controllers/watchlistController.js';
+import {
+  getAllStocks,
+  addStock,
+  updateStock,
+  removeStock,
+  bulkAddStocks,
+  bulkRemoveStocks,
+  reorderStocks,
+  validateUpdateStock,
+  validateBulkRequest,
+  validateReorderStocks
+} from '../controllers/stockController.js';
+import {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  validateCreateShareLink
+} from '../controllers/shareController.js';
+import { exportStocks, importStocks, receiveImportFile } from '../controllers/importExportController.js';
+import { validateRequest, validateQueryParams, validateStockSymbolParam } from '../middleware/validation.js';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { loadWatchlist, requireWatchlistRole } from '../middleware/watchlist.js';
+
+const router = express.Router();
+
+// Apply rate limiting to all watchlist routes
+router.use(rateLimiter);
+
+// All watchlist routes require authentication
+router.use(authenticateToken);
+
+// Any member can read a list; editors can change its stocks; only the owner can change the list itself
+const canView = [loadWatchlist, requireWatchlistRole('viewer')];
+const canEdit = [loadWatchlist, requireWatchlistRole('editor')];
+const isOwner = [loadWatchlist, requireWatchlistRole('owner')];
+
+router.get('/', getWatchlists);                                                        // GET /api/watchlists - List own and shared watchlists
+router.post('/', validateRequest, validateCreateWatchlist, createWatchlist);           // POST /api/watchlists - Create a watchlist
+router.get('/:id', canView, getWatchlist);                                             // GET /api/watchlists/:id - Get a watchlist
+router.put('/:id', validateRequest, isOwner, validateUpdateWatchlist, updateWatchlist); // PUT /api/watchlists/:id - Update a watchlist
+router.delete('/:id', isOwner, deleteWatchlist);                                       // DELETE /api/watchlists/:id - Delete a watchlist and its stocks
+
+// Stocks within a specific watchlist
+router.get('/:id/stocks', validateQueryParams, canView, getAllStocks);                  // GET /api/watchlists/:id/stocks - Get stocks in a watchlist
+router.post('/:id/stocks', validateRequest, canEdit, addStock);                        // POST /api/watchlists/:id/stocks - Add stock to a watchlist
+router.get('/:id/stocks/export', canView, exportStocks);                                // GET /api/watchlists/:id/stocks/export?format=csv|json - Export a watchlist
+router.post('/:id/stocks/import', receiveImportFile, canEdit, importStocks);            // POST /api/watchlists/:id/stocks/import - Import into a watchlist
+router.post('/:id/stocks/bulk', validateRequest, canEdit, validateBulkRequest, bulkAddStocks);      // POST /api/watchlists/:id/stocks/bulk - Add many stocks
+router.delete('/:id/stocks/bulk', validateRequest, canEdit, validateBulkRequest, bulkRemoveStocks); // DELETE /api/watchlists/:id/stocks/bulk - Remove many stocks
+router.put('/:id/stocks/:symbol', validateRequest, validateStockSymbolParam, canEdit, validateUpdateStock, updateStock); // PUT /api/watchlists/:id/stocks/:symbol - Update a stock in a watchlist
+router.delete('/:id/stocks/:symbol', validateStockSymbolParam, canEdit, removeStock);   // DELETE /api/watchlists/:id/stocks/:symbol - Remove stock from a watchlist
+router.put('/:id/order', validateRequest, canEdit, validateReorderStocks, reorderStocks); // PUT /api/watchlists/:id/order - Reorder stocks ({ symbols } or { symbol, index }, plus orderVersion)
+
+// Members and their roles
+router.get('/:id/members', canView, getMembers);                                       // GET /api/watchlists/:id/members - List owner and members
+router.post('/:id/members', validateRequest, isOwner, validateAddMember, addMember);    // POST /api/watchlists/:id/members - Invite a user by username or email
+router.put('/:id/members/:userId', validateRequest, isOwner, validateUpdateMember, updateMember); // PUT /api/watchlists/:id/members/:userId - Change a member's role
+router.delete('/:id/members/:userId', canView, removeMember);                          // DELETE /api/watchlists/:id/members/:userId - Remove a member (or leave the list)
+
+// Read-only share links
+router.get('/:id/shares', isOwner, getShareLinks);                                      // GET /api/watchlists/:id/shares - List share links
+router.post('/:id/shares', validateRequest, isOwner, validateCreateShareLink, createShareLink); // POST /api/watchlists/:id/shares - Create a share link
+router.delete('/:id/shares/:shareId', isOwner, revokeShareLink);                        // DELETE /api/watchlists/:id/shares/:shareId - Revoke a share link
+
+export default router;
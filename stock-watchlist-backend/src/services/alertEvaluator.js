@@ -0,0 +1,176 @@
+import Alert from '../models/Alert.js';
+import { getQuotes } from './quoteService.js';
+import { getMarketDataProvider } from './marketData/index.js';
+import { getCache, getCacheTtl } from './cache.js';
+import { sma, lastValue } from './indicators.js';
+import { getMarketStates } from './marketCalendar.js';
+
+// Simple moving average of the last `period` daily closes
+const getMovingAverage = async (symbol, period) => {
+  const provider = getMarketDataProvider();
+  const range = period <= 100 ? '6m' : '1y';
+
+  const { value: history } = await getCache().wrap(
+    `history:${provider.name}:${symbol}:${range}:1d`,
+    getCacheTtl('history'),
+    () => provider.getHistory(symbol, { range, interval: '1d' })
+  );
+
+  const closes = history.candles.map(candle => candle.close).filter(close => close !== null);
+  return lastValue(sma(closes, period));
+};
+
+// Decide whether an alert's condition holds for the current quote.
+// Returns { met, value, state } where state is the side of the moving average (MA alerts only).
+export const evaluateCondition = (alert, quote, movingAverage = null) => {
+  switch (alert.type) {
+    case 'price_above':
+      return { met: quote.price >= alert.threshold, value: quote.price };
+
+    case 'price_below':
+      return { met: quote.price <= alert.threshold, value: quote.price };
+
+    case 'percent_change':
+      return {
+        met: quote.changePercent !== null && Math.abs(quote.changePercent) >= Math.abs(alert.threshold),
+        value: quote.changePercent
+      };
+
+    case 'ma_cross_above':
+    case 'ma_cross_below': {
+      if (movingAverage === null) {
+        return { met: false, value: null, state: alert.lastState };
+      }
+
+      const state = quote.price >= movingAverage ? 'above' : 'below';
+      const target = alert.type === 'ma_cross_above' ? 'above' : 'below';
+
+      // A crossing needs a previous observation on the other side
+      return {
+        met: alert.lastState !== null && alert.lastState !== state && state === target,
+        value: movingAverage,
+        state
+      };
+    }
+
+    default:
+      return { met: false, value: null };
+  }
+};
+
+// Whether an alert may fire in its market's current session (null: no known calendar)
+const isWithinMarketHours = (alert, marketState) => {
+  if (marketState === null || alert.marketHours === 'any') return true;
+  if (alert.marketHours === 'regular') return marketState === 'regular';
+  return marketState !== 'closed';
+};
+
+// Evaluate active alerts against current quotes.
+// Pass a user id to evaluate only that user's alerts.
+// Resolves to { evaluated, triggered: [alert] }.
+export const evaluateAlerts = async ({ user } = {}) => {
+  const filter = { isActive: true };
+  if (user) filter.user = user;
+
+  const alerts = await Alert.find(filter);
+  if (alerts.length === 0) {
+    return { evaluated: 0, triggered: [] };
+  }
+
+  const { quotes } = await getQuotes(alerts.map(alert => alert.symbol));
+
+  // Without calendars every alert is evaluated, as if its market hours were 'any'
+  let marketStates = new Map();
+  try {
+    marketStates = await getMarketStates(alerts.map(alert => alert.symbol));
+  } catch (error) {
+    console.error('Market calendar lookup failed:', error.message);
+  }
+
+  const movingAverages = new Map();
+  const triggered = [];
+  const now = new Date();
+
+  for (const alert of alerts) {
+    const quote = quotes.get(alert.symbol);
+    if (!quote || quote.price === null) {
+      continue;
+    }
+
+    // Outside the alert's market hours quotes are stale (or thinly traded), so wait
+    const marketState = marketStates.get(alert.symbol)?.state || null;
+    if (!isWithinMarketHours(alert, marketState)) {
+      continue;
+    }
+
+    let movingAverage = null;
+    if (alert.type.startsWith('ma_')) {
+      const key = `${alert.symbol}:${alert.maPeriod}`;
+      if (!movingAverages.has(key)) {
+        try {
+          movingAverages.set(key, await getMovingAverage(alert.symbol, alert.maPeriod));
+        } catch (error) {
+          console.error(`Moving average lookup failed for ${alert.symbol}:`, error.message);
+          movingAverages.set(key, null);
+        }
+      }
+      movingAverage = movingAverages.get(key);
+    }
+
+    // One alert that cannot be saved must not stop the rest of the run
+    try {
+      const { met, value, state } = evaluateCondition(alert, quote, movingAverage);
+
+      if (state !== undefined) {
+        alert.lastState = state;
+      }
+      alert.lastEvaluatedAt = now;
+
+      const fires = met && !alert.isCoolingDown(now);
+      if (fires) {
+        alert.recordTrigger({ price: quote.price, value, marketState }, now);
+      }
+
+      await alert.save();
+      if (fires) triggered.push(alert);
+    } catch (error) {
+      console.error(`Alert ${alert._id} evaluation failed:`, error.message);
+    }
+  }
+
+  return { evaluated: alerts.length, triggered };
+};
+
+let evaluatorTimer = null;
+let evaluationRunning = false;
+
+// Start the background evaluator (no-op if it is already running)
+export const startAlertEvaluator = (intervalMs = 60 * 1000) => {
+  if (evaluatorTimer) return;
+
+  evaluatorTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow evaluation
+    if (evaluationRunning) return;
+    evaluationRunning = true;
+
+    try {
+      const { evaluated, triggered } = await evaluateAlerts();
+      if (triggered.length > 0) {
+        console.log(`🔔 ${triggered.length} of ${evaluated} alert(s) triggered`);
+      }
+    } catch (error) {
+      console.error('❌ Alert evaluation failed:', error.message);
+    } finally {
+      evaluationRunning = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for alerts
+  evaluatorTimer.unref();
+};
+
+// Stop the background evaluator
+export const stopAlertEvaluator = () => {
+  clearInterval(evaluatorTimer);
+  evaluatorTimer = null;
+};
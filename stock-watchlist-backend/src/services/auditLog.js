@@ -0,0 +1,32 @@
+import AuditEvent from '../models/AuditEvent.js';
+
+// Where a request came from (nowhere for background jobs)
+const describeClient = (req) => ({
+  ip: (req?.ip || req?.socket?.remoteAddress || '').slice(0, 64) || null,
+  userAgent: (req?.get('user-agent') || '').slice(0, 500) || null
+});
+
+// Append an event to the audit log for a request (null for changes made by a background job).
+//   action     one of AUDIT_ACTIONS
+//   user       whose account or data it concerns (defaults to the actor)
+//   actor      who did it (defaults to the authenticated user; null when nobody is signed in or for a job)
+//   target     { type, id, label }
+//   watchlist  list the change was made in, details  action-specific extras
+// A failed write is logged rather than failing the change it records.
+export const recordAuditEvent = async (req, { action, user, actor, target, watchlist = null, details = null }) => {
+  const actorId = actor === undefined ? req?.user?._id || null : actor;
+
+  try {
+    await AuditEvent.create({
+      actor: actorId,
+      user: user || actorId,
+      action,
+      target,
+      watchlist,
+      details,
+      ...describeClient(req)
+    });
+  } catch (error) {
+    console.error('Audit log write failed:', error.message);
+  }
+};
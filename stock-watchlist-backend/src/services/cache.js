@@ -0,0 +1,142 @@
+// Server-side cache for market-data lookups.
+//
+// A store is any object implementing the async interface below, so the default
+// in-memory LRU can be swapped for Redis, Memcached, etc. via setCacheStore():
+//
+//   get(key)               -> cached value, or undefined on a miss
+//   set(key, value, ttlMs) -> store a value that expires after ttlMs
+//   delete(key)
+//   clear()
+
+// In-memory store with least-recently-used eviction
+export class MemoryStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so the entry becomes the most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    // Map iteration order is insertion order, so the first key is the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+export class Cache {
+  constructor(store) {
+    this.store = store;
+    this.pending = new Map();
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    return this.store.set(key, value, ttlMs);
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  // Run loader once for concurrent callers sharing the same key.
+  // Resolves to { value, shared } where shared is true for callers that joined an in-flight load.
+  async coalesce(key, loader) {
+    if (this.pending.has(key)) {
+      return { value: await this.pending.get(key), shared: true };
+    }
+
+    const promise = Promise.resolve().then(loader);
+    this.pending.set(key, promise);
+
+    try {
+      return { value: await promise, shared: false };
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  // Return a cached value or load, store and return it.
+  // Resolves to { value, status } where status is HIT, MISS or COALESCED.
+  async wrap(key, ttlMs, loader) {
+    const cached = await this.store.get(key);
+    if (cached !== undefined) {
+      return { value: cached, status: 'HIT' };
+    }
+
+    const { value, shared } = await this.coalesce(key, async () => {
+      const loaded = await loader();
+      await this.store.set(key, loaded, ttlMs);
+      return loaded;
+    });
+
+    return { value, status: shared ? 'COALESCED' : 'MISS' };
+  }
+}
+
+// Read a TTL in seconds from the environment and convert it to milliseconds
+const readTtl = (name, fallbackSeconds) => {
+  const seconds = parseInt(process.env[name]);
+  return (isNaN(seconds) || seconds < 0 ? fallbackSeconds : seconds) * 1000;
+};
+
+// TTLs per kind of lookup (read lazily so dotenv has run)
+export const getCacheTtl = (kind) => {
+  const defaultTtl = readTtl('CACHE_TTL', 3600) / 1000;
+
+  const ttls = {
+    search: () => readTtl('CACHE_SEARCH_TTL', defaultTtl),
+    quote: () => readTtl('CACHE_QUOTE_TTL', 15),
+    history: () => readTtl('CACHE_HISTORY_TTL', 300),
+    catalog: () => readTtl('CACHE_CATALOG_TTL', 300)
+  };
+
+  return (ttls[kind] || (() => defaultTtl * 1000))();
+};
+
+let activeCache = null;
+
+// Get the shared cache instance
+export const getCache = () => {
+  if (!activeCache) {
+    const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+    activeCache = new Cache(new MemoryStore({ maxEntries }));
+  }
+
+  return activeCache;
+};
+
+// Replace the backing store (e.g. with a Redis-backed implementation)
+export const setCacheStore = (store) => {
+  activeCache = new Cache(store);
+};
@@ -0,0 +1,469 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import CorporateAction, { CORPORATE_ACTION_TYPES } from '../models/CorporateAction.js';
+import Stock from '../models/Stock.js';
+import Holding from '../models/Holding.js';
+import Alert from '../models/Alert.js';
+import Income from '../models/Income.js';
+import Transaction from '../models/Transaction.js';
+import { getMarketDataProvider } from './marketData/index.js';
+import { validateStockSymbol } from '../utils/validators.js';
+import { syncHoldingWithLedger } from './positions.js';
+import { recordAuditEvent } from './auditLog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ACTIONS_FILE = path.resolve(__dirname, '../../data/corporate-actions/actions.json');
+
+export const CORPORATE_ACTION_FEEDS = ['provider', 'file', 'merged'];
+
+// Alert types whose threshold is a price (and so moves with a split)
+const PRICE_ALERT_TYPES = ['price_above', 'price_below'];
+
+// Read corporate-action settings lazily so dotenv has run.
+// Actions come from the local actions file unless the market-data provider (or both, merged)
+// is configured explicitly; the provider is asked about at most providerBatchSize symbols a run.
+export const getCorporateActionsConfig = () => {
+  const feed = (process.env.CORPORATE_ACTIONS_SOURCE || 'file').toLowerCase();
+
+  return {
+    feed: CORPORATE_ACTION_FEEDS.includes(feed) ? feed : 'file',
+    actionsFile: process.env.CORPORATE_ACTIONS_FILE
+      ? path.resolve(process.env.CORPORATE_ACTIONS_FILE)
+      : DEFAULT_ACTIONS_FILE,
+    providerBatchSize: parseInt(process.env.CORPORATE_ACTIONS_PROVIDER_BATCH_SIZE) || 50
+  };
+};
+
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Split ratios may be given as a number (2, 0.1) or as "new:old" ("2:1", "1:10")
+const parseRatio = (value) => {
+  if (typeof value === 'string' && value.includes(':')) {
+    const [numerator, denominator] = value.split(':').map(Number);
+    return denominator > 0 ? numerator / denominator : NaN;
+  }
+  return Number(value);
+};
+
+// Check a raw action from the provider or the actions file; returns { action } or { error }
+export const normalizeCorporateAction = (record) => {
+  const type = String(record?.type || '').toLowerCase();
+  if (!CORPORATE_ACTION_TYPES.includes(type)) {
+    return { error: `Unknown corporate action type: ${record?.type || '(none)'}` };
+  }
+
+  const symbolValidation = validateStockSymbol(record.symbol);
+  if (!symbolValidation.isValid) {
+    return { error: `${record.symbol || '(no symbol)'}: ${symbolValidation.message}` };
+  }
+  const symbol = symbolValidation.symbol;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(record.effectiveDate || '') || isNaN(Date.parse(record.effectiveDate))) {
+    return { error: `${symbol}: effectiveDate must be a YYYY-MM-DD date` };
+  }
+
+  const action = {
+    type,
+    symbol,
+    effectiveDate: new Date(`${record.effectiveDate}T00:00:00Z`),
+    description: String(record.description || '').trim().slice(0, 200)
+  };
+
+  if (type === 'split') {
+    const ratio = parseRatio(record.ratio);
+    if (!Number.isFinite(ratio) || ratio <= 0 || ratio === 1) {
+      return { error: `${symbol}: split ratio must be a positive number other than 1` };
+    }
+    action.ratio = ratio;
+  }
+
+  if (type === 'symbol_change') {
+    const newSymbolValidation = validateStockSymbol(record.newSymbol);
+    if (!newSymbolValidation.isValid) {
+      return { error: `${symbol}: new symbol ${record.newSymbol || '(none)'}: ${newSymbolValidation.message}` };
+    }
+    if (newSymbolValidation.symbol === symbol) {
+      return { error: `${symbol}: new symbol must differ from the old one` };
+    }
+    action.newSymbol = newSymbolValidation.symbol;
+  }
+
+  return { action };
+};
+
+// Read the local actions file: { actions: [...] } in the provider's shape
+const readActionsFile = async () => {
+  const { actionsFile } = getCorporateActionsConfig();
+
+  try {
+    const data = JSON.parse(await fs.readFile(actionsFile, 'utf8'));
+    return Array.isArray(data) ? data : data?.actions || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`${actionsFile}: ${error.message}`);
+  }
+};
+
+// Symbols anyone follows: watchlist entries and open positions
+const getTrackedSymbols = async () => {
+  const [stockSymbols, holdingSymbols] = await Promise.all([
+    Stock.distinct('symbol'),
+    Holding.distinct('symbol')
+  ]);
+  return [...new Set([...stockSymbols, ...holdingSymbols])].sort();
+};
+
+// Where the next provider lookup resumes in the tracked symbols
+let providerCursor = 0;
+
+// The next batch of tracked symbols to ask the provider about; successive runs work through
+// the whole list so every symbol is checked within a few runs
+const nextProviderBatch = (symbols, batchSize) => {
+  if (symbols.length <= batchSize) return symbols;
+
+  const start = providerCursor % symbols.length;
+  providerCursor = start + batchSize;
+  return [...symbols, ...symbols].slice(start, start + batchSize);
+};
+
+// Fetch corporate actions and record the ones not seen before.
+// The provider is only asked about a batch of tracked symbols; the actions file is recorded in full.
+// A provider failure is logged and the file is still read.
+// Resolves to { received, recorded, skipped, actions } (nothing is recorded on a dry run).
+export const ingestCorporateActions = async ({ dryRun = false } = {}) => {
+  const { feed, providerBatchSize } = getCorporateActionsConfig();
+  const records = [];
+
+  if (feed !== 'file') {
+    try {
+      const provider = getMarketDataProvider();
+      const symbols = nextProviderBatch(await getTrackedSymbols(), providerBatchSize);
+      if (symbols.length > 0) {
+        const actions = await provider.getCorporateActions(symbols);
+        records.push(...actions.map(action => ({ ...action, source: 'provider' })));
+      }
+    } catch (error) {
+      console.error('Corporate action lookup failed:', error.message);
+    }
+  }
+
+  if (feed !== 'provider') {
+    const actions = await readActionsFile();
+    records.push(...actions.map(action => ({ ...action, source: 'file' })));
+  }
+
+  const actions = [];
+  let skipped = 0;
+  for (const record of records) {
+    const { action, error } = normalizeCorporateAction(record);
+    if (error) {
+      skipped += 1;
+      console.warn(`Corporate action skipped (${record.source}): ${error}`);
+      continue;
+    }
+    actions.push({ ...action, source: record.source });
+  }
+
+  if (dryRun || actions.length === 0) {
+    return { received: records.length, recorded: 0, skipped, actions };
+  }
+
+  // Recorded actions are never rewritten, so one that was already applied stays applied
+  const result = await CorporateAction.bulkWrite(actions.map(action => ({
+    updateOne: {
+      filter: { type: action.type, symbol: action.symbol, effectiveDate: action.effectiveDate },
+      update: { $setOnInsert: action },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { received: records.length, recorded: result.upsertedCount, skipped, actions };
+};
+
+// Matches records whose value was set before a date (records from before the timestamp
+// existed fall back to when they were created)
+const setBefore = (field, createdField, date) => ({
+  $or: [{ [field]: { $lt: date } }, { [field]: null, [createdField]: { $lt: date } }]
+});
+
+// Lots, targets and thresholds set before the split are in pre-split shares and prices.
+// Every update records the split's effective date on what it changed and only matches records
+// without it, so a run retried after a partial failure does not rescale anything twice.
+const applySplit = async (action) => {
+  const { symbol, ratio, effectiveDate } = action;
+  const targetsFilter = setBefore('targetsSetAt', 'addedAt', effectiveDate);
+
+  const stocks = await Stock.find({
+    symbol,
+    ...targetsFilter,
+    $and: [{ $or: [{ targetBuyPrice: { $ne: null } }, { targetSellPrice: { $ne: null } }] }]
+  }).select('user targetBuyPrice targetSellPrice').lean();
+
+  let stocksChanged = 0;
+  if (stocks.length > 0) {
+    const result = await Stock.bulkWrite(stocks.map(stock => ({
+      updateOne: {
+        filter: { _id: stock._id, ...targetsFilter },
+        update: {
+          $set: {
+            targetBuyPrice: typeof stock.targetBuyPrice === 'number' ? round(stock.targetBuyPrice / ratio) : null,
+            targetSellPrice: typeof stock.targetSellPrice === 'number' ? round(stock.targetSellPrice / ratio) : null,
+            targetsSetAt: effectiveDate
+          }
+        }
+      }
+    })));
+    stocksChanged = result.modifiedCount;
+  }
+
+  // Lots that mirror the ledger follow the split transactions recorded below
+  const holdings = [];
+  for (const holding of await Holding.find({ symbol })) {
+    const lots = holding.lots.filter(lot => !lot.transaction && lot.purchasedAt < effectiveDate
+      && !(lot.splitAdjustedAt >= effectiveDate));
+    if (lots.length === 0) continue;
+
+    lots.forEach(lot => {
+      lot.quantity = round(lot.quantity * ratio, 8);
+      lot.price = round(lot.price / ratio);
+      lot.splitAdjustedAt = effectiveDate;
+    });
+    await holding.save();
+    holdings.push(holding.user);
+  }
+
+  const thresholdFilter = setBefore('thresholdSetAt', 'createdAt', effectiveDate);
+  const alerts = await Alert.find({ symbol, type: { $in: PRICE_ALERT_TYPES }, ...thresholdFilter })
+    .select('user threshold')
+    .lean();
+
+  let alertsChanged = 0;
+  if (alerts.length > 0) {
+    const result = await Alert.bulkWrite(alerts.map(alert => ({
+      updateOne: {
+        filter: { _id: alert._id, ...thresholdFilter },
+        update: { $set: { threshold: round(alert.threshold / ratio), thresholdSetAt: effectiveDate } }
+      }
+    })));
+    alertsChanged = result.modifiedCount;
+  }
+
+  // The ledger is append-only, so the split is recorded as a transaction for everyone who traded
+  // the symbol (or a former ticker) before it, unless they recorded it themselves
+  const symbols = [symbol, ...getPreviousSymbols(await getSymbolRenames(), symbol)];
+  const dayEnd = new Date(effectiveDate.getTime() + 24 * 60 * 60 * 1000);
+  const [traders, recorded] = await Promise.all([
+    Transaction.distinct('user', { symbol: { $in: symbols }, type: { $ne: 'split' }, executedAt: { $lt: effectiveDate } }),
+    Transaction.distinct('user', { symbol: { $in: symbols }, type: 'split', executedAt: { $gte: effectiveDate, $lt: dayEnd } })
+  ]);
+  const recordedUsers = new Set(recorded.map(user => user.toString()));
+  const splitTransactions = traders
+    .filter(user => !recordedUsers.has(user.toString()))
+    .map(user => ({
+      user,
+      symbol,
+      type: 'split',
+      ratio,
+      executedAt: effectiveDate,
+      note: (action.description || 'Stock split').slice(0, 200)
+    }));
+
+  if (splitTransactions.length > 0) {
+    await Transaction.insertMany(splitTransactions);
+  }
+  for (const { user } of splitTransactions) {
+    await syncHoldingWithLedger(user, symbol);
+  }
+
+  return {
+    applied: { stocks: stocksChanged, holdings: holdings.length, alerts: alertsChanged, transactions: splitTransactions.length },
+    users: [...stocks, ...alerts].map(record => record.user)
+      .concat(holdings, splitTransactions.map(transaction => transaction.user))
+  };
+};
+
+// Move watchlist entries, positions, alerts and income to the new ticker.
+// Where the new ticker is already there, the old entry or position is folded into it.
+// Ledger transactions are immutable and keep the old ticker; the ledger maps it on replay.
+const applySymbolChange = async (action) => {
+  const { symbol, newSymbol } = action;
+  const users = [];
+  let stocks = 0;
+
+  for (const stock of await Stock.find({ symbol })) {
+    const existing = await Stock.findOne({ watchlist: stock.watchlist, symbol: newSymbol });
+
+    if (existing) {
+      existing.previousSymbols = [...new Set([...existing.previousSymbols, ...stock.previousSymbols, symbol])];
+      await existing.save();
+      await Holding.updateMany({ stock: stock._id }, { $set: { stock: existing._id } });
+      await Alert.updateMany({ stock: stock._id }, { $set: { stock: existing._id } });
+      await stock.deleteOne();
+    } else {
+      stock.previousSymbols = [...new Set([...stock.previousSymbols, symbol])];
+      stock.symbol = newSymbol;
+      await stock.save();
+    }
+    users.push(stock.user);
+    stocks += 1;
+  }
+
+  let holdings = 0;
+  for (const holding of await Holding.find({ symbol })) {
+    const existing = await Holding.findOne({ user: holding.user, symbol: newSymbol });
+
+    if (existing) {
+      existing.lots.push(...holding.lots.map(lot => lot.toObject()));
+      await existing.save();
+      await holding.deleteOne();
+    } else {
+      holding.symbol = newSymbol;
+      await holding.save();
+    }
+    users.push(holding.user);
+    holdings += 1;
+  }
+
+  users.push(...await Alert.distinct('user', { symbol }), ...await Income.distinct('user', { symbol }));
+  const alerts = await Alert.updateMany({ symbol }, { $set: { symbol: newSymbol } });
+  await Income.updateMany({ symbol }, { $set: { symbol: newSymbol } });
+
+  return { applied: { stocks, holdings, alerts: alerts.modifiedCount, transactions: 0 }, users };
+};
+
+// Flag watchlist entries and switch off alerts that can no longer trigger; positions are kept
+const applyDelisting = async (action) => {
+  const { symbol, effectiveDate } = action;
+  const stockFilter = { symbol, delistedAt: null };
+  const alertFilter = { symbol, isActive: true };
+
+  const users = [...await Stock.distinct('user', stockFilter), ...await Alert.distinct('user', alertFilter)];
+  const stocks = await Stock.updateMany(stockFilter, { $set: { delistedAt: effectiveDate } });
+  const alerts = await Alert.updateMany(alertFilter, { $set: { isActive: false } });
+
+  return { applied: { stocks: stocks.modifiedCount, holdings: 0, alerts: alerts.modifiedCount, transactions: 0 }, users };
+};
+
+// Each applier resolves to { applied: counts of what it changed, users: ids of the users whose data it changed }
+const APPLIERS = {
+  split: applySplit,
+  symbol_change: applySymbolChange,
+  delisting: applyDelisting
+};
+
+// Apply recorded actions that have taken effect, oldest first, so chained changes
+// (a rename followed by a split) land on the right ticker.
+// An action that fails is logged and retried on the next run. Resolves to [action].
+export const applyCorporateActions = async (now = new Date()) => {
+  const pending = await CorporateAction.find({ appliedAt: null, effectiveDate: { $lte: now } })
+    .sort({ effectiveDate: 1, createdAt: 1 });
+  const applied = [];
+
+  for (const action of pending) {
+    try {
+      const { applied: counts, users } = await APPLIERS[action.type](action);
+      action.applied = counts;
+      action.appliedAt = new Date();
+      await action.save();
+      applied.push(action);
+
+      // Each user whose data the action changed sees it in their activity
+      for (const user of new Set(users.map(String))) {
+        await recordAuditEvent(null, {
+          action: 'corporate_action.apply',
+          user,
+          actor: null,
+          target: { type: 'corporate_action', id: action._id, label: action.symbol },
+          details: {
+            type: action.type,
+            newSymbol: action.newSymbol,
+            ratio: action.ratio,
+            effectiveDate: action.effectiveDate
+          }
+        });
+      }
+    } catch (error) {
+      console.error(`Corporate action ${action.type} for ${action.symbol} failed:`, error.message);
+    }
+  }
+
+  return applied;
+};
+
+// Tickers that were renamed to `symbol`, directly or through earlier renames (see getSymbolRenames)
+export const getPreviousSymbols = (renames, symbol) =>
+  [...renames].filter(([, current]) => current === symbol).map(([previous]) => previous);
+
+// Map of every renamed ticker to the one it trades under now (FB -> META)
+export const getSymbolRenames = async () => {
+  const changes = await CorporateAction.find({ type: 'symbol_change', appliedAt: { $ne: null } })
+    .sort({ effectiveDate: 1 })
+    .select('symbol newSymbol')
+    .lean();
+
+  const renames = new Map(changes.map(change => [change.symbol, change.newSymbol]));
+
+  // Follow chains (A -> B -> C); the seen set stops a ticker that was later reused from looping
+  renames.forEach((next, previous) => {
+    const seen = new Set([previous]);
+    let current = next;
+    while (renames.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = renames.get(current);
+    }
+    renames.set(previous, current);
+  });
+
+  return renames;
+};
+
+// Put ledger transactions recorded under former tickers onto the current ticker
+export const withCurrentSymbols = (transactions, renames) =>
+  transactions.map(transaction => (renames.has(transaction.symbol)
+    ? { ...transaction, symbol: renames.get(transaction.symbol) }
+    : transaction));
+
+// Fetch new corporate actions, then apply those that have taken effect
+export const syncCorporateActions = async () => {
+  const ingested = await ingestCorporateActions();
+  const applied = await applyCorporateActions();
+  return { ...ingested, applied };
+};
+
+let syncTimer = null;
+let syncRunning = false;
+
+// Start the background corporate-actions job (no-op if it is already running)
+export const startCorporateActionsJob = (intervalMs = 6 * 60 * 60 * 1000) => {
+  if (syncTimer) return;
+
+  syncTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sync
+    if (syncRunning) return;
+    syncRunning = true;
+
+    try {
+      const { recorded, applied } = await syncCorporateActions();
+      if (recorded > 0 || applied.length > 0) {
+        console.log(`🏢 ${recorded} corporate action(s) recorded, ${applied.length} applied`);
+      }
+    } catch (error) {
+      console.error('❌ Corporate actions sync failed:', error.message);
+    } finally {
+      syncRunning = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for corporate actions
+  syncTimer.unref();
+};
+
+// Stop the background corporate-actions job
+export const stopCorporateActionsJob = () => {
+  clearInterval(syncTimer);
+  syncTimer = null;
+};
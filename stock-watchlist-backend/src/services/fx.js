@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getQuotes } from './quoteService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RATES_FILE = path.resolve(__dirname, '../../data/fx/rates.json');
+
+export const FX_SOURCES = ['provider', 'file'];
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Minor units some exchanges quote in (LSE prices are in pence)
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', divisor: 100 },
+  GBX: { currency: 'GBP', divisor: 100 },
+  ZAc: { currency: 'ZAR', divisor: 100 },
+  ILA: { currency: 'ILS', divisor: 100 }
+};
+
+// Read FX settings lazily so dotenv has run.
+// Rates come from the market-data provider (USDxxx=X quotes) by default, or only from the
+// local rates file, which is also the fallback for currencies the provider cannot price.
+export const getFxConfig = () => {
+  const provider = (process.env.MARKET_DATA_PROVIDER || 'rapidapi').toLowerCase();
+  const source = (process.env.FX_RATES_SOURCE || (provider === 'fixture' ? 'file' : 'provider')).toLowerCase();
+
+  return {
+    source: FX_SOURCES.includes(source) ? source : 'provider',
+    ratesFile: process.env.FX_RATES_FILE ? path.resolve(process.env.FX_RATES_FILE) : DEFAULT_RATES_FILE
+  };
+};
+
+// Split a quoted currency into its ISO currency and the divisor to get there (GBp -> GBP / 100)
+export const normalizeCurrency = (code) => {
+  if (typeof code !== 'string' || code.trim() === '') return null;
+  const trimmed = code.trim();
+  return MINOR_UNITS[trimmed] || { currency: trimmed.toUpperCase(), divisor: 1 };
+};
+
+let ratesFilePromise = null;
+
+// Load the local rates file once: { base, asOf, rates } with rates as units per base currency
+const loadRatesFile = () => {
+  if (!ratesFilePromise) {
+    ratesFilePromise = (async () => {
+      const { ratesFile } = getFxConfig();
+      const data = JSON.parse(await fs.readFile(ratesFile, 'utf8'));
+      const base = String(data.base || DEFAULT_BASE_CURRENCY).toUpperCase();
+
+      const rates = new Map(Object.entries(data.rates || {})
+        .map(([currency, rate]) => [currency.toUpperCase(), Number(rate)])
+        .filter(([, rate]) => Number.isFinite(rate) && rate > 0));
+      rates.set(base, 1);
+
+      // Store everything per USD so provider rates (USDxxx=X) mix in directly
+      const usdRate = rates.get('USD');
+      if (!usdRate) {
+        throw new Error(`${ratesFile}: rates must include USD`);
+      }
+      rates.forEach((rate, currency) => rates.set(currency, rate / usdRate));
+
+      return { asOf: data.asOf || null, rates };
+    })();
+
+    // Let a later call retry after the file is fixed
+    ratesFilePromise.catch(() => { ratesFilePromise = null; });
+  }
+
+  return ratesFilePromise;
+};
+
+// Currencies users can pick as a base currency (those the rates file knows)
+export const getSupportedCurrencies = async () => [...(await loadRatesFile()).rates.keys()].sort();
+
+// Rates (units per USD) for ISO currencies, from the provider where possible.
+// Resolves to a Map of currency -> rate; currencies nobody can price are left out.
+const getUsdRates = async (currencies) => {
+  const { source } = getFxConfig();
+  const { rates: fileRates } = await loadRatesFile();
+  const rates = new Map([['USD', 1]]);
+  const wanted = [...new Set(currencies)].filter(currency => currency !== 'USD');
+
+  if (source === 'provider' && wanted.length > 0) {
+    try {
+      const { quotes } = await getQuotes(wanted.map(currency => `USD${currency}=X`));
+      wanted.forEach(currency => {
+        const price = quotes.get(`USD${currency}=X`)?.price;
+        if (Number.isFinite(price) && price > 0) rates.set(currency, price);
+      });
+    } catch (error) {
+      console.error('FX rate lookup failed:', error.message);
+    }
+  }
+
+  wanted.forEach(currency => {
+    if (!rates.has(currency) && fileRates.has(currency)) {
+      rates.set(currency, fileRates.get(currency));
+    }
+  });
+
+  return rates;
+};
+
+// Build a converter into a target currency for amounts quoted in any of `fromCurrencies`.
+// convert(amount, from) returns the converted amount (null when there is no rate);
+// rate(from) is what one unit of `from`, as quoted, is worth in the target currency.
+export const createCurrencyConverter = async (to, fromCurrencies = []) => {
+  const target = normalizeCurrency(to);
+  const sources = fromCurrencies.map(normalizeCurrency).filter(Boolean);
+  const usdRates = await getUsdRates([target.currency, ...sources.map(source => source.currency)]);
+
+  const rate = (from) => {
+    const source = normalizeCurrency(from);
+    if (!source) return null;
+
+    const fromRate = usdRates.get(source.currency);
+    const toRate = usdRates.get(target.currency);
+    if (!fromRate || !toRate) return null;
+
+    return (toRate / fromRate) * target.divisor / source.divisor;
+  };
+
+  return {
+    currency: to,
+    rate,
+    convert: (amount, from) => {
+      if (amount === null || amount === undefined || !Number.isFinite(amount)) return null;
+      const fxRate = rate(from);
+      return fxRate === null ? null : Math.round(amount * fxRate * 10000) / 10000;
+    }
+  };
+};
+
+// Quote fields that are amounts of money (volume and percentages are not converted)
+const QUOTE_AMOUNT_FIELDS = ['price', 'change', 'previousClose', 'dayHigh', 'dayLow'];
+
+// Add quote.converted ({ currency, rate, price, change, ... } in the base currency) to
+// watchlist items that have a quote; converted is null when there is no rate for the pair.
+// A failed rate lookup leaves every quote unconverted rather than failing the list.
+export const attachConvertedQuotes = async (items, baseCurrency) => {
+  const priced = items.filter(item => item.quote);
+  if (priced.length === 0) return items;
+
+  let converter = null;
+  try {
+    converter = await createCurrencyConverter(baseCurrency, priced.map(item => item.quote.currency));
+  } catch (error) {
+    console.error('FX rate lookup failed:', error.message);
+  }
+
+  return items.map(item => {
+    if (!item.quote) return item;
+
+    const rate = converter ? converter.rate(item.quote.currency) : null;
+    const converted = rate === null ? null : {
+      currency: baseCurrency,
+      rate: Math.round(rate * 1000000) / 1000000,
+      ...Object.fromEntries(QUOTE_AMOUNT_FIELDS.map(field => [field, converter.convert(item.quote[field], item.quote.currency)]))
+    };
+
+    return { ...item, quote: { ...item.quote, converted } };
+  });
+};
@@ -0,0 +1,95 @@
+// Income summaries and projections built from recorded dividend/interest entries
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment schedules we can recognize, by typical gap between pay dates
+const PAYMENT_FREQUENCIES = [
+  { name: 'monthly', perYear: 12, days: 30 },
+  { name: 'quarterly', perYear: 4, days: 91 },
+  { name: 'semiannual', perYear: 2, days: 182 },
+  { name: 'annual', perYear: 1, days: 365 }
+];
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+// Total gross, withholding and net income of a set of entries
+export const summarizeIncome = (entries) => {
+  const gross = entries.reduce((sum, entry) => sum + entry.amountPerShare * entry.shares, 0);
+  const withholding = entries.reduce((sum, entry) => sum + (entry.withholdingTax || 0), 0);
+
+  return {
+    payments: entries.length,
+    grossAmount: round(gross),
+    withholdingTax: round(withholding),
+    netAmount: round(gross - withholding)
+  };
+};
+
+// Guess a symbol's payment frequency from the median gap between its pay dates.
+// Returns null when there are fewer than two payments to compare.
+export const inferPaymentFrequency = (entries) => {
+  const dates = entries.map(entry => new Date(entry.payDate).getTime()).sort((a, b) => a - b);
+  if (dates.length < 2) return null;
+
+  const gaps = dates.slice(1).map((date, index) => (date - dates[index]) / DAY_MS).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+
+  return PAYMENT_FREQUENCIES.reduce((best, frequency) =>
+    Math.abs(frequency.days - median) < Math.abs(best.days - median) ? frequency : best
+  );
+};
+
+// Project upcoming payments for one symbol by repeating its latest payment on its inferred schedule.
+// Returns [] when the schedule cannot be inferred.
+export const projectPayments = (entries, shares, { from = new Date(), months = 12 } = {}) => {
+  const frequency = inferPaymentFrequency(entries);
+  if (!frequency || !(shares > 0)) return [];
+
+  const latest = [...entries].sort((a, b) => new Date(b.payDate) - new Date(a.payDate))[0];
+  const stepMonths = 12 / frequency.perYear;
+  const until = addMonths(from, months);
+  const payments = [];
+
+  for (let step = 1; ; step++) {
+    const payDate = addMonths(latest.payDate, stepMonths * step);
+    if (payDate > until) break;
+    if (payDate <= from) continue;
+
+    payments.push({
+      symbol: latest.symbol,
+      type: latest.type,
+      frequency: frequency.name,
+      exDate: addMonths(latest.exDate, stepMonths * step),
+      payDate,
+      amountPerShare: latest.amountPerShare,
+      shares,
+      estimatedAmount: round(latest.amountPerShare * shares),
+      currency: latest.currency || null
+    });
+  }
+
+  return payments;
+};
+
+// Group projected payments into calendar months ("YYYY-MM")
+export const groupByMonth = (payments) => {
+  const months = new Map();
+
+  payments.forEach(payment => {
+    const month = payment.payDate.toISOString().slice(0, 7);
+    months.set(month, (months.get(month) || 0) + payment.estimatedAmount);
+  });
+
+  return [...months.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, estimatedAmount]) => ({ month, estimatedAmount: round(estimatedAmount) }));
+};
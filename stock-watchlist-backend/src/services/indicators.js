@@ -0,0 +1,270 @@
+// Technical indicators computed from price series.
+// Every function is pure: series in, series out. Output series line up index for index
+// with the input, with null wherever there is not enough data yet (the warm-up period).
+
+// Simple moving average
+export const sma = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+
+  return result;
+};
+
+// Exponential moving average, seeded with the SMA of the first `period` values
+export const ema = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  result[period - 1] = previous;
+
+  for (let i = period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+
+  return result;
+};
+
+// Wilder's smoothing (an EMA with alpha = 1 / period), seeded with a plain average.
+// `values` may start with nulls; smoothing starts at the first non-null value.
+const wilderSmooth = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = previous;
+
+  for (let i = start + period; i < values.length; i++) {
+    previous = (previous * (period - 1) + values[i]) / period;
+    result[i] = previous;
+  }
+
+  return result;
+};
+
+// Relative Strength Index (Wilder), 0-100
+export const rsi = (closes, period = 14) => {
+  const gains = closes.map((close, i) => (i === 0 ? null : Math.max(close - closes[i - 1], 0)));
+  const losses = closes.map((close, i) => (i === 0 ? null : Math.max(closes[i - 1] - close, 0)));
+  const averageGains = wilderSmooth(gains, period);
+  const averageLosses = wilderSmooth(losses, period);
+
+  return averageGains.map((gain, i) => {
+    if (gain === null) return null;
+    const loss = averageLosses[i];
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+  });
+};
+
+// Moving Average Convergence/Divergence: fast EMA - slow EMA, its signal EMA and the histogram
+export const macd = (closes, { fast = 12, slow = 26, signal = 9 } = {}) => {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const macdLine = closes.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+
+  // The signal line is an EMA of the MACD line, starting where the MACD line does
+  const start = macdLine.findIndex(value => value !== null);
+  const signalLine = new Array(closes.length).fill(null);
+  if (start !== -1) {
+    ema(macdLine.slice(start), signal).forEach((value, i) => { signalLine[start + i] = value; });
+  }
+
+  return {
+    macd: macdLine,
+    signal: signalLine,
+    histogram: macdLine.map((value, i) => (value === null || signalLine[i] === null ? null : value - signalLine[i]))
+  };
+};
+
+// Bollinger Bands: SMA middle band with bands `stdDev` population standard deviations away
+export const bollingerBands = (closes, { period = 20, stdDev = 2 } = {}) => {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+
+  middle.forEach((mean, i) => {
+    if (mean === null) return;
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, close) => sum + (close - mean) ** 2, 0) / period);
+    upper[i] = mean + stdDev * deviation;
+    lower[i] = mean - stdDev * deviation;
+  });
+
+  return { middle, upper, lower };
+};
+
+// True range of each candle (the first one has no previous close, so it is just high - low)
+export const trueRange = (candles) => candles.map((candle, i) => {
+  if (i === 0) return candle.high - candle.low;
+  const previousClose = candles[i - 1].close;
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - previousClose),
+    Math.abs(candle.low - previousClose)
+  );
+});
+
+// Average True Range (Wilder)
+export const atr = (candles, period = 14) => wilderSmooth(trueRange(candles), period);
+
+// Volume-weighted average price of the typical price (high + low + close) / 3.
+// With resetDaily the average restarts every UTC day, as intraday charts expect.
+export const vwap = (candles, { resetDaily = false } = {}) => {
+  let priceVolume = 0;
+  let volume = 0;
+  let day = null;
+
+  return candles.map(candle => {
+    const candleDay = new Date(candle.timestamp).toISOString().slice(0, 10);
+    if (resetDaily && candleDay !== day) {
+      priceVolume = 0;
+      volume = 0;
+    }
+    day = candleDay;
+
+    priceVolume += ((candle.high + candle.low + candle.close) / 3) * (candle.volume || 0);
+    volume += candle.volume || 0;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+};
+
+// Last value of a series that is not null (null when there is none)
+export const lastValue = (series) => {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null) return series[i];
+  }
+  return null;
+};
+
+// Indicators the API can compute, with their default parameters
+export const INDICATOR_DEFAULTS = {
+  sma: { periods: [20, 50] },
+  ema: { periods: [12, 26] },
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  bbands: { period: 20, stdDev: 2 },
+  atr: { period: 14 },
+  vwap: {}
+};
+
+const MAX_PERIOD = 500;
+const MAX_PERIODS_PER_INDICATOR = 5;
+
+// Parse a comma-separated list of numbers; returns null when any entry is not a number
+const parseNumberList = (value) => {
+  const numbers = String(value).split(',').map(part => Number(part.trim()));
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const isPeriod = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_PERIOD;
+
+// Resolve and validate indicator query parameters, e.g.
+// ?indicators=sma,rsi&sma=20,50&rsi=14&macd=12,26,9&bbands=20,2&atr=14.
+// Returns { isValid, indicators: { name: params } } or { isValid: false, message }.
+export const resolveIndicatorParams = (query = {}) => {
+  const names = query.indicators
+    ? String(query.indicators).split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(INDICATOR_DEFAULTS);
+
+  const unknown = names.find(name => !INDICATOR_DEFAULTS[name]);
+  if (unknown) {
+    return {
+      isValid: false,
+      message: `Unknown indicator ${unknown}. Allowed values: ${Object.keys(INDICATOR_DEFAULTS).join(', ')}`
+    };
+  }
+
+  const invalid = (name, expected) => ({ isValid: false, message: `Invalid ${name} parameters: expected ${expected}` });
+  const indicators = {};
+
+  for (const name of new Set(names)) {
+    const raw = query[name];
+    const numbers = raw === undefined ? null : parseNumberList(raw);
+    if (raw !== undefined && !numbers) return invalid(name, 'comma-separated numbers');
+
+    switch (name) {
+      case 'sma':
+      case 'ema': {
+        const periods = numbers ? [...new Set(numbers)] : INDICATOR_DEFAULTS[name].periods;
+        if (periods.length > MAX_PERIODS_PER_INDICATOR || !periods.every(isPeriod)) {
+          return invalid(name, `up to ${MAX_PERIODS_PER_INDICATOR} periods between 1 and ${MAX_PERIOD}`);
+        }
+        indicators[name] = { periods };
+        break;
+      }
+      case 'rsi':
+      case 'atr': {
+        const period = numbers ? numbers[0] : INDICATOR_DEFAULTS[name].period;
+        if ((numbers && numbers.length !== 1) || !isPeriod(period)) {
+          return invalid(name, `one period between 1 and ${MAX_PERIOD}`);
+        }
+        indicators[name] = { period };
+        break;
+      }
+      case 'macd': {
+        const [fast, slow, signal] = numbers || [];
+        const params = numbers ? { fast, slow, signal } : INDICATOR_DEFAULTS.macd;
+        if ((numbers && numbers.length !== 3) || ![params.fast, params.slow, params.signal].every(isPeriod) || params.fast >= params.slow) {
+          return invalid(name, 'fast,slow,signal periods with fast < slow');
+        }
+        indicators.macd = params;
+        break;
+      }
+      case 'bbands': {
+        const [period, stdDev = INDICATOR_DEFAULTS.bbands.stdDev] = numbers || [];
+        const params = numbers ? { period, stdDev } : INDICATOR_DEFAULTS.bbands;
+        if ((numbers && numbers.length > 2) || !isPeriod(params.period) || params.stdDev <= 0 || params.stdDev > 10) {
+          return invalid(name, 'period[,stdDev] with stdDev between 0 and 10');
+        }
+        indicators.bbands = params;
+        break;
+      }
+      default:
+        indicators[name] = { ...INDICATOR_DEFAULTS[name] };
+    }
+  }
+
+  return { isValid: true, indicators };
+};
+
+// Compute the requested indicators (as resolved by resolveIndicatorParams) over a set of candles.
+// Candles must be in time order and have numeric OHLC values.
+export const computeIndicators = (candles, indicators, { resetVwapDaily = false } = {}) => {
+  const closes = candles.map(candle => candle.close);
+  const result = {};
+
+  if (indicators.sma) {
+    result.sma = indicators.sma.periods.map(period => ({ period, values: sma(closes, period) }));
+  }
+  if (indicators.ema) {
+    result.ema = indicators.ema.periods.map(period => ({ period, values: ema(closes, period) }));
+  }
+  if (indicators.rsi) {
+    result.rsi = { period: indicators.rsi.period, values: rsi(closes, indicators.rsi.period) };
+  }
+  if (indicators.macd) {
+    const { fast, slow, signal } = indicators.macd;
+    result.macd = { fast, slow, signalPeriod: signal, ...macd(closes, indicators.macd) };
+  }
+  if (indicators.bbands) {
+    result.bbands = { ...indicators.bbands, ...bollingerBands(closes, indicators.bbands) };
+  }
+  if (indicators.atr) {
+    result.atr = { period: indicators.atr.period, values: atr(candles, indicators.atr.period) };
+  }
+  if (indicators.vwap) {
+    result.vwap = { resetDaily: resetVwapDaily, values: vwap(candles, { resetDaily: resetVwapDaily }) };
+  }
+
+  return result;
+};
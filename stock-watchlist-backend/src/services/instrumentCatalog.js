@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import Instrument from '../models/Instrument.js';
+import { getCache, getCacheTtl } from './cache.js';
+import { parseCsv } from '../utils/csv.js';
+import { validateStockSymbol, parseSymbol } from '../utils/validators.js';
+
+const CATALOG_CACHE_KEY = 'catalog:instruments';
+
+export const SEARCH_SOURCES = ['catalog', 'provider', 'merged'];
+
+// Where symbol search looks (read lazily so dotenv has run)
+export const getSearchSource = () => {
+  const source = (process.env.SEARCH_SOURCE || 'merged').toLowerCase();
+  return SEARCH_SOURCES.includes(source) ? source : 'merged';
+};
+
+// Header names recognized in catalog files
+const FIELD_ALIASES = {
+  symbol: ['symbol', 'ticker', 'code'],
+  name: ['name', 'description', 'company', 'companyname', 'longname', 'shortname'],
+  exchange: ['exchange', 'exch', 'market', 'mic'],
+  assetType: ['assettype', 'type', 'quotetype', 'class', 'instrumenttype'],
+  currency: ['currency', 'ccy'],
+  sector: ['sector'],
+  isin: ['isin']
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+// Read a CSV or JSON catalog file into plain records
+export const readInstrumentFile = async (filePath) => {
+  const text = await fs.readFile(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data?.instruments;
+    if (!Array.isArray(records)) {
+      throw new Error(`${filePath}: expected an array or { "instruments": [...] }`);
+    }
+    return records;
+  }
+
+  const [headers = [], ...rows] = parseCsv(text);
+  return rows.map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])));
+};
+
+// Map a raw record onto catalog fields; returns { instrument } or { error }
+export const normalizeInstrumentRecord = (record) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(normalizeKey(key)));
+    if (field && fields[field] === undefined && value !== null && String(value).trim() !== '') {
+      fields[field] = String(value).trim();
+    }
+  }
+
+  const symbolValidation = validateStockSymbol(fields.symbol);
+  if (!symbolValidation.isValid) {
+    return { error: `${fields.symbol || '(no symbol)'}: ${symbolValidation.message}` };
+  }
+  if (!fields.name) {
+    return { error: `${symbolValidation.symbol}: name is required` };
+  }
+
+  const isin = fields.isin?.toUpperCase();
+
+  return {
+    instrument: {
+      symbol: symbolValidation.symbol,
+      name: fields.name.slice(0, 200),
+      exchange: fields.exchange || '',
+      assetType: (fields.assetType || symbolValidation.parts.assetType).toLowerCase(),
+      currency: fields.currency?.toUpperCase() || null,
+      sector: fields.sector || null,
+      // A malformed ISIN is dropped rather than rejecting the whole entry
+      isin: isin && /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/.test(isin) ? isin : null
+    }
+  };
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Score how well an instrument matches a lowercased query (0 = no match).
+// Exact and prefix matches on the symbol rank first, then name matches, then typo-tolerant matches.
+const scoreInstrument = (instrument, query) => {
+  const symbol = instrument.symbol.toLowerCase();
+  const root = symbol.split(/[.=-]/)[0].replace(/^\^/, '');
+  const name = instrument.name.toLowerCase();
+  const words = name.split(/[^a-z0-9]+/).filter(Boolean);
+
+  if (symbol === query) return 1000;
+  if (root === query) return 900;
+  if (symbol.startsWith(query)) return 800 - (symbol.length - query.length);
+  if (name.startsWith(query)) return 700;
+  if (words.some(word => word.startsWith(query))) return 600;
+  if (symbol.includes(query)) return 500;
+  if (name.includes(query)) return 400;
+
+  // Allow one typo in short queries and two in longer ones
+  if (query.length < 3) return 0;
+  const maxTypos = query.length <= 4 ? 1 : 2;
+
+  const symbolDistance = editDistance(query, root);
+  if (symbolDistance <= maxTypos) return 300 - symbolDistance * 50;
+
+  const wordDistance = Math.min(...words.map(word => editDistance(query, word.slice(0, query.length + 1))));
+  if (wordDistance <= maxTypos) return 250 - wordDistance * 50;
+
+  return 0;
+};
+
+// Rank catalog instruments against a search query, best first
+export const rankInstruments = (instruments, query, limit = 20) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  return instruments
+    .map(instrument => ({ instrument, score: scoreInstrument(instrument, needle) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.instrument.symbol.length - b.instrument.symbol.length ||
+      a.instrument.symbol.localeCompare(b.instrument.symbol)
+    )
+    .slice(0, limit)
+    .map(({ instrument, score }) => ({
+      symbol: instrument.symbol,
+      name: instrument.name,
+      exchange: instrument.exchange || '',
+      type: (instrument.assetType || '').toUpperCase(),
+      assetType: instrument.assetType,
+      currency: instrument.currency,
+      sector: instrument.sector,
+      isin: instrument.isin,
+      score,
+      source: 'catalog'
+    }));
+};
+
+// Load the whole catalog, cached so imports show up after the catalog TTL
+const loadCatalog = async () => {
+  const { value } = await getCache().wrap(CATALOG_CACHE_KEY, getCacheTtl('catalog'), () =>
+    Instrument.find({})
+      .select('symbol name exchange assetType currency sector isin -_id')
+      .lean()
+  );
+  return value;
+};
+
+// Every catalog instrument (empty while the database is unavailable)
+export const getCatalogInstruments = async () => {
+  if (mongoose.connection.readyState !== 1) return [];
+  return loadCatalog();
+};
+
+// Trading currency of each symbol, from the catalog or (crypto and FX pairs) the ticker itself.
+// Resolves to a Map; symbols with no known currency are left out (quotes fill them in later).
+export const getInstrumentCurrencies = async (symbols) => {
+  const wanted = new Set(symbols);
+  const currencies = new Map();
+
+  (await getCatalogInstruments()).forEach(instrument => {
+    if (wanted.has(instrument.symbol) && instrument.currency) currencies.set(instrument.symbol, instrument.currency);
+  });
+
+  wanted.forEach(symbol => {
+    const parts = parseSymbol(symbol);
+    if (!currencies.has(symbol) && parts.isValid && parts.quoteCurrency) currencies.set(symbol, parts.quoteCurrency);
+  });
+
+  return currencies;
+};
+
+// Search the local catalog (empty while the database is unavailable)
+export const searchCatalog = async (query, limit = 20) => {
+  return rankInstruments(await getCatalogInstruments(), query, limit);
+};
+
+// Drop the cached catalog (after an import in the same process)
+export const invalidateCatalog = () => getCache().delete(CATALOG_CACHE_KEY);
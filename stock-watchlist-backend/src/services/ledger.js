@@ -0,0 +1,187 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { COST_BASIS_METHODS } from '../models/Transaction.js';
+
+// Gains on shares held longer than this are long-term
+const LONG_TERM_HOLDING_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Quantities smaller than this are treated as zero (floating point leftovers)
+const QUANTITY_EPSILON = 1e-8;
+
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Ledger order: execution time, then recording order for same-time entries
+export const compareTransactions = (a, b) =>
+  new Date(a.executedAt) - new Date(b.executedAt) ||
+  new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+
+// Take quantity out of a list of open lots.
+// fifo/lifo consume whole lots from the front/back; average takes the same share of every lot.
+// Returns the matched slices ({ lotId, acquiredAt, quantity, cost }) and mutates the lots.
+const consumeLots = (lots, quantity, method) => {
+  const matched = [];
+
+  if (method === 'average') {
+    const available = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const fraction = quantity / available;
+
+    lots.forEach(lot => {
+      const taken = lot.quantity * fraction;
+      matched.push({ lotId: lot.id, acquiredAt: lot.acquiredAt, quantity: taken, cost: lot.cost * fraction });
+      lot.quantity -= taken;
+      lot.cost -= lot.cost * fraction;
+    });
+  } else {
+    let remaining = quantity;
+    const order = method === 'lifo' ? [...lots].reverse() : lots;
+
+    for (const lot of order) {
+      if (remaining <= QUANTITY_EPSILON) break;
+
+      const taken = Math.min(lot.quantity, remaining);
+      const cost = lot.cost * (taken / lot.quantity);
+      matched.push({ lotId: lot.id, acquiredAt: lot.acquiredAt, quantity: taken, cost });
+      lot.quantity -= taken;
+      lot.cost -= cost;
+      remaining -= taken;
+    }
+  }
+
+  // Drop exhausted lots in place
+  for (let i = lots.length - 1; i >= 0; i--) {
+    if (lots[i].quantity <= QUANTITY_EPSILON) lots.splice(i, 1);
+  }
+
+  return matched;
+};
+
+// Replay a user's transactions into open positions and realized sales.
+// Transactions are plain objects ({ _id, symbol, type, quantity, price, fees, ratio, executedAt }).
+// Throws a 400 AppError when a sale or transfer out exceeds the shares held at that point.
+export const replayTransactions = (transactions, method = 'fifo') => {
+  if (!COST_BASIS_METHODS.includes(method)) {
+    throw new AppError(`Cost basis method must be one of: ${COST_BASIS_METHODS.join(', ')}`, 400);
+  }
+
+  const lotsBySymbol = new Map();
+  const sales = [];
+
+  for (const transaction of [...transactions].sort(compareTransactions)) {
+    const { symbol, type } = transaction;
+    const fees = transaction.fees || 0;
+    const executedAt = new Date(transaction.executedAt);
+
+    if (!lotsBySymbol.has(symbol)) lotsBySymbol.set(symbol, []);
+    const lots = lotsBySymbol.get(symbol);
+
+    if (type === 'buy' || type === 'transfer_in') {
+      lots.push({
+        id: transaction._id,
+        acquiredAt: transaction.acquiredAt ? new Date(transaction.acquiredAt) : executedAt,
+        quantity: transaction.quantity,
+        cost: transaction.quantity * transaction.price + fees
+      });
+      continue;
+    }
+
+    if (type === 'split') {
+      lots.forEach(lot => { lot.quantity *= transaction.ratio; });
+      continue;
+    }
+
+    // sell / transfer_out
+    const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (transaction.quantity - held > QUANTITY_EPSILON) {
+      throw new AppError(
+        `Cannot ${type === 'sell' ? 'sell' : 'transfer out'} ${transaction.quantity} ${symbol} on ` +
+        `${executedAt.toISOString().slice(0, 10)}: only ${round(held, 8)} held`,
+        400
+      );
+    }
+
+    const matched = consumeLots(lots, transaction.quantity, method);
+    if (type !== 'sell') continue;
+
+    const proceeds = transaction.quantity * transaction.price - fees;
+    const costBasis = matched.reduce((sum, slice) => sum + slice.cost, 0);
+    const longTermCost = matched
+      .filter(slice => executedAt - slice.acquiredAt > LONG_TERM_HOLDING_MS)
+      .reduce((sum, slice) => sum + slice.cost, 0);
+    const longTermQuantity = matched
+      .filter(slice => executedAt - slice.acquiredAt > LONG_TERM_HOLDING_MS)
+      .reduce((sum, slice) => sum + slice.quantity, 0);
+
+    // Proceeds are shared between holding periods by quantity
+    const longTermProceeds = proceeds * (longTermQuantity / transaction.quantity);
+
+    sales.push({
+      transaction: transaction._id,
+      symbol,
+      soldAt: executedAt,
+      quantity: transaction.quantity,
+      proceeds: round(proceeds),
+      costBasis: round(costBasis),
+      gain: round(proceeds - costBasis),
+      shortTermGain: round((proceeds - longTermProceeds) - (costBasis - longTermCost)),
+      longTermGain: round(longTermProceeds - longTermCost),
+      matchedLots: matched.map(slice => ({
+        lot: slice.lotId,
+        acquiredAt: slice.acquiredAt,
+        quantity: round(slice.quantity, 8),
+        costBasis: round(slice.cost)
+      }))
+    });
+  }
+
+  const positions = [...lotsBySymbol.entries()]
+    .filter(([, lots]) => lots.length > 0)
+    .map(([symbol, lots]) => {
+      const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const totalCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+
+      return {
+        symbol,
+        quantity: round(quantity, 8),
+        totalCost: round(totalCost),
+        averageCost: round(totalCost / quantity),
+        openLots: lots.map(lot => ({
+          lot: lot.id,
+          acquiredAt: lot.acquiredAt,
+          quantity: round(lot.quantity, 8),
+          costBasis: round(lot.cost)
+        }))
+      };
+    })
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  return { positions, sales };
+};
+
+// Summarize realized sales for one calendar year (UTC), in total and per symbol
+export const buildRealizedGainsReport = (sales, year) => {
+  const inYear = sales.filter(sale => sale.soldAt.getUTCFullYear() === year);
+
+  const sum = (entries, field) => round(entries.reduce((total, entry) => total + entry[field], 0));
+  const totalsFor = (entries) => ({
+    sales: entries.length,
+    proceeds: sum(entries, 'proceeds'),
+    costBasis: sum(entries, 'costBasis'),
+    gain: sum(entries, 'gain'),
+    shortTermGain: sum(entries, 'shortTermGain'),
+    longTermGain: sum(entries, 'longTermGain')
+  });
+
+  const symbols = [...new Set(inYear.map(sale => sale.symbol))].sort();
+
+  return {
+    year,
+    totals: totalsFor(inYear),
+    bySymbol: symbols.map(symbol => ({
+      symbol,
+      ...totalsFor(inYear.filter(sale => sale.symbol === symbol))
+    })),
+    sales: inYear
+  };
+};
@@ -0,0 +1,283 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCatalogInstruments } from './instrumentCatalog.js';
+import { parseSymbol } from '../utils/validators.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CALENDAR_DIR = path.resolve(__dirname, '../../data/markets');
+
+export const MARKET_STATES = ['pre', 'regular', 'post', 'closed'];
+const SESSION_NAMES = ['pre', 'regular', 'post'];
+
+// Calendar used for plain tickers (AAPL) that are not in the catalog
+const DEFAULT_EQUITY_CALENDAR = 'XNYS';
+
+// How far ahead to look for the next open/close (long holiday runs stay well inside this)
+const MAX_LOOKAHEAD_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read the calendar directory lazily so dotenv has run
+const getCalendarDirectory = () => (process.env.MARKET_CALENDAR_DIR
+  ? path.resolve(process.env.MARKET_CALENDAR_DIR)
+  : DEFAULT_CALENDAR_DIR);
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Check and index one calendar file.
+//
+// Expected layout (one file per exchange, times are local to the exchange):
+//   { code, name, timezone, aliases: [...], suffixes: [...], tradingDays: [1..5],
+//     sessions: { pre: [open, close], regular: [open, close], post: [open, close] },
+//     holidays: [{ date, name }], earlyCloses: [{ date, close, postClose, name }] }
+// or { code, name, timezone, alwaysOpen: true } for markets that never close.
+const parseCalendar = (data, fileName) => {
+  if (!data?.code || !data.timezone || (!data.alwaysOpen && !data.sessions?.regular)) {
+    throw new Error(`${fileName}: a calendar needs code, timezone and a regular session`);
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: data.timezone });
+  } catch (error) {
+    throw new Error(`${fileName}: unknown timezone ${data.timezone}`);
+  }
+
+  return {
+    code: normalizeCode(data.code),
+    name: data.name || data.code,
+    timezone: data.timezone,
+    aliases: (data.aliases || []).map(normalizeCode),
+    suffixes: (data.suffixes || []).map(normalizeCode),
+    alwaysOpen: Boolean(data.alwaysOpen),
+    tradingDays: data.tradingDays || [1, 2, 3, 4, 5],
+    sessions: data.sessions || {},
+    holidays: new Map((data.holidays || []).map(holiday => [holiday.date, holiday.name || 'Holiday'])),
+    earlyCloses: new Map((data.earlyCloses || []).map(earlyClose => [earlyClose.date, earlyClose]))
+  };
+};
+
+let calendarsPromise = null;
+
+// Load every calendar file once; resolves to { calendars, byName, bySuffix }
+const loadCalendars = () => {
+  if (!calendarsPromise) {
+    calendarsPromise = (async () => {
+      const directory = getCalendarDirectory();
+      const fileNames = (await fs.readdir(directory)).filter(fileName => fileName.endsWith('.json')).sort();
+
+      const calendars = await Promise.all(fileNames.map(async (fileName) => {
+        const data = JSON.parse(await fs.readFile(path.join(directory, fileName), 'utf8'));
+        return parseCalendar(data, fileName);
+      }));
+
+      const byName = new Map();
+      const bySuffix = new Map();
+      calendars.forEach(calendar => {
+        [calendar.code, ...calendar.aliases].forEach(name => byName.set(name, calendar));
+        calendar.suffixes.forEach(suffix => bySuffix.set(suffix, calendar));
+      });
+
+      return { calendars, byName, bySuffix };
+    })();
+
+    // Let a later call retry after a bad deploy is fixed
+    calendarsPromise.catch(() => { calendarsPromise = null; });
+  }
+
+  return calendarsPromise;
+};
+
+// Every loaded calendar
+export const getCalendars = async () => (await loadCalendars()).calendars;
+
+// Find a calendar by its code (XNYS) or one of its aliases (NYSE); null when unknown
+export const findCalendar = async (exchange) => {
+  const { byName } = await loadCalendars();
+  return byName.get(normalizeCode(exchange)) || null;
+};
+
+// Wall-clock date (YYYY-MM-DD) and time (HH:MM) in a timezone at an instant
+const getLocalDateTime = (timezone, instant) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second)
+  };
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getOffsetMs = (timezone, instant) => {
+  const { date, time, seconds } = getLocalDateTime(timezone, instant);
+  const wallClock = Date.parse(`${date}T${time}:${String(seconds).padStart(2, '0')}Z`);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant a local date and time occur in a timezone.
+// The second pass corrects the offset on days the clocks change.
+const toInstant = (date, time, timezone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const guess = wallClock - getOffsetMs(timezone, new Date(wallClock));
+  return new Date(wallClock - getOffsetMs(timezone, new Date(guess)));
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Sessions on a local date as { pre, regular, post } of [open, close] instants (null where the
+// exchange has no such session); null on weekends and holidays. Early closes shorten the
+// regular session and move (or drop) the post-market session.
+const getSessionsForDate = (calendar, date) => {
+  if (!calendar.tradingDays.includes(getWeekday(date)) || calendar.holidays.has(date)) {
+    return null;
+  }
+
+  const times = { ...calendar.sessions };
+  const earlyClose = calendar.earlyCloses.get(date);
+  if (earlyClose) {
+    times.regular = [times.regular[0], earlyClose.close];
+    times.post = times.post && earlyClose.postClose ? [earlyClose.close, earlyClose.postClose] : null;
+  }
+
+  return Object.fromEntries(SESSION_NAMES.map(name => [
+    name,
+    times[name] ? times[name].map(time => toInstant(date, time, calendar.timezone)) : null
+  ]));
+};
+
+// Which session an instant falls in
+const getStateAt = (sessions, now) => SESSION_NAMES.find(name => {
+  const session = sessions?.[name];
+  return session && now >= session[0] && now < session[1];
+}) || 'closed';
+
+const describeCalendar = (calendar) => ({
+  code: calendar.code,
+  name: calendar.name,
+  timezone: calendar.timezone
+});
+
+// Market state of a calendar at an instant: 'pre', 'regular', 'post' or 'closed'
+export const getMarketState = (calendar, now = new Date()) => {
+  if (calendar.alwaysOpen) return 'regular';
+
+  const { date } = getLocalDateTime(calendar.timezone, now);
+  return getStateAt(getSessionsForDate(calendar, date), now);
+};
+
+// Full status of a calendar at an instant: the current state, today's sessions
+// (in the exchange's local day) and the next regular open and close.
+export const getMarketStatus = (calendar, now = new Date()) => {
+  const { date, time } = getLocalDateTime(calendar.timezone, now);
+
+  if (calendar.alwaysOpen) {
+    return {
+      exchange: describeCalendar(calendar),
+      state: 'regular',
+      isOpen: true,
+      alwaysOpen: true,
+      localTime: `${date}T${time}`,
+      today: null,
+      nextOpen: null,
+      nextClose: null
+    };
+  }
+
+  const sessions = getSessionsForDate(calendar, date);
+  const state = getStateAt(sessions, now);
+
+  let nextOpen = null;
+  let nextClose = null;
+  for (let day = 0; day <= MAX_LOOKAHEAD_DAYS && !(nextOpen && nextClose); day++) {
+    const upcoming = getSessionsForDate(calendar, addDays(date, day));
+    if (!upcoming) continue;
+
+    const [open, close] = upcoming.regular;
+    if (!nextOpen && open > now) nextOpen = open;
+    if (!nextClose && close > now) nextClose = close;
+  }
+
+  return {
+    exchange: describeCalendar(calendar),
+    state,
+    isOpen: state === 'regular',
+    alwaysOpen: false,
+    localTime: `${date}T${time}`,
+    today: {
+      date,
+      isTradingDay: sessions !== null,
+      holiday: calendar.holidays.get(date) || null,
+      earlyClose: sessions ? calendar.earlyCloses.get(date)?.name || null : null,
+      sessions: sessions && Object.fromEntries(SESSION_NAMES.map(name => [
+        name,
+        sessions[name] ? { open: sessions[name][0], close: sessions[name][1] } : null
+      ]))
+    },
+    nextOpen,
+    nextClose
+  };
+};
+
+// Work out which calendar a symbol trades on: the exchange recorded in the catalog, then its
+// ticker suffix (RELIANCE.NS). Crypto trades around the clock and plain tickers use the
+// US calendar; anything else (FX, futures, unknown indices) has no calendar.
+const resolveSymbolCalendar = ({ byName, bySuffix }, symbol, catalogExchange) => {
+  if (catalogExchange && byName.has(normalizeCode(catalogExchange))) {
+    return byName.get(normalizeCode(catalogExchange));
+  }
+
+  const parts = parseSymbol(symbol);
+  if (!parts.isValid) return null;
+
+  if (parts.assetType === 'crypto') return byName.get('CRYPTO') || null;
+  if (parts.assetType !== 'equity') return null;
+  if (parts.exchangeSuffix) return bySuffix.get(parts.exchangeSuffix) || null;
+  return byName.get(DEFAULT_EQUITY_CALENDAR) || null;
+};
+
+// Market state for several symbols.
+// Resolves to a Map of symbol -> { exchange, state }; symbols without a known calendar are left out.
+export const getMarketStates = async (symbols, now = new Date()) => {
+  const calendars = await loadCalendars();
+  const instruments = await getCatalogInstruments();
+  const exchangeBySymbol = new Map(instruments.map(instrument => [instrument.symbol, instrument.exchange]));
+
+  const stateByCalendar = new Map();
+  const states = new Map();
+
+  for (const symbol of new Set(symbols)) {
+    const calendar = resolveSymbolCalendar(calendars, symbol, exchangeBySymbol.get(symbol));
+    if (!calendar) continue;
+
+    if (!stateByCalendar.has(calendar.code)) {
+      stateByCalendar.set(calendar.code, getMarketState(calendar, now));
+    }
+    states.set(symbol, { exchange: calendar.code, state: stateByCalendar.get(calendar.code) });
+  }
+
+  return states;
+};
+
+// Tag watchlist items with the state of their market.
+// A calendar failure leaves every item's market as null rather than failing the list.
+export const attachMarketStates = async (items) => {
+  let states = new Map();
+
+  try {
+    states = await getMarketStates(items.map(item => item.symbol));
+  } catch (error) {
+    console.error('Market calendar lookup failed:', error.message);
+  }
+
+  return items.map(item => ({ ...item, market: states.get(item.symbol) || null }));
+};
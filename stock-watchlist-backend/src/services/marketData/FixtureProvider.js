@@ -0,0 +1,229 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AppError } from '../../middleware/errorHandler.js';
+import { MarketDataProvider, roundPrice } from './MarketDataProvider.js';
+import { HISTORY_RANGES, HISTORY_INTERVALS } from './historyPresets.js';
+
+const MAX_SYNTHETIC_CANDLES = 2000;
+
+// Small seeded PRNG (mulberry32) so synthetic history is stable between runs
+const createRandom = (seedText) => {
+  let seed = [...seedText].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) | 0, 7);
+
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Offset from UTC in seconds for a timezone at a given instant
+const getGmtOffsetSeconds = (timezone, date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    timeZoneName: 'longOffset'
+  }).formatToParts(date);
+  const offset = parts.find(part => part.type === 'timeZoneName')?.value || 'GMT';
+  const match = offset.match(/GMT([+-])(\d{2}):(\d{2})/);
+
+  if (!match) {
+    return 0;
+  }
+
+  const seconds = parseInt(match[2]) * 3600 + parseInt(match[3]) * 60;
+  return match[1] === '-' ? -seconds : seconds;
+};
+
+// Walk backwards from the latest price to build OHLCV candles
+const synthesizeCandles = ({ seed, endPrice, endTime, rangeMs, intervalMs, skipWeekends }) => {
+  const random = createRandom(seed);
+  const volatility = 0.02 * Math.sqrt(intervalMs / (24 * 60 * 60 * 1000));
+  const candles = [];
+  let close = endPrice;
+
+  for (let time = endTime; time > endTime - rangeMs && candles.length < MAX_SYNTHETIC_CANDLES; time -= intervalMs) {
+    const day = new Date(time).getUTCDay();
+    if (skipWeekends && (day === 0 || day === 6)) {
+      continue;
+    }
+
+    const open = close * (1 + (random() - 0.5) * volatility);
+    const high = Math.max(open, close) * (1 + random() * volatility / 2);
+    const low = Math.min(open, close) * (1 - random() * volatility / 2);
+
+    candles.push({
+      timestamp: new Date(time).toISOString(),
+      open: roundPrice(open),
+      high: roundPrice(high),
+      low: roundPrice(low),
+      close: roundPrice(close),
+      volume: Math.round(1000000 * (0.5 + random()))
+    });
+
+    close = open;
+  }
+
+  return candles.reverse();
+};
+
+// File-backed provider for offline development and testing.
+//
+// Expected layout of the fixture directory:
+//   instruments.json     [{ symbol, name, exchange, type, currency, timezone }]
+//   quotes.json          { asOf, quotes: { SYMBOL: { price, previousClose, dayHigh, dayLow, volume, currency } } }
+//   history/SYMBOL.json  { currency, timezone, gmtOffset, interval, candles: [{ timestamp, open, high, low, close, volume }] }
+//   corporate-actions.json  { actions: [{ type, symbol, effectiveDate, ratio, newSymbol, description }] }
+//
+// Symbols without a recorded history file get a synthetic series derived from their quote.
+export class FixtureProvider extends MarketDataProvider {
+  constructor({ directory }) {
+    super('fixture');
+    this.directory = directory;
+    this.files = new Map();
+  }
+
+  // Read and memoize a JSON file relative to the fixture directory
+  async readJson(relativePath, fallback) {
+    if (this.files.has(relativePath)) {
+      return this.files.get(relativePath);
+    }
+
+    try {
+      const contents = await fs.readFile(path.join(this.directory, relativePath), 'utf8');
+      const data = JSON.parse(contents);
+      this.files.set(relativePath, data);
+      return data;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw new AppError(`Invalid market data fixture: ${relativePath}`, 500);
+    }
+  }
+
+  async search(query) {
+    const instruments = await this.readJson('instruments.json', []);
+    const needle = query.toLowerCase();
+
+    const scored = instruments
+      .map(instrument => {
+        const symbol = instrument.symbol.toLowerCase();
+        const name = (instrument.name || '').toLowerCase();
+
+        let score = 0;
+        if (symbol === needle) score = 3;
+        else if (symbol.startsWith(needle)) score = 2;
+        else if (name.includes(needle)) score = 1;
+
+        return { instrument, score };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.instrument.symbol.localeCompare(b.instrument.symbol));
+
+    return scored.map(({ instrument }) => ({
+      symbol: instrument.symbol,
+      name: instrument.name || '',
+      exchange: instrument.exchange || '',
+      type: instrument.type || ''
+    }));
+  }
+
+  async getQuotes(symbols) {
+    const data = await this.readJson('quotes.json', { quotes: {} });
+    const instruments = await this.readJson('instruments.json', []);
+    const timestamp = data.asOf || new Date().toISOString();
+
+    return symbols
+      .filter(symbol => data.quotes?.[symbol])
+      .map(symbol => {
+        const quote = data.quotes[symbol];
+        const instrument = instruments.find(item => item.symbol === symbol);
+        const change = quote.price - quote.previousClose;
+
+        return {
+          symbol,
+          name: instrument?.name || '',
+          price: roundPrice(quote.price),
+          change: roundPrice(change),
+          changePercent: quote.previousClose
+            ? roundPrice((change / quote.previousClose) * 100)
+            : null,
+          previousClose: roundPrice(quote.previousClose),
+          dayHigh: roundPrice(quote.dayHigh),
+          dayLow: roundPrice(quote.dayLow),
+          volume: quote.volume ?? null,
+          currency: quote.currency || null,
+          marketCap: quote.marketCap ?? null,
+          peRatio: roundPrice(quote.peRatio),
+          timestamp
+        };
+      });
+  }
+
+  async getHistory(symbol, { range = '1m', interval = '1d' } = {}) {
+    // Symbols become file names here, so never let one escape the directory
+    const history = /^[A-Z0-9^=-]+(\.[A-Z0-9]+)*$/i.test(symbol)
+      ? await this.readJson(`history/${symbol}.json`, null)
+      : null;
+
+    // Recorded candles win when they match the requested interval
+    if (history && (history.interval || '1d') === interval) {
+      const candles = history.candles || [];
+      const end = candles.length > 0
+        ? new Date(candles[candles.length - 1].timestamp).getTime()
+        : Date.now();
+      const start = end - HISTORY_RANGES[range].durationMs;
+
+      return {
+        symbol,
+        currency: history.currency || null,
+        timezone: history.timezone || 'UTC',
+        gmtOffset: history.gmtOffset ?? 0,
+        candles: candles.filter(candle => new Date(candle.timestamp).getTime() > start)
+      };
+    }
+
+    // Otherwise synthesize a deterministic series that ends at the fixture quote
+    const [quote] = await this.getQuotes([symbol]);
+    if (!quote) {
+      throw new AppError(`No price history available for ${symbol}`, 404);
+    }
+
+    const instruments = await this.readJson('instruments.json', []);
+    const instrument = instruments.find(item => item.symbol === symbol);
+    const timezone = instrument?.timezone || 'UTC';
+    const end = new Date(quote.timestamp);
+
+    return {
+      symbol,
+      currency: quote.currency,
+      timezone,
+      gmtOffset: getGmtOffsetSeconds(timezone, end),
+      candles: synthesizeCandles({
+        seed: `${symbol}:${range}:${interval}`,
+        endPrice: quote.price,
+        endTime: end.getTime(),
+        rangeMs: HISTORY_RANGES[range].durationMs,
+        intervalMs: HISTORY_INTERVALS[interval].durationMs,
+        skipWeekends: instrument?.type !== 'CRYPTOCURRENCY'
+      })
+    };
+  }
+
+  async getCorporateActions(symbols) {
+    const data = await this.readJson('corporate-actions.json', { actions: [] });
+    const wanted = new Set(symbols);
+
+    return (data.actions || [])
+      .filter(action => wanted.has(action.symbol))
+      .map(action => ({
+        type: action.type,
+        symbol: action.symbol,
+        effectiveDate: action.effectiveDate,
+        ratio: action.ratio ?? null,
+        newSymbol: action.newSymbol || null,
+        description: action.description || ''
+      }));
+  }
+}
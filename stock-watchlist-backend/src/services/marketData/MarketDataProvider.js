@@ -0,0 +1,50 @@
+// Base class for market-data providers.
+// Every provider exposes the same three operations and returns data in the
+// normalized shapes below, so controllers never deal with vendor payloads.
+//
+//   search(query)                 -> [{ symbol, name, exchange, type }]
+//   getQuotes(symbols)            -> [{ symbol, name, price, change, changePercent,
+//                                       previousClose, dayHigh, dayLow, volume,
+//                                       currency, marketCap, peRatio, timestamp }]
+//                                  (marketCap and peRatio are null where unknown)
+//   getHistory(symbol, options)   -> { symbol, currency, timezone, gmtOffset,
+//                                      candles: [{ timestamp, open, high, low, close, volume }] }
+//   getCorporateActions(symbols)  -> [{ type, symbol, effectiveDate, ratio, newSymbol, description }]
+//                                  (type is split, symbol_change or delisting; effectiveDate is YYYY-MM-DD)
+//
+// getHistory options use the preset keys from historyPresets.js: { range, interval }.
+// getCorporateActions is optional; providers that cannot report corporate actions keep the default.
+export class MarketDataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether the provider has what it needs (credentials etc.) to make requests
+  isConfigured() {
+    return true;
+  }
+
+  async search(query) {
+    throw new Error(`${this.name} provider does not implement search`);
+  }
+
+  async getQuotes(symbols) {
+    throw new Error(`${this.name} provider does not implement getQuotes`);
+  }
+
+  async getHistory(symbol, options = {}) {
+    throw new Error(`${this.name} provider does not implement getHistory`);
+  }
+
+  async getCorporateActions(symbols) {
+    throw new Error(`${this.name} provider does not implement getCorporateActions`);
+  }
+}
+
+// Round a price to a sensible number of decimals
+export const roundPrice = (value) => {
+  if (value === null || value === undefined || isNaN(value)) {
+    return null;
+  }
+  return Math.round(value * 10000) / 10000;
+};
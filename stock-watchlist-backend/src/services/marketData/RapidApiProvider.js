@@ -0,0 +1,191 @@
+import axios from 'axios';
+import { AppError } from '../../middleware/errorHandler.js';
+import { MarketDataProvider, roundPrice } from './MarketDataProvider.js';
+import { HISTORY_RANGES, HISTORY_INTERVALS } from './historyPresets.js';
+import { canonicalSymbol } from '../../utils/validators.js';
+
+const RAPIDAPI_HOST = 'apidojo-yahoo-finance-v1.p.rapidapi.com';
+
+// Map axios failures to operational errors the API can report
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    return new AppError('External API request timeout', 504);
+  }
+
+  if (error.response) {
+    // API responded with error status
+    const status = error.response.status;
+    if (status === 429) {
+      return new AppError('API rate limit exceeded. Please try again later', 429);
+    } else if (status === 401 || status === 403) {
+      return new AppError('External API authentication failed', 502);
+    } else {
+      return new AppError('External API service unavailable', 502);
+    }
+  } else if (error.request) {
+    // Network error
+    return new AppError('Unable to reach external API service', 503);
+  }
+
+  return error;
+};
+
+// Yahoo Finance (apidojo) endpoints on RapidAPI
+export class RapidApiProvider extends MarketDataProvider {
+  constructor({ apiKey, region = 'US', timeout = 10000 } = {}) {
+    super('rapidapi');
+    this.apiKey = apiKey;
+    this.region = region;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async request(path, params) {
+    // Check if API key is configured
+    if (!this.apiKey) {
+      throw new AppError('External API service not configured', 500);
+    }
+
+    try {
+      const response = await axios.request({
+        method: 'GET',
+        url: `https://${RAPIDAPI_HOST}${path}`,
+        params: { region: this.region, ...params },
+        headers: {
+          'x-rapidapi-host': RAPIDAPI_HOST,
+          'x-rapidapi-key': this.apiKey
+        },
+        timeout: this.timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      throw toAppError(error);
+    }
+  }
+
+  async search(query) {
+    const data = await this.request('/auto-complete', { q: query });
+    const results = data?.quotes || [];
+
+    return results
+      .filter(stock => stock.symbol && stock.shortname)
+      .map(stock => ({
+        symbol: stock.symbol,
+        name: stock.shortname || stock.longname || '',
+        exchange: stock.exchange || '',
+        type: stock.quoteType || ''
+      }));
+  }
+
+  async getQuotes(symbols) {
+    if (symbols.length === 0) {
+      return [];
+    }
+
+    // Yahoo spells share classes with a dash (BRK-B); quotes come back under the symbols asked for
+    const requested = new Map(symbols.map(symbol => [canonicalSymbol(symbol), symbol]));
+    const data = await this.request('/market/v2/get-quotes', {
+      symbols: [...requested.keys()].join(',')
+    });
+    const results = data?.quoteResponse?.result || [];
+
+    return results.map(quote => ({
+      symbol: requested.get(quote.symbol) || quote.symbol,
+      name: quote.shortName || quote.longName || '',
+      price: roundPrice(quote.regularMarketPrice),
+      change: roundPrice(quote.regularMarketChange),
+      changePercent: roundPrice(quote.regularMarketChangePercent),
+      previousClose: roundPrice(quote.regularMarketPreviousClose),
+      dayHigh: roundPrice(quote.regularMarketDayHigh),
+      dayLow: roundPrice(quote.regularMarketDayLow),
+      volume: quote.regularMarketVolume ?? null,
+      currency: quote.currency || null,
+      marketCap: quote.marketCap ?? null,
+      peRatio: roundPrice(quote.trailingPE),
+      timestamp: quote.regularMarketTime
+        ? new Date(quote.regularMarketTime * 1000).toISOString()
+        : null
+    }));
+  }
+
+  async getHistory(symbol, { range = '1m', interval = '1d' } = {}) {
+    const data = await this.request('/stock/v3/get-chart', {
+      symbol: canonicalSymbol(symbol),
+      range: HISTORY_RANGES[range].yahoo,
+      interval: HISTORY_INTERVALS[interval].yahoo
+    });
+
+    const result = data?.chart?.result?.[0];
+    if (!result) {
+      throw new AppError(`No price history available for ${symbol}`, 404);
+    }
+
+    const timestamps = result.timestamp || [];
+    const quote = result.indicators?.quote?.[0] || {};
+
+    const candles = timestamps
+      .map((time, index) => ({
+        timestamp: new Date(time * 1000).toISOString(),
+        open: roundPrice(quote.open?.[index]),
+        high: roundPrice(quote.high?.[index]),
+        low: roundPrice(quote.low?.[index]),
+        close: roundPrice(quote.close?.[index]),
+        volume: quote.volume?.[index] ?? null
+      }))
+      // Yahoo pads gaps (halts, holidays) with null rows
+      .filter(candle => candle.close !== null);
+
+    return {
+      symbol: result.meta?.symbol || symbol,
+      currency: result.meta?.currency || null,
+      timezone: result.meta?.exchangeTimezoneName || result.meta?.timezone || 'UTC',
+      gmtOffset: result.meta?.gmtoffset ?? 0,
+      candles
+    };
+  }
+
+  // Yahoo only reports splits (as chart events); symbol changes and delistings come from the local file.
+  // Splits are looked up one symbol at a time over the last three months. A failed symbol is
+  // logged and skipped; a rate limit ends the run, since every later lookup would fail too.
+  async getCorporateActions(symbols) {
+    const actions = [];
+
+    for (const symbol of symbols) {
+      let data;
+      try {
+        data = await this.request('/stock/v3/get-chart', {
+          symbol,
+          range: '3mo',
+          interval: '1d',
+          events: 'split'
+        });
+      } catch (error) {
+        console.error(`Corporate action lookup for ${symbol} failed:`, error.message);
+        if (error.statusCode === 429) break;
+        continue;
+      }
+
+      const splits = Object.values(data?.chart?.result?.[0]?.events?.splits || {});
+      splits
+        .filter(split => split.numerator > 0 && split.denominator > 0)
+        .forEach(split => actions.push({
+          type: 'split',
+          symbol,
+          effectiveDate: new Date(split.date * 1000).toISOString().slice(0, 10),
+          ratio: split.numerator / split.denominator,
+          newSymbol: null,
+          description: `${split.splitRatio || `${split.numerator}:${split.denominator}`} split`
+        }));
+    }
+
+    return actions;
+  }
+}
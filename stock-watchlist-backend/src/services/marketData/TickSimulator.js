@@ -0,0 +1,73 @@
+import { roundPrice } from './MarketDataProvider.js';
+
+// Price used for symbols with no reference quote to start from
+const DEFAULT_START_PRICE = 100;
+
+// Standard normal sample (Box-Muller)
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Generates quote ticks as a random walk around a reference quote.
+// Used to drive the quote stream when there is no upstream feed (offline development, demos).
+export class TickSimulator {
+  constructor({ volatility = 0.001, random = Math.random } = {}) {
+    this.volatility = volatility; // standard deviation of each tick's log return
+    this.random = random;
+    this.state = new Map();
+  }
+
+  // Start (or restart) a symbol's walk from a provider quote
+  seed(symbol, quote) {
+    const price = quote?.price ?? DEFAULT_START_PRICE;
+
+    this.state.set(symbol, {
+      symbol,
+      name: quote?.name || '',
+      price,
+      previousClose: quote?.previousClose ?? price,
+      dayHigh: quote?.dayHigh ?? price,
+      dayLow: quote?.dayLow ?? price,
+      volume: quote?.volume ?? 0,
+      currency: quote?.currency || null
+    });
+  }
+
+  hasSymbol(symbol) {
+    return this.state.has(symbol);
+  }
+
+  // Advance a seeded symbol by one tick and return the new quote
+  next(symbol) {
+    const current = this.state.get(symbol);
+    if (!current) {
+      this.seed(symbol);
+      return this.next(symbol);
+    }
+
+    const price = current.price * Math.exp(this.volatility * gaussian(this.random));
+    current.price = price;
+    current.dayHigh = Math.max(current.dayHigh, price);
+    current.dayLow = Math.min(current.dayLow, price);
+    current.volume += Math.round(this.random() * 1000);
+
+    const change = price - current.previousClose;
+
+    return {
+      symbol,
+      name: current.name,
+      price: roundPrice(price),
+      change: roundPrice(change),
+      changePercent: current.previousClose ? roundPrice((change / current.previousClose) * 100) : null,
+      previousClose: roundPrice(current.previousClose),
+      dayHigh: roundPrice(current.dayHigh),
+      dayLow: roundPrice(current.dayLow),
+      volume: current.volume,
+      currency: current.currency,
+      timestamp: new Date().toISOString(),
+      simulated: true
+    };
+  }
+}
@@ -0,0 +1,58 @@
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Candle intervals, smallest to largest
+export const HISTORY_INTERVALS = {
+  '1m': { yahoo: '1m', durationMs: MINUTE },
+  '5m': { yahoo: '5m', durationMs: 5 * MINUTE },
+  '15m': { yahoo: '15m', durationMs: 15 * MINUTE },
+  '30m': { yahoo: '30m', durationMs: 30 * MINUTE },
+  '1h': { yahoo: '60m', durationMs: 60 * MINUTE },
+  '1d': { yahoo: '1d', durationMs: DAY },
+  '1wk': { yahoo: '1wk', durationMs: 7 * DAY }
+};
+
+// Range presets and the intervals each one supports.
+// Upstream data only keeps minute bars for a few days and hourly bars for about two years.
+export const HISTORY_RANGES = {
+  '1d': { yahoo: '1d', durationMs: DAY, intervals: ['1m', '5m', '15m', '30m', '1h'], defaultInterval: '5m' },
+  '5d': { yahoo: '5d', durationMs: 5 * DAY, intervals: ['1m', '5m', '15m', '30m', '1h', '1d'], defaultInterval: '15m' },
+  '1m': { yahoo: '1mo', durationMs: 30 * DAY, intervals: ['5m', '15m', '30m', '1h', '1d', '1wk'], defaultInterval: '1d' },
+  '6m': { yahoo: '6mo', durationMs: 182 * DAY, intervals: ['1h', '1d', '1wk'], defaultInterval: '1d' },
+  '1y': { yahoo: '1y', durationMs: 365 * DAY, intervals: ['1h', '1d', '1wk'], defaultInterval: '1d' },
+  '5y': { yahoo: '5y', durationMs: 5 * 365 * DAY, intervals: ['1d', '1wk'], defaultInterval: '1wk' },
+  max: { yahoo: 'max', durationMs: 20 * 365 * DAY, intervals: ['1d', '1wk'], defaultInterval: '1wk' }
+};
+
+// Resolve and validate a range/interval pair.
+// Returns { isValid, range, interval } or { isValid: false, message }, like the utils/validators helpers.
+export const resolveHistoryParams = (range = '1m', interval) => {
+  const rangePreset = HISTORY_RANGES[range];
+  if (!rangePreset) {
+    return {
+      isValid: false,
+      message: `Invalid range. Allowed values: ${Object.keys(HISTORY_RANGES).join(', ')}`
+    };
+  }
+
+  const resolvedInterval = interval || rangePreset.defaultInterval;
+  if (!HISTORY_INTERVALS[resolvedInterval]) {
+    return {
+      isValid: false,
+      message: `Invalid interval. Allowed values: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+    };
+  }
+
+  if (!rangePreset.intervals.includes(resolvedInterval)) {
+    return {
+      isValid: false,
+      message: `Interval ${resolvedInterval} is not supported for range ${range}. Allowed intervals: ${rangePreset.intervals.join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    range,
+    interval: resolvedInterval
+  };
+};
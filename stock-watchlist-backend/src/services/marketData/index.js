@@ -0,0 +1,45 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RapidApiProvider } from './RapidApiProvider.js';
+import { FixtureProvider } from './FixtureProvider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '../../../data/fixtures');
+
+// Registered provider factories, keyed by MARKET_DATA_PROVIDER value
+const providerFactories = {
+  rapidapi: () => new RapidApiProvider({
+    apiKey: process.env.RAPIDAPI_KEY,
+    region: process.env.RAPIDAPI_REGION || 'US'
+  }),
+  fixture: () => new FixtureProvider({
+    directory: process.env.MARKET_DATA_FIXTURE_DIR
+      ? path.resolve(process.env.MARKET_DATA_FIXTURE_DIR)
+      : DEFAULT_FIXTURE_DIR
+  })
+};
+
+let activeProvider = null;
+
+// Get the configured market-data provider (created lazily so dotenv has run)
+export const getMarketDataProvider = () => {
+  if (!activeProvider) {
+    const name = (process.env.MARKET_DATA_PROVIDER || 'rapidapi').toLowerCase();
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown market data provider: ${name}`);
+    }
+
+    activeProvider = factory();
+  }
+
+  return activeProvider;
+};
+
+// Replace the active provider (useful for tests and scripts)
+export const setMarketDataProvider = (provider) => {
+  activeProvider = provider;
+};
+
+export { MarketDataProvider } from './MarketDataProvider.js';
@@ -0,0 +1,107 @@
+import Holding from '../models/Holding.js';
+import Stock from '../models/Stock.js';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { replayTransactions, compareTransactions } from './ledger.js';
+import { getSymbolRenames, getPreviousSymbols, withCurrentSymbols } from './corporateActions.js';
+import { symbolSpellings } from '../utils/validators.js';
+import { withOptionalTransaction } from '../utils/database.js';
+
+// A position (Holding) holds two kinds of lots:
+//   ledger lots  the open lots of a replay of the user's transactions, with the buy's transaction id
+//                as their id; they are only ever written here, each time the ledger changes
+//   manual lots  entered in the portfolio before trades were recorded in the ledger; left as they are
+// Syncing in this one place is what keeps the portfolio and the ledger from drifting apart.
+
+// Rebuild the ledger lots of a user's position in `symbol` (or the ticker it trades under now).
+// The replay throws a 400 AppError when the ledger sells more than it holds, so a caller that has
+// just recorded a transaction learns here that it must not stand. The position is removed once
+// it has no lots left. Resolves to the Holding, or null when there is none.
+export const syncHoldingWithLedger = async (userId, symbol, session = null) => {
+  const renames = await getSymbolRenames();
+  const current = renames.get(symbol) || symbol;
+  const symbols = [current, ...getPreviousSymbols(renames, current)];
+
+  // Operations on a session run one at a time
+  const user = await User.findById(userId).select('costBasisMethod').session(session).lean();
+  const transactions = await Transaction.find({ user: userId, symbol: { $in: symbols } }).session(session).lean();
+  const holding = await Holding.findOne({ user: userId, symbol: { $in: symbols.flatMap(symbolSpellings) } })
+    .session(session);
+
+  const { positions } = replayTransactions(withCurrentSymbols(transactions, renames), user?.costBasisMethod);
+  const notes = new Map(transactions.map(transaction => [transaction._id.toString(), transaction.note]));
+  const openLots = positions.find(position => position.symbol === current)?.openLots || [];
+
+  // Fees are part of a lot's cost basis, so they are folded into its price
+  const ledgerLots = openLots.map(lot => ({
+    _id: lot.lot,
+    transaction: lot.lot,
+    quantity: lot.quantity,
+    price: lot.costBasis / lot.quantity,
+    fees: 0,
+    purchasedAt: lot.acquiredAt,
+    note: notes.get(lot.lot.toString()) || ''
+  }));
+  const manualLots = holding ? holding.lots.filter(lot => !lot.transaction).map(lot => lot.toObject()) : [];
+
+  if (ledgerLots.length + manualLots.length === 0) {
+    if (holding) await holding.deleteOne({ session });
+    return null;
+  }
+
+  // A new position links to the watchlist entry its trades were recorded against (which may be in
+  // a list shared with the user), else to the user's own entry for the symbol
+  const linkedStock = transactions.findLast(transaction => transaction.stock)?.stock;
+  const position = holding || new Holding({
+    user: userId,
+    stock: linkedStock
+      || (await Stock.findOne({ user: userId, symbol: { $in: symbolSpellings(current) } }).select('_id').session(session))?._id,
+    symbol: current
+  });
+  position.lots = [...manualLots, ...ledgerLots].sort((a, b) => new Date(a.purchasedAt) - new Date(b.purchasedAt));
+  await position.save({ session });
+
+  return position;
+};
+
+// Record a transaction and sync the position with it.
+// The insert and the sync's replay run in one database transaction where the deployment has them;
+// the sync writes the position's Holding, so of two concurrent sales of the same shares one conflicts
+// and is retried against the other. Without transactions the entry is taken back out when the
+// replay rejects it. Resolves to { transaction, holding }.
+export const recordTransaction = async (fields) => {
+  const { result } = await withOptionalTransaction(async (session) => {
+    // A fresh document each attempt: a retried transaction must insert again
+    const transaction = new Transaction(fields);
+    await transaction.save({ session });
+
+    try {
+      return { transaction, holding: await syncHoldingWithLedger(fields.user, fields.symbol, session) };
+    } catch (error) {
+      if (!session) {
+        await transaction.deleteOne();
+        await syncHoldingWithLedger(fields.user, fields.symbol);
+      }
+      throw error;
+    }
+  });
+
+  return result;
+};
+
+// Delete a transaction entered by mistake and sync the position without it.
+// Only the latest transaction for a symbol can go, so no later sale loses the lots it was matched to.
+export const removeTransaction = async (transaction) => {
+  const history = await Transaction.find({ user: transaction.user, symbol: transaction.symbol })
+    .select('_id executedAt createdAt')
+    .lean();
+  const latest = history.sort(compareTransactions).at(-1);
+
+  if (!latest._id.equals(transaction._id)) {
+    throw new AppError('Only the most recent transaction for a symbol can be deleted; record a correcting transaction instead', 409);
+  }
+
+  await transaction.deleteOne();
+  return syncHoldingWithLedger(transaction.user, transaction.symbol);
+};
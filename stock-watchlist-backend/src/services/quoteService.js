@@ -0,0 +1,109 @@
+import { getMarketDataProvider } from './marketData/index.js';
+import { getCache, getCacheTtl } from './cache.js';
+import { canonicalSymbol } from '../utils/validators.js';
+
+// Summarize how many lookups were served from cache
+const summarizeCacheStatus = (hits, total) => {
+  if (total === 0 || hits === total) return 'HIT';
+  if (hits === 0) return 'MISS';
+  return 'PARTIAL';
+};
+
+// Fetch quotes for several symbols, hitting the provider once for any cache misses.
+// The provider is asked for each symbol's canonical spelling (an older BRK.B entry is priced as BRK-B).
+// Resolves to { quotes, cacheStatus } where quotes is a Map of symbol (as asked for) -> quote;
+// symbols the provider could not price are left out.
+export const getQuotes = async (symbols) => {
+  const uniqueSymbols = [...new Set(symbols)];
+  const quotes = new Map();
+
+  if (uniqueSymbols.length === 0) {
+    return { quotes, cacheStatus: 'HIT' };
+  }
+
+  const providerSymbolOf = new Map(uniqueSymbols.map(symbol => [symbol, canonicalSymbol(symbol)]));
+  const providerSymbols = [...new Set(providerSymbolOf.values())];
+  const found = new Map();
+
+  const provider = getMarketDataProvider();
+  const cache = getCache();
+  const cacheKey = (symbol) => `quote:${provider.name}:${symbol}`;
+
+  const missing = [];
+  for (const symbol of providerSymbols) {
+    const cached = await cache.get(cacheKey(symbol));
+    if (cached === undefined) {
+      missing.push(symbol);
+    } else if (cached) {
+      found.set(symbol, cached);
+    }
+  }
+
+  if (missing.length > 0) {
+    // Identical concurrent batches share a single upstream call
+    const batchKey = `quotes:${provider.name}:${[...missing].sort().join(',')}`;
+    const { value: fetched } = await cache.coalesce(batchKey, async () => {
+      const results = await provider.getQuotes(missing);
+      const bySymbol = new Map(results.map(quote => [quote.symbol.toUpperCase(), quote]));
+      const ttl = getCacheTtl('quote');
+
+      // Cache unknown symbols as null so they are not looked up again right away
+      await Promise.all(missing.map(symbol =>
+        cache.set(cacheKey(symbol), bySymbol.get(symbol) || null, ttl)
+      ));
+
+      return bySymbol;
+    });
+
+    fetched.forEach((quote, symbol) => found.set(symbol, quote));
+  }
+
+  providerSymbolOf.forEach((providerSymbol, symbol) => {
+    if (found.has(providerSymbol)) quotes.set(symbol, found.get(providerSymbol));
+  });
+
+  return {
+    quotes,
+    cacheStatus: summarizeCacheStatus(providerSymbols.length - missing.length, providerSymbols.length)
+  };
+};
+
+// Attach quotes to a list of watchlist items.
+// A failed or missing quote marks only that item as unavailable, never the whole list.
+// Resolves to { items, cacheStatus }.
+export const attachQuotes = async (items) => {
+  let quotes = new Map();
+  let cacheStatus = 'MISS';
+
+  try {
+    ({ quotes, cacheStatus } = await getQuotes(items.map(item => item.symbol)));
+  } catch (error) {
+    console.error('Quote lookup failed:', error.message);
+  }
+
+  const enrichedItems = items.map(item => {
+    const quote = quotes.get(item.symbol);
+
+    if (!quote || quote.price === null) {
+      return { ...item, quote: null, quoteStatus: 'unavailable' };
+    }
+
+    return {
+      ...item,
+      quote: {
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        previousClose: quote.previousClose,
+        dayHigh: quote.dayHigh,
+        dayLow: quote.dayLow,
+        volume: quote.volume,
+        currency: quote.currency,
+        timestamp: quote.timestamp
+      },
+      quoteStatus: 'ok'
+    };
+  });
+
+  return { items: enrichedItems, cacheStatus };
+};
@@ -0,0 +1,128 @@
+import { getQuotes } from './quoteService.js';
+import { TickSimulator } from './marketData/TickSimulator.js';
+
+export const QUOTE_STREAM_SOURCES = ['provider', 'simulated'];
+
+// Read stream settings lazily so dotenv has run
+export const getQuoteStreamConfig = () => {
+  const provider = (process.env.MARKET_DATA_PROVIDER || 'rapidapi').toLowerCase();
+  const source = (process.env.QUOTE_STREAM_SOURCE || (provider === 'fixture' ? 'simulated' : 'provider')).toLowerCase();
+
+  return {
+    source: QUOTE_STREAM_SOURCES.includes(source) ? source : 'provider',
+    intervalMs: parseInt(process.env.QUOTE_STREAM_INTERVAL_MS) || 5000,
+    throttleMs: parseInt(process.env.QUOTE_STREAM_THROTTLE_MS) || 1000,
+    heartbeatMs: parseInt(process.env.QUOTE_STREAM_HEARTBEAT_MS) || 15000
+  };
+};
+
+// Fans quote updates out to subscribers.
+// One timer serves every connection: each tick fetches (or simulates) quotes for the union of
+// subscribed symbols and notifies listeners of the symbols whose quote changed.
+export class QuoteStream {
+  constructor({ source = 'provider', intervalMs = 5000, simulator = new TickSimulator() } = {}) {
+    this.source = source;
+    this.intervalMs = intervalMs;
+    this.simulator = simulator;
+    this.subscriptions = new Set();
+    this.latest = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Subscribe listener(quotes) to updates for symbols; returns an unsubscribe function
+  subscribe(symbols, listener) {
+    const subscription = { symbols: new Set(symbols), listener };
+    this.subscriptions.add(subscription);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.intervalMs);
+      // Don't keep the process alive just for streaming
+      this.timer.unref();
+    }
+
+    // Symbols nobody streamed before get their first quote right away
+    if (symbols.some(symbol => !this.latest.has(symbol))) {
+      setImmediate(() => this.tick());
+    }
+
+    return () => {
+      this.subscriptions.delete(subscription);
+      if (this.subscriptions.size === 0) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    };
+  }
+
+  // Last known quotes for symbols (those not fetched yet are left out)
+  snapshot(symbols) {
+    return symbols.filter(symbol => this.latest.has(symbol)).map(symbol => this.latest.get(symbol));
+  }
+
+  // Fetch the next quotes for a set of symbols from the configured source
+  async fetch(symbols) {
+    if (this.source !== 'simulated') {
+      const { quotes } = await getQuotes(symbols);
+      return [...quotes.values()];
+    }
+
+    // Start each simulated walk from a real quote when one is available
+    const unseeded = symbols.filter(symbol => !this.simulator.hasSymbol(symbol));
+    if (unseeded.length > 0) {
+      let references = new Map();
+      try {
+        ({ quotes: references } = await getQuotes(unseeded));
+      } catch (error) {
+        console.error('Quote lookup for simulation failed:', error.message);
+      }
+      unseeded.forEach(symbol => this.simulator.seed(symbol, references.get(symbol)));
+    }
+
+    return symbols.map(symbol => this.simulator.next(symbol));
+  }
+
+  async tick() {
+    // Skip a tick rather than overlap a slow fetch
+    if (this.ticking || this.subscriptions.size === 0) return;
+    this.ticking = true;
+
+    try {
+      const symbols = [...new Set([...this.subscriptions].flatMap(subscription => [...subscription.symbols]))];
+      const quotes = await this.fetch(symbols);
+
+      const changed = quotes.filter(quote => {
+        const previous = this.latest.get(quote.symbol);
+        return !previous || previous.price !== quote.price || previous.timestamp !== quote.timestamp;
+      });
+      changed.forEach(quote => this.latest.set(quote.symbol, quote));
+
+      // Forget symbols no one is watching any more
+      for (const symbol of this.latest.keys()) {
+        if (!symbols.includes(symbol)) this.latest.delete(symbol);
+      }
+
+      if (changed.length === 0) return;
+
+      for (const subscription of this.subscriptions) {
+        const relevant = changed.filter(quote => subscription.symbols.has(quote.symbol));
+        if (relevant.length > 0) subscription.listener(relevant);
+      }
+    } catch (error) {
+      console.error('❌ Quote stream update failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+let quoteStream = null;
+
+// Get the shared quote stream (created lazily so dotenv has run)
+export const getQuoteStream = () => {
+  if (!quoteStream) {
+    const { source, intervalMs } = getQuoteStreamConfig();
+    quoteStream = new QuoteStream({ source, intervalMs });
+  }
+  return quoteStream;
+};
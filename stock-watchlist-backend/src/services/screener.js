@@ -0,0 +1,323 @@
+// Stock screener over the instrument catalog.
+// Screens are JSON filter trees: a condition { field, op, value } or a group
+// { and: [...] } / { or: [...] } of conditions and groups, nested a few levels deep.
+import { AppError } from '../middleware/errorHandler.js';
+import { getCatalogInstruments } from './instrumentCatalog.js';
+import { getQuotes } from './quoteService.js';
+import { getMarketDataProvider } from './marketData/index.js';
+import { getCache, getCacheTtl } from './cache.js';
+import { sma, ema, rsi, macd, atr, lastValue } from './indicators.js';
+
+// Fields a screen can use, by where their values come from
+const INSTRUMENT_FIELDS = ['symbol', 'name', 'exchange', 'sector', 'assetType', 'currency'];
+const QUOTE_FIELDS = ['price', 'change', 'changePercent', 'volume', 'marketCap', 'peRatio'];
+
+// Indicator fields carry their period in the name (rsi14, sma50, ema20, atr14);
+// macdHistogram uses the standard 12/26/9 periods. All are computed from daily closes.
+const INDICATOR_FIELD_PATTERN = /^(rsi|sma|ema|atr)(\d{1,3})$/;
+const MAX_INDICATOR_PERIOD = 200;
+
+const STRING_OPERATORS = ['eq', 'ne', 'in', 'nin', 'contains'];
+const NUMBER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'nin'];
+
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 50;
+const MAX_LIST_VALUES = 100;
+
+// Screens may only price or chart this many candidates; narrower instrument filters keep them fast
+const MAX_QUOTE_CANDIDATES = 500;
+const MAX_INDICATOR_CANDIDATES = 100;
+const HISTORY_CONCURRENCY = 5;
+
+// Where a field's values come from: 'instrument', 'quote', 'indicator' or null for unknown fields
+export const getFieldSource = (field) => {
+  if (INSTRUMENT_FIELDS.includes(field)) return 'instrument';
+  if (QUOTE_FIELDS.includes(field)) return 'quote';
+  if (field === 'macdHistogram') return 'indicator';
+
+  const match = INDICATOR_FIELD_PATTERN.exec(field);
+  if (match && Number(match[2]) >= 2 && Number(match[2]) <= MAX_INDICATOR_PERIOD) return 'indicator';
+  return null;
+};
+
+// Describe the fields and operators a screen can use (for building filters in the UI)
+export const describeScreenerFields = () => ({
+  fields: [
+    ...INSTRUMENT_FIELDS.map(field => ({ field, type: 'string', source: 'instrument', operators: STRING_OPERATORS })),
+    ...QUOTE_FIELDS.map(field => ({ field, type: 'number', source: 'quote', operators: NUMBER_OPERATORS })),
+    { field: 'macdHistogram', type: 'number', source: 'indicator', operators: NUMBER_OPERATORS }
+  ],
+  indicatorFields: {
+    pattern: '(rsi|sma|ema|atr)<period>',
+    examples: ['rsi14', 'sma50', 'ema20', 'atr14'],
+    periods: { min: 2, max: MAX_INDICATOR_PERIOD },
+    operators: NUMBER_OPERATORS
+  }
+});
+
+// Check one condition's operator and value against its field type
+const validateCondition = (condition) => {
+  const { field, op, value } = condition;
+  const source = getFieldSource(field);
+  if (!source) {
+    return `Unknown field ${field}`;
+  }
+
+  const type = source === 'instrument' ? 'string' : 'number';
+  const operators = type === 'string' ? STRING_OPERATORS : NUMBER_OPERATORS;
+  if (!operators.includes(op)) {
+    return `Operator ${op} is not allowed for ${field}. Allowed: ${operators.join(', ')}`;
+  }
+
+  const isValue = (entry) => (type === 'string' ? typeof entry === 'string' && entry.length <= 100 : Number.isFinite(entry));
+
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isValue) || value[0] > value[1]) {
+      return `${field} between needs [min, max] numbers`;
+    }
+  } else if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_VALUES || !value.every(isValue)) {
+      return `${field} ${op} needs a list of 1 to ${MAX_LIST_VALUES} ${type} values`;
+    }
+  } else if (!isValue(value)) {
+    return `${field} ${op} needs a ${type} value`;
+  }
+
+  return null;
+};
+
+// Validate a filter tree.
+// Returns { isValid: true } or { isValid: false, message }, like the utils/validators helpers.
+export const validateScreenFilter = (filter) => {
+  let conditions = 0;
+
+  const check = (node, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return 'Each filter must be a condition or an and/or group';
+    }
+
+    const keys = Object.keys(node);
+    if (keys.length === 1 && (keys[0] === 'and' || keys[0] === 'or')) {
+      const children = node[keys[0]];
+      if (depth >= MAX_DEPTH) return `Filter groups cannot be nested more than ${MAX_DEPTH} levels deep`;
+      if (!Array.isArray(children) || children.length === 0) return `"${keys[0]}" needs a non-empty list of filters`;
+
+      for (const child of children) {
+        const message = check(child, depth + 1);
+        if (message) return message;
+      }
+      return null;
+    }
+
+    if (keys.some(key => !['field', 'op', 'value'].includes(key))) {
+      return 'Conditions only take field, op and value';
+    }
+
+    conditions += 1;
+    if (conditions > MAX_CONDITIONS) return `A screen can have at most ${MAX_CONDITIONS} conditions`;
+    return validateCondition(node);
+  };
+
+  const message = check(filter, 0);
+  return message ? { isValid: false, message } : { isValid: true };
+};
+
+// Validate a sort string such as "-marketCap" or "rsi14"
+export const validateScreenSort = (sort) => {
+  if (typeof sort !== 'string' || !getFieldSource(sort.replace(/^-/, ''))) {
+    return { isValid: false, message: 'Sort must be a screener field, optionally prefixed with - for descending' };
+  }
+  return { isValid: true };
+};
+
+// Every field a filter (and sort) refers to
+const collectFields = (filter, fields = new Set()) => {
+  if (filter.and || filter.or) {
+    (filter.and || filter.or).forEach(child => collectFields(child, fields));
+  } else {
+    fields.add(filter.field);
+  }
+  return fields;
+};
+
+const normalizeString = (value) => String(value).toLowerCase();
+
+// Evaluate a condition: true, false, or null when its field has not been loaded yet.
+// Loaded fields without data (e.g. no P/E for an ETF) never match.
+const evaluateCondition = ({ field, op, value }, row) => {
+  const actual = row[field];
+  if (actual === undefined) return null;
+  if (actual === null) return false;
+
+  if (typeof actual === 'string') {
+    const text = normalizeString(actual);
+    switch (op) {
+      case 'eq': return text === normalizeString(value);
+      case 'ne': return text !== normalizeString(value);
+      case 'in': return value.some(entry => text === normalizeString(entry));
+      case 'nin': return !value.some(entry => text === normalizeString(entry));
+      case 'contains': return text.includes(normalizeString(value));
+      default: return false;
+    }
+  }
+
+  switch (op) {
+    case 'eq': return actual === value;
+    case 'ne': return actual !== value;
+    case 'gt': return actual > value;
+    case 'gte': return actual >= value;
+    case 'lt': return actual < value;
+    case 'lte': return actual <= value;
+    case 'between': return actual >= value[0] && actual <= value[1];
+    case 'in': return value.includes(actual);
+    case 'nin': return !value.includes(actual);
+    default: return false;
+  }
+};
+
+// Evaluate a filter tree with three-valued logic, so rows can be ruled out
+// before the more expensive fields (quotes, then indicators) are loaded
+export const evaluateFilter = (filter, row) => {
+  if (filter.and || filter.or) {
+    const isAnd = Boolean(filter.and);
+    let unknown = false;
+
+    for (const child of filter.and || filter.or) {
+      const result = evaluateFilter(child, row);
+      if (result === !isAnd) return result;
+      if (result === null) unknown = true;
+    }
+
+    return unknown ? null : isAnd;
+  }
+
+  return evaluateCondition(filter, row);
+};
+
+// Daily closes for a symbol, cached like other history lookups
+const getDailyCandles = async (symbol) => {
+  const provider = getMarketDataProvider();
+  const { value: history } = await getCache().wrap(
+    `history:${provider.name}:${symbol}:1y:1d`,
+    getCacheTtl('history'),
+    () => provider.getHistory(symbol, { range: '1y', interval: '1d' })
+  );
+
+  return history.candles.filter(candle =>
+    [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite)
+  );
+};
+
+// Latest value of each requested indicator field (null where history is missing or too short)
+const computeIndicatorFields = (candles, fields) => {
+  const closes = candles.map(candle => candle.close);
+
+  return Object.fromEntries(fields.map(field => {
+    if (field === 'macdHistogram') {
+      return [field, lastValue(macd(closes).histogram)];
+    }
+
+    const [, name, period] = INDICATOR_FIELD_PATTERN.exec(field);
+    const series = {
+      rsi: () => rsi(closes, Number(period)),
+      sma: () => sma(closes, Number(period)),
+      ema: () => ema(closes, Number(period)),
+      atr: () => atr(candles, Number(period))
+    }[name]();
+
+    return [field, lastValue(series)];
+  }));
+};
+
+const QUOTE_DEFAULTS = Object.fromEntries(QUOTE_FIELDS.map(field => [field, null]));
+
+// Copy quote fields onto rows (null for symbols that could not be priced)
+const attachQuoteFields = async (rows) => {
+  const { quotes } = await getQuotes(rows.map(row => row.symbol));
+  rows.forEach(row => {
+    const quote = quotes.get(row.symbol);
+    Object.assign(row, QUOTE_DEFAULTS);
+    if (quote) QUOTE_FIELDS.forEach(field => { row[field] = quote[field] ?? null; });
+  });
+};
+
+// Copy indicator fields onto rows, a few symbols at a time
+const attachIndicatorFields = async (rows, fields) => {
+  for (let i = 0; i < rows.length; i += HISTORY_CONCURRENCY) {
+    await Promise.all(rows.slice(i, i + HISTORY_CONCURRENCY).map(async (row) => {
+      try {
+        Object.assign(row, computeIndicatorFields(await getDailyCandles(row.symbol), fields));
+      } catch (error) {
+        // Symbols without history simply fail indicator conditions
+        fields.forEach(field => { row[field] = null; });
+      }
+    }));
+  }
+};
+
+// Sort rows by a field, nulls last either way
+const sortRows = (rows, sort) => {
+  const field = sort.replace(/^-/, '');
+  const direction = sort.startsWith('-') ? -1 : 1;
+
+  return rows.sort((a, b) => {
+    const left = a[field];
+    const right = b[field];
+    if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+    if (right === null || right === undefined) return -1;
+    if (typeof left === 'string') return left.localeCompare(right, 'en', { sensitivity: 'base' }) * direction;
+    return (left - right) * direction;
+  });
+};
+
+// Run a screen over the catalog; resolves to { results, total, universeSize }.
+// Filters are applied in stages (instrument fields, then quotes, then indicators),
+// dropping rows as soon as they can no longer match.
+export const runScreen = async ({ filter, sort = 'symbol', page = 1, limit = 20 }) => {
+  const instruments = await getCatalogInstruments();
+
+  const fields = collectFields(filter, new Set([sort.replace(/^-/, '')]));
+  const indicatorFields = [...fields].filter(field => getFieldSource(field) === 'indicator');
+  const needsQuotes = [...fields].some(field => getFieldSource(field) === 'quote');
+
+  let rows = instruments.map(instrument => Object.fromEntries(
+    INSTRUMENT_FIELDS.map(field => [field, instrument[field] ?? null])
+  ));
+  rows = rows.filter(row => evaluateFilter(filter, row) !== false);
+
+  if (needsQuotes) {
+    if (rows.length > MAX_QUOTE_CANDIDATES) {
+      throw new AppError(`This screen needs quotes for ${rows.length} instruments (at most ${MAX_QUOTE_CANDIDATES}); add a sector, exchange or asset type condition`, 400);
+    }
+    await attachQuoteFields(rows);
+    rows = rows.filter(row => evaluateFilter(filter, row) !== false);
+  }
+
+  if (indicatorFields.length > 0) {
+    if (rows.length > MAX_INDICATOR_CANDIDATES) {
+      throw new AppError(`This screen needs indicators for ${rows.length} instruments (at most ${MAX_INDICATOR_CANDIDATES}); narrow it with instrument or quote conditions first`, 400);
+    }
+    await attachIndicatorFields(rows, indicatorFields);
+  }
+
+  rows = sortRows(rows.filter(row => evaluateFilter(filter, row) === true), sort);
+
+  const results = rows.slice((page - 1) * limit, page * limit);
+
+  // Show prices on the returned page even when the screen did not filter on them.
+  // They are only for display, so a provider outage leaves them null rather than failing the screen.
+  if (!needsQuotes && results.length > 0) {
+    try {
+      await attachQuoteFields(results);
+    } catch (error) {
+      console.error('Quote lookup failed:', error.message);
+      results.forEach(row => Object.assign(row, QUOTE_DEFAULTS));
+    }
+  }
+
+  return {
+    results,
+    total: rows.length,
+    universeSize: instruments.length
+  };
+};
@@ -59,6 +59,32 @@ export const connectDatabase = async () => {
   }
 };
 
+// Standalone servers reject transactions; replica sets and mongos accept them
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || '');
+
+// Run work(session) inside a transaction when the deployment supports one.
+// Otherwise work(null) runs without a transaction and the caller handles rollback.
+// Resolves to { result, transactional }.
+export const withOptionalTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return { result, transactional: true };
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+    return { result: await work(null), transactional: false };
+  } finally {
+    await session.endSession();
+  }
+};
+
 // Check database health
 export const checkDatabaseHealth = async () => {
   try {
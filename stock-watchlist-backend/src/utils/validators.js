@@ -1,3 +1,113 @@
+// Exchange suffixes used by Yahoo-style symbols (RELIANCE.NS, SHOP.TO, 7203.T)
+export const EXCHANGE_SUFFIXES = [
+  'AS', 'AT', 'AX', 'BA', 'BC', 'BD', 'BE', 'BK', 'BO', 'BR', 'CN', 'CO', 'DE', 'DU', 'F',
+  'HA', 'HE', 'HK', 'HM', 'IC', 'IL', 'IR', 'IS', 'JK', 'JO', 'KL', 'KQ', 'KS', 'L', 'LS',
+  'MC', 'ME', 'MI', 'MU', 'MX', 'NE', 'NS', 'NZ', 'OL', 'PA', 'PR', 'QA', 'SA', 'SG', 'SI',
+  'SN', 'SR', 'SS', 'ST', 'SW', 'SZ', 'T', 'TA', 'TO', 'TW', 'TWO', 'V', 'VI', 'VS'
+];
+
+// Quote currencies accepted on crypto pairs (BTC-USD, ETH-EUR, SOL-USDT)
+const CRYPTO_QUOTE_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR', 'CHF', 'USDT', 'USDC', 'BTC', 'ETH'
+];
+
+const MAX_SYMBOL_LENGTH = 20;
+
+// Symbol grammar, tried in order
+const SYMBOL_PATTERNS = [
+  // ^GSPC, ^NSEI, ^N225
+  { assetType: 'index', regex: /^\^([A-Z0-9][A-Z0-9.]{0,9})$/ },
+  // EURUSD=X (pair) or JPY=X (against USD)
+  { assetType: 'fx', regex: /^([A-Z]{3})([A-Z]{3})?=X$/ },
+  // CL=F, GC=F
+  { assetType: 'future', regex: /^([A-Z]{1,4})=F$/ },
+  // BTC-USD, ETH-EUR
+  { assetType: 'crypto', regex: /^([A-Z0-9]{2,10})-([A-Z]{3,4})$/ },
+  // AAPL, BRK.B, BF-B, RELIANCE.NS, 0700.HK, RCI-B.TO
+  { assetType: 'equity', regex: /^([A-Z0-9]{1,10})(?:[.-]([A-Z]))?(?:\.([A-Z]{1,3}))?$/ }
+];
+
+// Parse a ticker into its parts.
+// Returns { isValid, symbol, root, shareClass, exchangeSuffix, assetType, quoteCurrency }
+// or { isValid: false, message } when the symbol doesn't fit the grammar.
+export const parseSymbol = (symbol) => {
+  if (typeof symbol !== 'string' || symbol.trim() === '') {
+    return { isValid: false, message: 'Stock symbol is required' };
+  }
+
+  const normalized = symbol.trim().toUpperCase();
+  if (normalized.length > MAX_SYMBOL_LENGTH) {
+    return { isValid: false, message: `Stock symbol must not exceed ${MAX_SYMBOL_LENGTH} characters` };
+  }
+
+  for (const { assetType, regex } of SYMBOL_PATTERNS) {
+    const match = normalized.match(regex);
+    if (!match) continue;
+
+    const parts = {
+      isValid: true,
+      symbol: normalized,
+      root: match[1],
+      shareClass: null,
+      exchangeSuffix: null,
+      assetType,
+      quoteCurrency: null
+    };
+
+    if (assetType === 'fx') {
+      parts.quoteCurrency = match[2] ? match[2] : match[1];
+      parts.root = match[2] ? match[1] : 'USD';
+    } else if (assetType === 'crypto') {
+      if (!CRYPTO_QUOTE_CURRENCIES.includes(match[2])) continue;
+      parts.quoteCurrency = match[2];
+    } else if (assetType === 'equity') {
+      // BRK.B is a share class, RELIANCE.NS an exchange; a lone suffix is read as an exchange if it is one
+      let [, , shareClass, exchangeSuffix] = match;
+      if (shareClass && !exchangeSuffix && normalized.includes(`.${shareClass}`) && EXCHANGE_SUFFIXES.includes(shareClass)) {
+        exchangeSuffix = shareClass;
+        shareClass = undefined;
+      }
+      if (exchangeSuffix && !EXCHANGE_SUFFIXES.includes(exchangeSuffix)) {
+        return { isValid: false, message: `Unknown exchange suffix .${exchangeSuffix}` };
+      }
+      parts.shareClass = shareClass || null;
+      parts.exchangeSuffix = exchangeSuffix || null;
+    }
+
+    return parts;
+  }
+
+  return {
+    isValid: false,
+    message: 'Stock symbol format is not recognized (examples: AAPL, BRK.B, RELIANCE.NS, ^GSPC, BTC-USD, EURUSD=X)'
+  };
+};
+
+// Format parsed parts the way market-data providers expect (Yahoo style: share classes use a dash, BRK-B)
+export const toProviderSymbol = (parts) => {
+  if (parts.assetType !== 'equity' || !parts.shareClass) return parts.symbol;
+  return `${parts.root}-${parts.shareClass}${parts.exchangeSuffix ? `.${parts.exchangeSuffix}` : ''}`;
+};
+
+// Canonical spelling of a symbol, as stored and as sent to providers (BRK.B and BRK-B are both BRK-B).
+// A dash is unambiguous where a dot is not: XYZ.V is a TSX Venture listing, XYZ-V a class V share.
+// Input that doesn't fit the grammar is only trimmed and upper-cased.
+export const canonicalSymbol = (symbol) => {
+  const parsed = parseSymbol(symbol);
+  if (parsed.isValid) return toProviderSymbol(parsed);
+  return typeof symbol === 'string' ? symbol.trim().toUpperCase() : symbol;
+};
+
+// Spellings a stored symbol may have: the canonical one, and the dotted share class
+// used by entries saved before symbols were canonicalized (BRK-B, BRK.B)
+export const symbolSpellings = (symbol) => {
+  const canonical = canonicalSymbol(symbol);
+  const parsed = parseSymbol(canonical);
+  if (!parsed.isValid || !parsed.shareClass) return [canonical];
+
+  return [canonical, `${parsed.root}.${parsed.shareClass}${parsed.exchangeSuffix ? `.${parsed.exchangeSuffix}` : ''}`];
+};
+
 // Stock symbol validation
 export const validateStockSymbol = (symbol) => {
   // Check if symbol exists
@@ -16,29 +126,15 @@ export const validateStockSymbol = (symbol) => {
     };
   }
 
-  // Trim and convert to uppercase
-  const trimmedSymbol = symbol.trim().toUpperCase();
-
-  // Check length (1-5 characters)
-  if (trimmedSymbol.length < 1 || trimmedSymbol.length > 5) {
-    return {
-      isValid: false,
-      message: 'Stock symbol must be 1-5 characters long'
-    };
-  }
-
-  // Check if contains only uppercase letters
-  const regex = /^[A-Z]{1,5}$/;
-  if (!regex.test(trimmedSymbol)) {
-    return {
-      isValid: false,
-      message: 'Stock symbol must contain only uppercase letters (A-Z)'
-    };
+  // Check the symbol against the ticker grammar
+  const parsed = parseSymbol(symbol);
+  if (!parsed.isValid) {
+    return parsed;
   }
 
   // Check for forbidden symbols (if any)
   const forbiddenSymbols = ['NULL', 'ADMIN', 'TEST', 'DEBUG'];
-  if (forbiddenSymbols.includes(trimmedSymbol)) {
+  if (forbiddenSymbols.includes(parsed.root)) {
     return {
       isValid: false,
       message: 'This stock symbol is not allowed'
@@ -47,10 +143,44 @@ export const validateStockSymbol = (symbol) => {
 
   return {
     isValid: true,
-    symbol: trimmedSymbol
+    symbol: toProviderSymbol(parsed),
+    parts: parsed
   };
 };
 
+// Normalize stock input the same way for single, bulk and imported adds
+export const normalizeStockInput = ({ symbol, name } = {}) => ({
+  symbol: typeof symbol === 'string' ? symbol.toUpperCase().trim() : '',
+  name: typeof name === 'string' ? name.trim() : ''
+});
+
+// Classify stock entries (bulk requests, imports) before touching the database.
+// Accepts plain symbols or { symbol, name } objects; returns one result per entry,
+// with status 'invalid' or 'duplicate' for entries that can already be rejected.
+export const classifyStockEntries = (entries) => {
+  const seen = new Set();
+
+  return entries.map(entry => {
+    const { symbol, name } = normalizeStockInput(typeof entry === 'string' ? { symbol: entry } : (entry || {}));
+    const symbolValidation = validateStockSymbol(symbol);
+
+    if (!symbolValidation.isValid) {
+      return { symbol, status: 'invalid', message: symbolValidation.message };
+    }
+    if (name.length > 100) {
+      return { symbol, status: 'invalid', message: 'Stock name must not exceed 100 characters' };
+    }
+    // BRK.B and BRK-B are the same entry
+    const canonical = symbolValidation.symbol;
+    if (seen.has(canonical)) {
+      return { symbol: canonical, status: 'duplicate', message: 'Symbol repeated in request' };
+    }
+
+    seen.add(canonical);
+    return { symbol: canonical, name, status: null };
+  });
+};
+
 // Email validation (for future use)
 export const validateEmail = (email) => {
   if (!email || typeof email !== 'string') {
@@ -0,0 +1,78 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Stock from '../src/models/Stock.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { importStocks } from '../src/controllers/importExportController.js';
+
+// A query stand-in: awaitable directly or after .select()/.lean(), like a Mongoose query
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Run the handler and capture the response (or the error passed to next)
+const runImport = (file, body = {}) => new Promise((resolve) => {
+  const userId = new mongoose.Types.ObjectId();
+  const req = {
+    file: { originalname: file.name, buffer: Buffer.from(file.content) },
+    body,
+    user: { _id: userId, id: userId.toString() },
+    watchlist: { _id: new mongoose.Types.ObjectId(), user: userId, name: 'Main' },
+    ip: '127.0.0.1',
+    get: () => 'node-test'
+  };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { resolve({ statusCode: this.statusCode, payload }); }
+  };
+  importStocks(req, res, error => resolve({ error }));
+});
+
+describe('importStocks', () => {
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    mock.method(Stock, 'nextPosition', async () => 0);
+    mock.method(Stock, 'insertMany', async (docs) => { inserted.push(...docs); return docs; });
+    mock.method(Stock, 'find', (filter) => query(
+      filter._id ? inserted.map(doc => ({ _id: doc._id })) : []
+    ));
+    mock.method(AuditEvent, 'create', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('saves new rows from a CSV file with their canonical symbols', async () => {
+    const { error, statusCode, payload } = await runImport({
+      name: 'watchlist.csv',
+      content: 'Ticker,Company,Notes\nAAPL,Apple Inc.,core\nBRK.B,Berkshire Hathaway,\n'
+    });
+
+    assert.equal(error, undefined);
+    assert.equal(statusCode, 201);
+    assert.equal(payload.data.dryRun, false);
+    assert.deepEqual(payload.data.summary, { added: 2 });
+    assert.deepEqual(inserted.map(doc => doc.symbol), ['AAPL', 'BRK-B']);
+    assert.deepEqual(inserted.map(doc => doc.position), [0, 1]);
+    assert.equal(inserted[0].notes, 'core');
+    assert.equal(AuditEvent.create.mock.callCount(), 1);
+  });
+
+  it('saves new rows from a JSON export', async () => {
+    const { error, statusCode, payload } = await runImport({
+      name: 'watchlist.json',
+      content: JSON.stringify({ stocks: [{ symbol: 'MSFT', name: 'Microsoft', tags: ['tech'] }] })
+    });
+
+    assert.equal(error, undefined);
+    assert.equal(statusCode, 201);
+    assert.deepEqual(payload.data.summary, { added: 1 });
+    assert.deepEqual(inserted.map(doc => doc.symbol), ['MSFT']);
+  });
+});
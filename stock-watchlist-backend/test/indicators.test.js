@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, ema, rsi, macd, bollingerBands, atr, vwap } from '../src/services/indicators.js';
+
+// Compare a series against reference values: nulls must match exactly, numbers to 6 decimals
+const assertSeries = (actual, expected) => {
+  assert.equal(actual.length, expected.length, 'series length');
+  expected.forEach((value, i) => {
+    if (value === null) {
+      assert.equal(actual[i], null, `index ${i} should be null (warm-up)`);
+    } else {
+      assert.ok(Math.abs(actual[i] - value) < 1e-6, `index ${i}: expected ${value}, got ${actual[i]}`);
+    }
+  });
+};
+
+const allNull = (length) => new Array(length).fill(null);
+
+describe('sma', () => {
+  it('averages each window once the period is filled', () => {
+    assertSeries(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  });
+
+  it('is all null when the series is shorter than the period', () => {
+    assertSeries(sma([1, 2], 3), allNull(2));
+  });
+});
+
+describe('ema', () => {
+  it('seeds with the SMA of the first period and smooths with 2 / (period + 1)', () => {
+    assertSeries(ema([2, 4, 6, 8, 12, 14], 3), [null, null, 4, 6, 9, 11.5]);
+  });
+
+  it('is all null when the series is shorter than the period', () => {
+    assertSeries(ema([1, 2], 3), allNull(2));
+  });
+});
+
+describe('rsi', () => {
+  it("uses Wilder's smoothing of average gains and losses", () => {
+    // Average gain / loss: 2/3 and 1/3, then 10/9 and 2/9, then 20/27 and 13/27
+    assertSeries(rsi([10, 11, 12, 11, 13, 12], 3), [null, null, null, 200 / 3, 250 / 3, 100 - 1300 / 33]);
+  });
+
+  it('is 100 when prices only rise and 50 when they do not move', () => {
+    assertSeries(rsi([1, 2, 3, 4], 3), [null, null, null, 100]);
+    assertSeries(rsi([5, 5, 5, 5], 3), [null, null, null, 50]);
+  });
+
+  it('needs one more close than the period', () => {
+    assertSeries(rsi([1, 2, 3], 3), allNull(3));
+  });
+});
+
+describe('macd', () => {
+  it('returns the EMA difference, its signal line and the histogram', () => {
+    const result = macd([1, 2, 4, 8, 16], { fast: 2, slow: 3, signal: 2 });
+
+    assertSeries(result.macd, [null, null, 5 / 6, 11 / 9, 239 / 108]);
+    assertSeries(result.signal, [null, null, null, 37 / 36, 589 / 324]);
+    assertSeries(result.histogram, [null, null, null, 7 / 36, 128 / 324]);
+  });
+
+  it('is all null when the series is shorter than the slow period', () => {
+    const result = macd([1, 2], { fast: 2, slow: 3, signal: 2 });
+
+    assertSeries(result.macd, allNull(2));
+    assertSeries(result.signal, allNull(2));
+    assertSeries(result.histogram, allNull(2));
+  });
+});
+
+describe('bollingerBands', () => {
+  it('places the bands stdDev population standard deviations around the SMA', () => {
+    const result = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], { period: 8, stdDev: 2 });
+
+    assertSeries(result.middle, [...allNull(7), 5]);
+    assertSeries(result.upper, [...allNull(7), 9]);
+    assertSeries(result.lower, [...allNull(7), 1]);
+  });
+
+  it('is all null when the series is shorter than the period', () => {
+    const result = bollingerBands([1, 2, 3], { period: 20 });
+
+    assertSeries(result.middle, allNull(3));
+    assertSeries(result.upper, allNull(3));
+    assertSeries(result.lower, allNull(3));
+  });
+});
+
+describe('atr', () => {
+  const candles = [
+    { high: 10, low: 8, close: 9 },
+    { high: 11, low: 9, close: 10.5 },
+    { high: 14, low: 12, close: 13 },  // gap up: true range is high - previous close
+    { high: 13, low: 11, close: 12 }
+  ];
+
+  it("smooths the true range with Wilder's method", () => {
+    assertSeries(atr(candles, 2), [null, 2, 2.75, 2.375]);
+  });
+
+  it('is all null when there are fewer candles than the period', () => {
+    assertSeries(atr(candles.slice(0, 1), 2), allNull(1));
+  });
+});
+
+describe('vwap', () => {
+  const candles = [
+    { timestamp: '2024-03-01T14:30:00Z', high: 12, low: 8, close: 10, volume: 100 },
+    { timestamp: '2024-03-01T15:30:00Z', high: 14, low: 10, close: 12, volume: 300 },
+    { timestamp: '2024-03-04T14:30:00Z', high: 20, low: 16, close: 18, volume: 100 }
+  ];
+
+  it('weights the typical price by volume across the whole series', () => {
+    assertSeries(vwap(candles), [10, 11.5, 12.8]);
+  });
+
+  it('restarts every UTC day with resetDaily', () => {
+    assertSeries(vwap(candles, { resetDaily: true }), [10, 11.5, 18]);
+  });
+
+  it('is null until some volume has traded', () => {
+    assertSeries(vwap([{ ...candles[0], volume: 0 }, candles[1]]), [null, 12]);
+  });
+});
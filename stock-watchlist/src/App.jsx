@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './pages/Login';
 import Watchlist from './pages/Watchlist';
+import SharedWatchlist from './pages/SharedWatchlist';
+import Screener from './pages/Screener';
+import Activity from './pages/Activity';
 import apiService from './services/api';
 import './App.css';
 
@@ -34,6 +37,10 @@ function App() {
     setUser(userData);
   };
 
+  const handleUserUpdate = (userData) => {
+    setUser(userData);
+  };
+
   const handleLogout = () => {
     setUser(null);
     apiService.setToken(null);
@@ -64,10 +71,27 @@ function App() {
             path="/watchlist" 
             element={
               user ? 
-                <Watchlist user={user} onLogout={handleLogout} /> : 
+                <Watchlist user={user} onLogout={handleLogout} onUserUpdate={handleUserUpdate} /> : 
+                <Navigate to="/" replace />
+            } 
+          />
+          <Route 
+            path="/screener" 
+            element={
+              user ? 
+                <Screener /> : 
+                <Navigate to="/" replace />
+            } 
+          />
+          <Route 
+            path="/activity" 
+            element={
+              user ? 
+                <Activity user={user} /> : 
                 <Navigate to="/" replace />
             } 
           />
+          <Route path="/shared/:token" element={<SharedWatchlist user={user} />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </div>
@@ -0,0 +1,336 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiService from '../services/api';
+import './Watchlist.css';
+import './Activity.css';
+
+const PAGE_SIZE = 25;
+
+// Filter choices; each maps onto the API's ?action= list
+const ACTION_FILTERS = {
+  '': 'All activity',
+  'stock.add,stock.bulk_add,stock.import': 'Symbols added',
+  'stock.remove,stock.bulk_remove': 'Symbols removed',
+  'stock.update,stock.reorder': 'Symbols edited',
+  'watchlist.create,watchlist.update,watchlist.delete': 'Watchlists',
+  'watchlist.member_add,watchlist.member_remove,watchlist.member_role_change,share_link.create,share_link.revoke': 'Sharing',
+  'alert.create,alert.update,alert.delete': 'Alerts',
+  'portfolio.lot_add,portfolio.lot_update,portfolio.lot_remove,portfolio.holding_remove,transaction.create,transaction.delete': 'Trades and positions',
+  'income.create,income.delete': 'Income',
+  'screen.create,screen.update,screen.delete': 'Saved screens',
+  'corporate_action.apply': 'Corporate actions',
+  'user.login,user.login_failed': 'Sign-ins',
+  'user.register,user.preferences_update': 'Account'
+};
+
+const PREFERENCE_LABELS = { costBasisMethod: 'cost basis method', baseCurrency: 'base currency' };
+
+const emptyFilters = { action: '', symbol: '', from: '', to: '' };
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const TRANSACTION_LABELS = {
+  buy: 'Bought', sell: 'Sold', transfer_in: 'Transferred in', transfer_out: 'Transferred out'
+};
+
+// What a corporate action did to a symbol
+const describeCorporateAction = (label, details = {}) => {
+  switch (details.type) {
+    case 'split':
+      return `${label} split ${details.ratio} for 1; targets, alerts and positions adjusted`;
+    case 'symbol_change':
+      return `${label} now trades as ${details.newSymbol}; entries moved to the new ticker`;
+    case 'delisting':
+      return `${label} was delisted; its alerts were switched off`;
+    default:
+      return `Corporate action applied to ${label}`;
+  }
+};
+
+// One line describing what happened
+const describeEvent = (event) => {
+  const symbols = event.details?.symbols || [];
+  const label = event.target.label;
+
+  switch (event.action) {
+    case 'user.register':
+      return 'Account created';
+    case 'user.login':
+      return 'Signed in';
+    case 'user.login_failed':
+      return 'Failed sign-in attempt';
+    case 'user.preferences_update':
+      return `Changed ${Object.entries(event.details || {})
+        .map(([field, value]) => `${PREFERENCE_LABELS[field] || field} to ${value}`)
+        .join(' and ')}`;
+    case 'stock.add':
+      return `Added ${label}`;
+    case 'stock.remove':
+      return `Removed ${label}`;
+    case 'stock.update':
+      return `Edited ${label} (${(event.details?.fields || []).join(', ')})`;
+    case 'stock.bulk_add':
+      return `Added ${plural(symbols.length, 'symbol')}: ${symbols.join(', ')}`;
+    case 'stock.bulk_remove':
+      return `Removed ${plural(symbols.length, 'symbol')}: ${symbols.join(', ')}`;
+    case 'stock.reorder':
+      return symbols.length === 1 ? `Moved ${symbols[0]}` : 'Reordered the list';
+    case 'stock.import':
+      return `Imported ${plural(symbols.length, 'symbol')}: ${symbols.join(', ')}`;
+    case 'watchlist.create':
+      return `Created watchlist ${label}`;
+    case 'watchlist.update':
+      return `Edited watchlist ${label}`;
+    case 'watchlist.delete':
+      return `Deleted watchlist ${label} with ${plural(event.details?.removedStocks || 0, 'symbol')}`;
+    case 'watchlist.member_add':
+      return `Invited ${label || 'a user'} as ${event.details?.role}`;
+    case 'watchlist.member_remove':
+      return `Removed ${label || 'a member'}`;
+    case 'watchlist.member_role_change':
+      return `Made ${label || 'a member'} ${event.details?.role === 'editor' ? 'an editor' : `a ${event.details?.role}`}`;
+    case 'share_link.create':
+      return `Created share link${label ? ` ${label}` : ''}`;
+    case 'share_link.revoke':
+      return `Revoked share link${label ? ` ${label}` : ''}`;
+    case 'alert.create':
+      return `Set a ${(event.details?.type || '').replace(/_/g, ' ')} alert on ${label}`;
+    case 'alert.update':
+      return `Edited an alert on ${label} (${(event.details?.fields || []).join(', ')})`;
+    case 'alert.delete':
+      return `Deleted an alert on ${label}`;
+    case 'portfolio.lot_add':
+      return `Bought ${event.details?.quantity} ${label} at ${event.details?.price}`;
+    case 'portfolio.lot_update':
+      return `Edited a lot of ${label} (${(event.details?.fields || []).join(', ')})`;
+    case 'portfolio.lot_remove':
+      return `Removed a lot of ${plural(event.details?.quantity || 0, 'share')} from ${label}`;
+    case 'portfolio.holding_remove':
+      return `Removed the ${label} position with ${plural(event.details?.lots || 0, 'lot')}`;
+    case 'transaction.create':
+      return event.details?.type === 'split'
+        ? `Recorded a ${event.details?.ratio} for 1 split of ${label}`
+        : `${TRANSACTION_LABELS[event.details?.type] || 'Recorded'} ${event.details?.quantity} ${label}`;
+    case 'transaction.delete':
+      return `Deleted a ${(event.details?.type || '').replace(/_/g, ' ')} of ${label}`;
+    case 'income.create':
+      return `Recorded ${event.details?.amount} ${event.details?.currency || ''} ${event.details?.type || 'income'} from ${label}`
+        + (event.details?.reinvestedShares ? `, reinvested in ${event.details.reinvestedShares} shares` : '');
+    case 'income.delete':
+      return `Deleted a ${event.details?.type || 'income'} entry for ${label}`;
+    case 'screen.create':
+      return `Saved screen ${label}`;
+    case 'screen.update':
+      return `Edited screen ${label}`;
+    case 'screen.delete':
+      return `Deleted screen ${label}`;
+    case 'corporate_action.apply':
+      return describeCorporateAction(label, event.details || {});
+    default:
+      return event.action;
+  }
+};
+
+// Browser and platform from a user agent, good enough to tell devices apart
+const describeClient = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(`${name}/`));
+  const platform = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS X', 'Linux'].find(name => userAgent.includes(name));
+  if (!browser && !platform) return userAgent.slice(0, 60);
+
+  return [browser === 'Edg' ? 'Edge' : browser, platform === 'Mac OS X' ? 'macOS' : platform]
+    .filter(Boolean)
+    .join(' on ');
+};
+
+// Group events (newest first) under their local calendar day
+const groupByDay = (events) => events.reduce((groups, event) => {
+  const day = new Date(event.createdAt).toLocaleDateString(undefined, {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  });
+  const last = groups[groups.length - 1];
+
+  if (last?.day === day) {
+    last.events.push(event);
+  } else {
+    groups.push({ day, events: [event] });
+  }
+  return groups;
+}, []);
+
+const Activity = ({ user }) => {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [draft, setDraft] = useState(emptyFilters);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [watchlistNames, setWatchlistNames] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  // List names label the events that happened in them
+  useEffect(() => {
+    apiService.getWatchlists()
+      .then(response => setWatchlistNames(Object.fromEntries(
+        response.data.watchlists.map(list => [list.id, list.name])
+      )))
+      .catch(err => console.error('Fetch watchlists error:', err));
+  }, []);
+
+  useEffect(() => {
+    const loadActivity = async () => {
+      setLoading(true);
+      try {
+        const response = await apiService.getActivity({
+          ...filters,
+          // Date inputs are local days; the end date includes the whole day
+          from: filters.from && new Date(`${filters.from}T00:00:00`).toISOString(),
+          to: filters.to && new Date(`${filters.to}T23:59:59.999`).toISOString(),
+          page,
+          limit: PAGE_SIZE
+        });
+        setEvents(response.data.events);
+        setPagination(response.data.pagination);
+        setError('');
+      } catch (err) {
+        setError(err.message || 'Failed to load activity');
+        console.error('Fetch activity error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadActivity();
+  }, [filters, page]);
+
+  const handleFilterChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setFilters({ ...draft, symbol: draft.symbol.trim().toUpperCase() });
+    setPage(1);
+  };
+
+  const handleClear = () => {
+    setDraft(emptyFilters);
+    setFilters(emptyFilters);
+    setPage(1);
+  };
+
+  return (
+    <div className="watchlist-container">
+      {/* Header */}
+      <header className="watchlist-header">
+        <div className="header-content">
+          <h1>Activity</h1>
+          <div className="user-info">
+            <button onClick={() => navigate('/watchlist')} className="edit-button">
+              Back to Watchlist
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="watchlist-main">
+        <section className="search-section">
+          <h2>Filters</h2>
+          <form onSubmit={handleApply} className="activity-filters">
+            <select value={draft.action} onChange={(e) => handleFilterChange('action', e.target.value)}>
+              {Object.entries(ACTION_FILTERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={draft.symbol}
+              onChange={(e) => handleFilterChange('symbol', e.target.value)}
+              placeholder="Symbol"
+              className="search-input"
+            />
+            <label>
+              From{' '}
+              <input type="date" value={draft.from} onChange={(e) => handleFilterChange('from', e.target.value)} />
+            </label>
+            <label>
+              To{' '}
+              <input type="date" value={draft.to} onChange={(e) => handleFilterChange('to', e.target.value)} />
+            </label>
+            <button type="submit" disabled={loading} className="search-button">
+              Apply
+            </button>
+            <button type="button" onClick={handleClear} className="clear-button">
+              Clear
+            </button>
+          </form>
+
+          {error && <div className="error-message">{error}</div>}
+        </section>
+
+        <section className="watchlist-section">
+          <div className="watchlist-title">
+            <h2>Timeline{pagination ? ` (${pagination.totalEvents})` : ''}</h2>
+          </div>
+
+          {events.length === 0 ? (
+            <div className="empty-watchlist">
+              <p>{loading ? 'Loading activity...' : 'No activity matches these filters'}</p>
+            </div>
+          ) : (
+            <div className="activity-timeline">
+              {groupByDay(events).map(group => (
+                <div key={group.day} className="activity-day">
+                  <h3>{group.day}</h3>
+                  <ul>
+                    {group.events.map(event => {
+                      const byOther = event.actor && event.actor.id !== user?.id;
+                      const client = describeClient(event.userAgent);
+
+                      return (
+                        <li key={event.id} className={`activity-event ${event.action.replace(/[._]/g, '-')}`}>
+                          <span className="activity-time">
+                            {new Date(event.createdAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                          <div className="activity-body">
+                            <p>
+                              {describeEvent(event)}
+                              {event.watchlist && watchlistNames[event.watchlist] && (
+                                <span className="activity-list"> in {watchlistNames[event.watchlist]}</span>
+                              )}
+                            </p>
+                            <p className="activity-meta">
+                              {byOther && <span>by {event.actor.username || 'another user'} · </span>}
+                              {client && <span>{client} · </span>}
+                              {event.ip || (event.action === 'corporate_action.apply' ? 'applied automatically' : 'unknown IP')}
+                            </p>
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {pagination?.totalPages > 1 && (
+            <div className="activity-pagination">
+              <button onClick={() => setPage(page - 1)} disabled={!pagination.hasPrev || loading} className="clear-button">
+                Newer
+              </button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={!pagination.hasNext || loading} className="clear-button">
+                Older
+              </button>
+            </div>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default Activity;
@@ -0,0 +1,427 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiService from '../services/api';
+import './Watchlist.css';
+import './Screener.css';
+
+// Indicator fields offered in the builder (any (rsi|sma|ema|atr)<period> works in the API)
+const INDICATOR_FIELDS = ['rsi14', 'sma50', 'sma200', 'ema20', 'atr14', 'macdHistogram'];
+const OPERATOR_LABELS = {
+  eq: '=', ne: '≠', gt: '>', gte: '≥', lt: '<', lte: '≤',
+  between: 'between', in: 'is one of', nin: 'is not one of', contains: 'contains'
+};
+const PAGE_SIZE = 20;
+
+const emptyCondition = () => ({ field: 'sector', op: 'eq', value: '' });
+
+// Convert a builder row into an API condition; list operators take comma-separated values
+const toCondition = ({ field, op, value }, isNumeric) => {
+  const parse = (text) => (isNumeric ? Number(text) : text.trim());
+  const parts = value.split(',').map(part => part.trim()).filter(Boolean).map(parse);
+
+  if (op === 'between' || op === 'in' || op === 'nin') {
+    return { field, op, value: parts };
+  }
+  return { field, op, value: parse(value) };
+};
+
+// Saved screens made in the builder are one flat and/or group; load those back into it
+const fromFilter = (filter) => {
+  const match = filter.and ? 'and' : filter.or ? 'or' : null;
+  const children = match ? filter[match] : [filter];
+  if (children.some(child => child.and || child.or)) return null;
+
+  return {
+    match: match || 'and',
+    conditions: children.map(({ field, op, value }) => ({
+      field,
+      op,
+      value: Array.isArray(value) ? value.join(', ') : String(value)
+    }))
+  };
+};
+
+const formatNumber = (value, options = {}) => (
+  value === null || value === undefined ? '—' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 2, ...options })
+);
+
+const Screener = () => {
+  const [fieldTypes, setFieldTypes] = useState({});
+  const [operators, setOperators] = useState({ string: [], number: [] });
+  const [match, setMatch] = useState('and');
+  const [conditions, setConditions] = useState([emptyCondition()]);
+  const [sort, setSort] = useState('symbol');
+  const [page, setPage] = useState(1);
+  const [results, setResults] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [activeScreen, setActiveScreen] = useState(null);
+  const [screens, setScreens] = useState([]);
+  const [screenName, setScreenName] = useState('');
+  const [watchlists, setWatchlists] = useState([]);
+  const [targetWatchlistId, setTargetWatchlistId] = useState('');
+  const [added, setAdded] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const loadScreener = async () => {
+      try {
+        const [fieldsResponse, screensResponse, watchlistsResponse] = await Promise.all([
+          apiService.getScreenerFields(),
+          apiService.getScreens(),
+          apiService.getWatchlists()
+        ]);
+
+        const { fields, indicatorFields } = fieldsResponse.data;
+        setFieldTypes(Object.fromEntries([
+          ...fields.map(field => [field.field, field.type]),
+          ...INDICATOR_FIELDS.map(field => [field, 'number'])
+        ]));
+        setOperators({
+          string: fields.find(field => field.type === 'string')?.operators || [],
+          number: indicatorFields.operators
+        });
+        setScreens(screensResponse.data.screens);
+
+        // Results can only go into lists the user may edit
+        const editable = watchlistsResponse.data.watchlists.filter(list => list.role !== 'viewer');
+        setWatchlists(editable);
+        setTargetWatchlistId(editable.find(list => list.isDefault)?.id || editable[0]?.id || '');
+      } catch (err) {
+        setError(err.message || 'Failed to load the screener');
+        console.error('Screener load error:', err);
+      }
+    };
+
+    loadScreener();
+  }, []);
+
+  const buildFilter = () => ({
+    [match]: conditions.map(condition => toCondition(condition, fieldTypes[condition.field] === 'number'))
+  });
+
+  const showResults = (data, nextPage) => {
+    setResults(data.results);
+    setPagination(data.pagination);
+    setPage(nextPage);
+    setError('');
+  };
+
+  const runScreen = async (nextPage = 1) => {
+    setLoading(true);
+    try {
+      const response = activeScreen
+        ? await apiService.runSavedScreen(activeScreen.id, { page: nextPage, limit: PAGE_SIZE })
+        : await apiService.runScreener({ filter: buildFilter(), sort, page: nextPage, limit: PAGE_SIZE });
+      showResults(response.data, nextPage);
+    } catch (err) {
+      setError(err.message || 'Failed to run screen');
+      console.error('Run screen error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Editing the builder detaches it from the saved screen it was loaded from
+  const editBuilder = (update) => {
+    setActiveScreen(null);
+    update();
+  };
+
+  const handleConditionChange = (index, key, value) => {
+    editBuilder(() => setConditions(prev => prev.map((condition, i) => {
+      if (i !== index) return condition;
+      const next = { ...condition, [key]: value };
+      // Keep the operator valid when the field type changes
+      const allowed = operators[fieldTypes[next.field]] || [];
+      if (!allowed.includes(next.op)) next.op = allowed[0] || 'eq';
+      return next;
+    })));
+  };
+
+  const handleRun = (e) => {
+    e.preventDefault();
+    runScreen(1);
+  };
+
+  const handleSaveScreen = async () => {
+    if (!screenName.trim()) return;
+
+    try {
+      const response = await apiService.saveScreen({ name: screenName.trim(), filter: buildFilter(), sort });
+      setScreens(prev => [...prev, response.data.screen].sort((a, b) => a.name.localeCompare(b.name)));
+      setActiveScreen(response.data.screen);
+      setScreenName('');
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to save screen');
+      console.error('Save screen error:', err);
+    }
+  };
+
+  const handleOpenScreen = async (screen) => {
+    const builder = fromFilter(screen.filter);
+    if (builder) {
+      setMatch(builder.match);
+      setConditions(builder.conditions);
+    }
+    setSort(screen.sort);
+    setActiveScreen(screen);
+
+    setLoading(true);
+    try {
+      const response = await apiService.runSavedScreen(screen.id, { page: 1, limit: PAGE_SIZE });
+      showResults(response.data, 1);
+    } catch (err) {
+      setError(err.message || 'Failed to run screen');
+      console.error('Run saved screen error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteScreen = async (screen) => {
+    if (!window.confirm(`Delete the screen "${screen.name}"?`)) return;
+
+    try {
+      await apiService.deleteScreen(screen.id);
+      setScreens(prev => prev.filter(item => item.id !== screen.id));
+      if (activeScreen?.id === screen.id) setActiveScreen(null);
+    } catch (err) {
+      setError(err.message || 'Failed to delete screen');
+      console.error('Delete screen error:', err);
+    }
+  };
+
+  // Adds go through the same endpoint as adding from search
+  const handleAddResult = async (result) => {
+    try {
+      await apiService.addToWatchlist({
+        symbol: result.symbol,
+        name: result.name,
+        watchlistId: targetWatchlistId
+      });
+      setAdded(prev => new Set(prev).add(`${targetWatchlistId}:${result.symbol}`));
+      setError('');
+    } catch (err) {
+      if (err.message.includes('already exists')) {
+        setAdded(prev => new Set(prev).add(`${targetWatchlistId}:${result.symbol}`));
+      } else {
+        setError(err.message || 'Failed to add stock to watchlist');
+      }
+      console.error('Add from screener error:', err);
+    }
+  };
+
+  const sortFields = Object.keys(fieldTypes);
+  const indicatorColumns = [...new Set(conditions.map(condition => condition.field))]
+    .filter(field => INDICATOR_FIELDS.includes(field));
+
+  return (
+    <div className="watchlist-container">
+      {/* Header */}
+      <header className="watchlist-header">
+        <div className="header-content">
+          <h1>Stock Screener</h1>
+          <div className="user-info">
+            <button onClick={() => navigate('/watchlist')} className="edit-button">
+              Back to Watchlist
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="watchlist-main">
+        <section className="search-section">
+          <h2>Filters</h2>
+          <form onSubmit={handleRun} className="screener-form">
+            <label className="screener-match">
+              Match{' '}
+              <select value={match} onChange={(e) => editBuilder(() => setMatch(e.target.value))}>
+                <option value="and">all conditions</option>
+                <option value="or">any condition</option>
+              </select>
+            </label>
+
+            {conditions.map((condition, index) => (
+              <div key={index} className="screener-condition">
+                <select
+                  value={condition.field}
+                  onChange={(e) => handleConditionChange(index, 'field', e.target.value)}
+                >
+                  {Object.keys(fieldTypes).map(field => (
+                    <option key={field} value={field}>{field}</option>
+                  ))}
+                </select>
+                <select
+                  value={condition.op}
+                  onChange={(e) => handleConditionChange(index, 'op', e.target.value)}
+                >
+                  {(operators[fieldTypes[condition.field]] || []).map(op => (
+                    <option key={op} value={op}>{OPERATOR_LABELS[op] || op}</option>
+                  ))}
+                </select>
+                <input
+                  value={condition.value}
+                  onChange={(e) => handleConditionChange(index, 'value', e.target.value)}
+                  placeholder={['between', 'in', 'nin'].includes(condition.op) ? 'Comma separated' : 'Value'}
+                  className="search-input"
+                />
+                <button
+                  type="button"
+                  onClick={() => editBuilder(() => setConditions(prev => prev.filter((_, i) => i !== index)))}
+                  disabled={conditions.length === 1}
+                  className="clear-button"
+                  title="Remove condition"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+
+            <div className="screener-actions">
+              <button
+                type="button"
+                onClick={() => editBuilder(() => setConditions(prev => [...prev, emptyCondition()]))}
+                className="clear-button"
+              >
+                + Condition
+              </button>
+              <label>
+                Sort by{' '}
+                <select value={sort} onChange={(e) => editBuilder(() => setSort(e.target.value))}>
+                  {sortFields.flatMap(field => [
+                    <option key={`-${field}`} value={`-${field}`}>{field} ↓</option>,
+                    <option key={field} value={field}>{field} ↑</option>
+                  ])}
+                </select>
+              </label>
+              <button type="submit" disabled={loading} className="search-button">
+                {loading ? 'Screening...' : 'Run Screen'}
+              </button>
+            </div>
+
+            <div className="screener-actions">
+              <input
+                value={screenName}
+                onChange={(e) => setScreenName(e.target.value)}
+                placeholder="Save as..."
+                maxLength={50}
+                className="search-input"
+              />
+              <button type="button" onClick={handleSaveScreen} className="add-button">
+                Save Screen
+              </button>
+            </div>
+          </form>
+
+          {screens.length > 0 && (
+            <div className="saved-screens">
+              <h3>Saved Screens</h3>
+              {screens.map(screen => (
+                <div key={screen.id} className={`saved-screen ${activeScreen?.id === screen.id ? 'active' : ''}`}>
+                  <button onClick={() => handleOpenScreen(screen)} className="tag">
+                    {screen.name}
+                  </button>
+                  {screen.lastRunAt && <span>last run {new Date(screen.lastRunAt).toLocaleDateString()}</span>}
+                  <button onClick={() => handleDeleteScreen(screen)} className="remove-button">
+                    Delete
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+        </section>
+
+        {results && (
+          <section className="watchlist-section">
+            <div className="watchlist-title">
+              <h2>Results ({pagination.totalResults})</h2>
+              <div className="list-actions">
+                <label>
+                  Add to{' '}
+                  <select value={targetWatchlistId} onChange={(e) => setTargetWatchlistId(e.target.value)}>
+                    {watchlists.map(list => (
+                      <option key={list.id} value={list.id}>{list.name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </div>
+
+            {results.length === 0 ? (
+              <div className="empty-watchlist">
+                <p>No instruments match this screen</p>
+              </div>
+            ) : (
+              <div className="screener-table-wrapper">
+                <table className="screener-table">
+                  <thead>
+                    <tr>
+                      <th>Symbol</th>
+                      <th>Name</th>
+                      <th>Sector</th>
+                      <th>Exchange</th>
+                      <th>Price</th>
+                      <th>Change</th>
+                      <th>Market Cap</th>
+                      <th>P/E</th>
+                      {indicatorColumns.map(field => <th key={field}>{field}</th>)}
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map(result => {
+                      const isAdded = added.has(`${targetWatchlistId}:${result.symbol}`);
+                      return (
+                        <tr key={result.symbol}>
+                          <td><strong>{result.symbol}</strong></td>
+                          <td>{result.name}</td>
+                          <td>{result.sector || '—'}</td>
+                          <td>{result.exchange || '—'}</td>
+                          <td>{formatNumber(result.price)}</td>
+                          <td className={result.changePercent >= 0 ? 'positive' : 'negative'}>
+                            {result.changePercent === null ? '—' : `${formatNumber(result.changePercent)}%`}
+                          </td>
+                          <td>{formatNumber(result.marketCap, { notation: 'compact' })}</td>
+                          <td>{formatNumber(result.peRatio)}</td>
+                          {indicatorColumns.map(field => <td key={field}>{formatNumber(result[field])}</td>)}
+                          <td>
+                            <button
+                              onClick={() => handleAddResult(result)}
+                              disabled={isAdded || !targetWatchlistId}
+                              className={`add-button ${isAdded ? 'disabled' : ''}`}
+                            >
+                              {isAdded ? 'Added' : 'Add'}
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {pagination.totalPages > 1 && (
+              <div className="screener-actions">
+                <button onClick={() => runScreen(page - 1)} disabled={!pagination.hasPrev || loading} className="clear-button">
+                  Previous
+                </button>
+                <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+                <button onClick={() => runScreen(page + 1)} disabled={!pagination.hasNext || loading} className="clear-button">
+                  Next
+                </button>
+              </div>
+            )}
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Screener;
@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import apiService from '../services/api';
+import './Watchlist.css';
+
+// Public, read-only view of a watchlist opened from a share link
+const SharedWatchlist = ({ user }) => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchShared = async () => {
+      setLoading(true);
+      try {
+        const response = await apiService.getSharedWatchlist(token);
+        setShared(response.data);
+        setError('');
+      } catch (err) {
+        setShared(null);
+        setError(err.message || 'This link is invalid or no longer active');
+        console.error('Shared watchlist error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShared();
+  }, [token]);
+
+  return (
+    <div className="watchlist-container">
+      {/* Header */}
+      <header className="watchlist-header">
+        <div className="header-content">
+          <h1>Stock Watchlist</h1>
+          <div className="user-info">
+            {user ? (
+              <Link to="/watchlist">My watchlists</Link>
+            ) : (
+              <Link to="/">Sign in</Link>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="watchlist-main">
+        <section className="watchlist-section">
+          {loading ? (
+            <div className="loading">Loading shared watchlist...</div>
+          ) : error ? (
+            <div className="error-message">{error}</div>
+          ) : (
+            <>
+              <h2>{shared.watchlist.name} ({shared.totalStocks})</h2>
+              <p className="shared-banner">
+                Shared read-only view
+                {shared.expiresAt && ` · link expires ${new Date(shared.expiresAt).toLocaleDateString()}`}
+                {shared.viewer.isOwner && ' · this is your list'}
+              </p>
+              {shared.watchlist.description && <p>{shared.watchlist.description}</p>}
+
+              {shared.stocks.length === 0 ? (
+                <div className="empty-watchlist">
+                  <p>This watchlist is empty</p>
+                </div>
+              ) : (
+                <div className="watchlist-grid">
+                  {shared.stocks.map((stock) => (
+                    <div key={stock.symbol} className="watchlist-item">
+                      <div className="stock-info">
+                        <h4>{stock.symbol}</h4>
+                        <p>{stock.name}</p>
+                        {stock.notes && <p className="stock-notes">{stock.notes}</p>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default SharedWatchlist;
@@ -1,29 +1,143 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../services/api';
 import './Watchlist.css';
 
-const Watchlist = ({ user, onLogout }) => {
+// Minor units some exchanges quote in (LSE prices are in pence)
+const MINOR_UNITS = { GBp: 'p', GBX: 'p', ZAc: 'c', ILA: 'ag' };
+
+// Format an amount in its currency (plain number when the currency is unknown)
+const formatMoney = (amount, currency) => {
+  if (amount === null || amount === undefined) return '—';
+  if (MINOR_UNITS[currency]) return `${amount.toFixed(2)}${MINOR_UNITS[currency]}`;
+  if (!currency) return amount.toFixed(2);
+
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+// Badges for the session each stock's exchange is in
+const MARKET_STATE_LABELS = {
+  pre: 'Pre-market',
+  regular: 'Market open',
+  post: 'After hours',
+  closed: 'Market closed'
+};
+
+const Watchlist = ({ user, onLogout, onUserUpdate }) => {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [watchlist, setWatchlist] = useState([]);
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeWatchlistId, setActiveWatchlistId] = useState(null);
+  const [showNewListForm, setShowNewListForm] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const [activeTag, setActiveTag] = useState('');
+  const [editingSymbol, setEditingSymbol] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [importPreview, setImportPreview] = useState(null);
+  const [importDuplicates, setImportDuplicates] = useState('skip');
+  const [importLoading, setImportLoading] = useState(false);
+  const [shareDialog, setShareDialog] = useState(null);
+  const [membersDialog, setMembersDialog] = useState(null);
+  const [orderVersion, setOrderVersion] = useState(0);
+  const [reordering, setReordering] = useState(false);
+  const [dragSymbol, setDragSymbol] = useState(null);
+  const [memberForm, setMemberForm] = useState({ identifier: '', role: 'viewer' });
+  const [shareForm, setShareForm] = useState({ label: '', expiresInDays: '', includeNotes: false });
+  const importInputRef = useRef(null);
+  const [streamStatus, setStreamStatus] = useState('closed');
   const [loading, setLoading] = useState(false);
   const [searchLoading, setSearchLoading] = useState(false);
   const [error, setError] = useState('');
   const [searchError, setSearchError] = useState('');
+  const [currencies, setCurrencies] = useState([]);
   const navigate = useNavigate();
+  const baseCurrency = user?.baseCurrency || 'USD';
 
-  // Fetch user's watchlist on component mount
+  // Fetch user's watchlists (and the base currencies they can pick) on component mount
   useEffect(() => {
-    fetchWatchlist();
+    fetchWatchlists();
+    apiService.getCurrencies()
+      .then(response => setCurrencies(response.data.currencies))
+      .catch(err => console.error('Fetch currencies error:', err));
   }, []);
 
-  const fetchWatchlist = async () => {
+  // Fetch the stocks of the selected list whenever it, the tag filter or the base currency changes
+  useEffect(() => {
+    if (activeWatchlistId) {
+      fetchWatchlist(activeWatchlistId, activeTag);
+    }
+  }, [activeWatchlistId, activeTag, baseCurrency]);
+
+  // Stream live quotes for the symbols on screen; resubscribes when they change (not when they are reordered)
+  const streamedSymbols = watchlist.map(stock => stock.symbol).sort().join(',');
+  useEffect(() => {
+    if (!activeWatchlistId || !streamedSymbols) return;
+
+    const closeStream = apiService.streamQuotes(activeWatchlistId, {
+      onStatus: setStreamStatus,
+      onQuotes: (quotes) => {
+        const bySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+        setWatchlist(prev => prev.map(stock =>
+          bySymbol.has(stock.symbol)
+            ? { ...stock, quote: withConvertedPrice(bySymbol.get(stock.symbol), stock.quote?.converted), quoteStatus: 'ok' }
+            : stock
+        ));
+      },
+      onMarkets: (markets) => {
+        setWatchlist(prev => prev.map(stock => ({ ...stock, market: markets[stock.symbol] || stock.market })));
+      }
+    });
+
+    return () => {
+      closeStream();
+      setStreamStatus('closed');
+    };
+  }, [activeWatchlistId, streamedSymbols]);
+
+  // Streamed quotes come in the trading currency; keep showing the base-currency price
+  // using the rate the list was loaded with
+  const withConvertedPrice = (quote, converted) => (
+    converted
+      ? { ...quote, converted: { ...converted, price: quote.price * converted.rate, change: quote.change * converted.rate } }
+      : quote
+  );
+
+  const handleBaseCurrencyChange = async (e) => {
+    try {
+      const response = await apiService.updatePreferences({ baseCurrency: e.target.value });
+      onUserUpdate?.(response.data.user);
+    } catch (err) {
+      setError(err.message || 'Failed to update base currency');
+      console.error('Update base currency error:', err);
+    }
+  };
+
+  const fetchWatchlists = async () => {
+    try {
+      const response = await apiService.getWatchlists();
+      if (response.success) {
+        const lists = response.data.watchlists || [];
+        setWatchlists(lists);
+        setActiveWatchlistId(prev => prev || lists.find(list => list.isDefault)?.id || lists[0]?.id || null);
+      }
+    } catch (err) {
+      setError('Failed to fetch watchlists');
+      console.error('Fetch watchlists error:', err);
+    }
+  };
+
+  const fetchWatchlist = async (watchlistId, tag) => {
     try {
       setLoading(true);
-      const response = await apiService.getWatchlist();
+      const response = await apiService.getWatchlist(watchlistId, { tag });
       if (response.success) {
         setWatchlist(response.data.stocks || []);
+        setOrderVersion(response.data.watchlist?.orderVersion || 0);
       }
     } catch (err) {
       setError('Failed to fetch watchlist');
@@ -33,6 +147,60 @@ const Watchlist = ({ user, onLogout }) => {
     }
   };
 
+  const activeWatchlist = watchlists.find(list => list.id === activeWatchlistId);
+
+  // What the user may do on the active list (owner, editor or viewer)
+  const activeRole = activeWatchlist?.role || 'owner';
+  const canEdit = activeRole !== 'viewer';
+  const isOwner = activeRole === 'owner';
+  // A tag filter shows only part of the list, so reordering needs the whole list on screen
+  const canReorder = canEdit && !activeTag && watchlist.length > 1;
+
+  // Keep the stock count shown on the active list's tab in sync
+  const adjustStockCount = (delta) => {
+    setWatchlists(prev => prev.map(list =>
+      list.id === activeWatchlistId
+        ? { ...list, stockCount: Math.max(0, (list.stockCount || 0) + delta) }
+        : list
+    ));
+  };
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+
+    try {
+      const response = await apiService.createWatchlist({ name: newListName.trim() });
+      if (response.success) {
+        const created = { ...response.data.watchlist, stockCount: 0 };
+        setWatchlists(prev => [...prev, created]);
+        setActiveWatchlistId(created.id);
+        setNewListName('');
+        setShowNewListForm(false);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to create watchlist');
+      console.error('Create watchlist error:', err);
+    }
+  };
+
+  const handleDeleteList = async () => {
+    if (!activeWatchlist || activeWatchlist.isDefault) return;
+    if (!window.confirm(`Delete "${activeWatchlist.name}" and all of its stocks?`)) return;
+
+    try {
+      await apiService.deleteWatchlist(activeWatchlist.id);
+      const remaining = watchlists.filter(list => list.id !== activeWatchlist.id);
+      setWatchlists(remaining);
+      setActiveWatchlistId(remaining.find(list => list.isDefault)?.id || remaining[0]?.id || null);
+      setError('');
+    } catch (err) {
+      setError('Failed to delete watchlist');
+      console.error('Delete watchlist error:', err);
+    }
+  };
+
   const handleSearch = async () => {
     if (!searchQuery.trim()) {
       setSearchError('Please enter a search term');
@@ -63,12 +231,14 @@ const Watchlist = ({ user, onLogout }) => {
     try {
       const response = await apiService.addToWatchlist({
         symbol: stock.symbol,
-        name: stock.name
+        name: stock.name,
+        watchlistId: activeWatchlistId
       });
 
       if (response.success) {
         // Add to local watchlist
         setWatchlist(prev => [...prev, response.data.stock]);
+        adjustStockCount(1);
         
         // Remove from search results
         setSearchResults(prev => 
@@ -90,10 +260,11 @@ const Watchlist = ({ user, onLogout }) => {
 
   const handleRemoveFromWatchlist = async (symbol) => {
     try {
-      await apiService.removeFromWatchlist(symbol);
+      await apiService.removeFromWatchlist(symbol, activeWatchlistId);
       
       // Remove from local watchlist
       setWatchlist(prev => prev.filter(stock => stock.symbol !== symbol));
+      adjustStockCount(-1);
       setError('');
     } catch (err) {
       setError('Failed to remove stock from watchlist');
@@ -101,6 +272,295 @@ const Watchlist = ({ user, onLogout }) => {
     }
   };
 
+  const handleStartEdit = (stock) => {
+    setEditingSymbol(stock.symbol);
+    setEditForm({
+      notes: stock.notes || '',
+      tags: (stock.tags || []).join(', '),
+      targetBuyPrice: stock.targetBuyPrice ?? '',
+      targetSellPrice: stock.targetSellPrice ?? '',
+      conviction: stock.conviction ?? ''
+    });
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+
+    const toNumberOrNull = (value) => value === '' ? null : Number(value);
+
+    try {
+      const response = await apiService.updateStock(editingSymbol, {
+        watchlistId: activeWatchlistId,
+        notes: editForm.notes,
+        tags: editForm.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        targetBuyPrice: toNumberOrNull(editForm.targetBuyPrice),
+        targetSellPrice: toNumberOrNull(editForm.targetSellPrice),
+        conviction: toNumberOrNull(editForm.conviction)
+      });
+
+      if (response.success) {
+        const updated = response.data.stock;
+        // Keep the live quote already shown on the card
+        setWatchlist(prev => prev.map(stock =>
+          stock.symbol === updated.symbol ? { ...stock, ...updated } : stock
+        ));
+        setEditingSymbol(null);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update stock');
+      console.error('Update stock error:', err);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const blob = await apiService.exportWatchlist(activeWatchlistId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      const baseName = (activeWatchlist?.name || 'watchlist').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      link.href = url;
+      link.download = `${baseName}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export watchlist');
+      console.error('Export error:', err);
+    }
+  };
+
+  const runImport = async (file, dryRun) => {
+    setImportLoading(true);
+    try {
+      const response = await apiService.importWatchlist(file, {
+        watchlistId: activeWatchlistId,
+        dryRun,
+        duplicates: importDuplicates
+      });
+      return response.data;
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  const handleImportFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const preview = await runImport(file, true);
+      setImportPreview({ file, ...preview });
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to read import file');
+      console.error('Import preview error:', err);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    try {
+      await runImport(importPreview.file, false);
+      setImportPreview(null);
+      fetchWatchlist(activeWatchlistId, activeTag);
+      fetchWatchlists();
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to import watchlist');
+      console.error('Import error:', err);
+    }
+  };
+
+  // Move a stock to a new index; the list updates right away and reloads if another reorder won the race
+  const moveStock = async (symbol, toIndex) => {
+    const fromIndex = watchlist.findIndex(stock => stock.symbol === symbol);
+    if (reordering || fromIndex === -1 || toIndex < 0 || toIndex >= watchlist.length || toIndex === fromIndex) return;
+
+    const reordered = [...watchlist];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    setWatchlist(reordered);
+
+    setReordering(true);
+    try {
+      const response = await apiService.reorderWatchlist(activeWatchlistId, { symbol, index: toIndex, orderVersion });
+      setOrderVersion(response.data.orderVersion);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to reorder watchlist');
+      console.error('Reorder error:', err);
+      fetchWatchlist(activeWatchlistId, activeTag);
+    } finally {
+      setReordering(false);
+    }
+  };
+
+  const handleDrop = (e, targetSymbol) => {
+    e.preventDefault();
+    if (dragSymbol) {
+      moveStock(dragSymbol, watchlist.findIndex(stock => stock.symbol === targetSymbol));
+    }
+    setDragSymbol(null);
+  };
+
+  // Arrow keys move the focused stock one place; Home/End move it to the top or bottom
+  const handleReorderKeyDown = (e, symbol, index) => {
+    const targets = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: watchlist.length - 1 };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    moveStock(symbol, targets[e.key]);
+  };
+
+  const handleOpenMembers = async () => {
+    try {
+      const response = await apiService.getWatchlistMembers(activeWatchlistId);
+      setMembersDialog({ watchlistId: activeWatchlistId, members: response.data.members });
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load members');
+      console.error('Members error:', err);
+    }
+  };
+
+  const handleMemberFormChange = (e) => {
+    const { name, value } = e.target;
+    setMemberForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Members responses return the full member list; keep the tab's member count in sync
+  const applyMembers = (watchlistId, members) => {
+    setMembersDialog(prev => (prev ? { ...prev, members } : prev));
+    setWatchlists(prev => prev.map(list =>
+      list.id === watchlistId ? { ...list, memberCount: members.length - 1 } : list
+    ));
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!memberForm.identifier.trim()) return;
+
+    try {
+      const response = await apiService.addWatchlistMember(membersDialog.watchlistId, {
+        identifier: memberForm.identifier.trim(),
+        role: memberForm.role
+      });
+      applyMembers(membersDialog.watchlistId, response.data.members);
+      setMemberForm({ identifier: '', role: 'viewer' });
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to add member');
+      console.error('Add member error:', err);
+    }
+  };
+
+  const handleChangeMemberRole = async (userId, role) => {
+    try {
+      const response = await apiService.updateWatchlistMember(membersDialog.watchlistId, userId, role);
+      applyMembers(membersDialog.watchlistId, response.data.members);
+    } catch (err) {
+      setError(err.message || 'Failed to change role');
+      console.error('Update member error:', err);
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.user.username || 'this member'} from the list?`)) return;
+
+    try {
+      const response = await apiService.removeWatchlistMember(membersDialog.watchlistId, member.user.id);
+      applyMembers(membersDialog.watchlistId, response.data.members);
+    } catch (err) {
+      setError(err.message || 'Failed to remove member');
+      console.error('Remove member error:', err);
+    }
+  };
+
+  const handleLeaveList = async () => {
+    if (!activeWatchlist || isOwner) return;
+    if (!window.confirm(`Leave "${activeWatchlist.name}"? You will lose access to it.`)) return;
+
+    try {
+      await apiService.removeWatchlistMember(activeWatchlist.id, user.id);
+      const remaining = watchlists.filter(list => list.id !== activeWatchlist.id);
+      setWatchlists(remaining);
+      setActiveWatchlistId(remaining.find(list => list.isDefault)?.id || remaining[0]?.id || null);
+      setMembersDialog(null);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to leave watchlist');
+      console.error('Leave watchlist error:', err);
+    }
+  };
+
+  const shareUrl = (token) => `${window.location.origin}/shared/${token}`;
+
+  const handleOpenShare = async () => {
+    try {
+      const response = await apiService.getShareLinks(activeWatchlistId);
+      setShareDialog({ watchlistId: activeWatchlistId, links: response.data.shareLinks, created: null });
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load share links');
+      console.error('Share links error:', err);
+    }
+  };
+
+  const handleShareFormChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setShareForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleCreateShareLink = async (e) => {
+    e.preventDefault();
+    const days = Number(shareForm.expiresInDays);
+    try {
+      const response = await apiService.createShareLink(shareDialog.watchlistId, {
+        label: shareForm.label.trim(),
+        includeNotes: shareForm.includeNotes,
+        expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null
+      });
+      const { shareLink, token } = response.data;
+      setShareDialog(prev => ({ ...prev, links: [shareLink, ...prev.links], created: shareUrl(token) }));
+      setShareForm({ label: '', expiresInDays: '', includeNotes: false });
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to create share link');
+      console.error('Create share link error:', err);
+    }
+  };
+
+  const handleCopyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareDialog.created);
+    } catch (err) {
+      console.error('Copy share link error:', err);
+    }
+  };
+
+  const handleRevokeShareLink = async (shareId) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+    try {
+      const response = await apiService.revokeShareLink(shareDialog.watchlistId, shareId);
+      const revoked = response.data.shareLink;
+      setShareDialog(prev => ({
+        ...prev,
+        links: prev.links.map(link => (link.id === revoked.id ? revoked : link))
+      }));
+    } catch (err) {
+      setError(err.message || 'Failed to revoke share link');
+      console.error('Revoke share link error:', err);
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await apiService.logout();
@@ -130,6 +590,21 @@ const Watchlist = ({ user, onLogout }) => {
     return watchlist.some(stock => stock.symbol === symbol);
   };
 
+  const hasValue = (value) => value !== null && value !== undefined;
+
+  const formatPrice = (price) => {
+    return price === null || price === undefined ? '—' : price.toFixed(2);
+  };
+
+  const formatChange = (change, changePercent) => {
+    if (change === null || change === undefined) return '';
+    const sign = change >= 0 ? '+' : '';
+    const percent = changePercent === null || changePercent === undefined
+      ? ''
+      : ` (${sign}${changePercent.toFixed(2)}%)`;
+    return `${sign}${change.toFixed(2)}${percent}`;
+  };
+
   return (
     <div className="watchlist-container">
       {/* Header */}
@@ -138,6 +613,24 @@ const Watchlist = ({ user, onLogout }) => {
           <h1>Stock Watchlist</h1>
           <div className="user-info">
             <span>Welcome, {user?.username || 'User'}!</span>
+            {currencies.length > 0 && (
+              <select
+                value={baseCurrency}
+                onChange={handleBaseCurrencyChange}
+                className="currency-select"
+                title="Base currency for converted prices"
+              >
+                {currencies.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            )}
+            <button onClick={() => navigate('/screener')} className="edit-button">
+              Screener
+            </button>
+            <button onClick={() => navigate('/activity')} className="edit-button">
+              Activity
+            </button>
             <button onClick={handleLogout} className="logout-button">
               Logout
             </button>
@@ -194,10 +687,10 @@ const Watchlist = ({ user, onLogout }) => {
                     </div>
                     <button
                       onClick={() => handleAddToWatchlist(stock)}
-                      disabled={isStockInWatchlist(stock.symbol)}
-                      className={`add-button ${isStockInWatchlist(stock.symbol) ? 'disabled' : ''}`}
+                      disabled={!canEdit || isStockInWatchlist(stock.symbol)}
+                      className={`add-button ${!canEdit || isStockInWatchlist(stock.symbol) ? 'disabled' : ''}`}
                     >
-                      {isStockInWatchlist(stock.symbol) ? 'In Watchlist' : 'Add to Watchlist'}
+                      {isStockInWatchlist(stock.symbol) ? 'In Watchlist' : canEdit ? 'Add to Watchlist' : 'View Only'}
                     </button>
                   </div>
                 ))}
@@ -208,7 +701,283 @@ const Watchlist = ({ user, onLogout }) => {
 
         {/* Watchlist Section */}
         <section className="watchlist-section">
-          <h2>My Watchlist ({watchlist.length})</h2>
+          {/* List Switcher */}
+          <div className="list-switcher">
+            {watchlists.map((list) => (
+              <button
+                key={list.id}
+                onClick={() => setActiveWatchlistId(list.id)}
+                className={`list-tab ${list.id === activeWatchlistId ? 'active' : ''}`}
+                style={{ '--list-color': list.color }}
+                title={list.ownerName ? `Shared by ${list.ownerName} (${list.role})` : list.description || list.name}
+              >
+                <span className="list-color"></span>
+                {list.name}
+                {(list.ownerName || list.memberCount > 0) && <span className="list-shared">👥</span>}
+                <span className="list-count">{list.stockCount ?? 0}</span>
+              </button>
+            ))}
+            {showNewListForm ? (
+              <form onSubmit={handleCreateList} className="new-list-form">
+                <input
+                  type="text"
+                  value={newListName}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  placeholder="List name"
+                  maxLength={50}
+                  autoFocus
+                />
+                <button type="submit" className="add-button">Create</button>
+                <button
+                  type="button"
+                  onClick={() => setShowNewListForm(false)}
+                  className="clear-button"
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <button
+                onClick={() => setShowNewListForm(true)}
+                className="list-tab new-list"
+              >
+                + New List
+              </button>
+            )}
+          </div>
+
+          <div className="watchlist-title">
+            <h2>{activeWatchlist?.name || 'My Watchlist'} ({watchlist.length})</h2>
+            {!isOwner && activeWatchlist && (
+              <span className="role-badge">
+                {activeRole} · shared by {activeWatchlist.ownerName || 'another user'}
+              </span>
+            )}
+            {streamStatus !== 'closed' && (
+              <span className={`stream-status ${streamStatus}`}>
+                {{ live: '● Live', connecting: 'Connecting...', reconnecting: 'Reconnecting...' }[streamStatus]}
+              </span>
+            )}
+            {activeTag && (
+              <button
+                onClick={() => setActiveTag('')}
+                className="tag active"
+                title="Clear tag filter"
+              >
+                #{activeTag} ✕
+              </button>
+            )}
+            <div className="list-actions">
+              <button onClick={() => handleExport('csv')} className="clear-button">
+                Export CSV
+              </button>
+              <button onClick={() => handleExport('json')} className="clear-button">
+                Export JSON
+              </button>
+              {canEdit && (
+                <>
+                  <button
+                    onClick={() => importInputRef.current?.click()}
+                    disabled={importLoading}
+                    className="edit-button"
+                  >
+                    {importLoading ? 'Importing...' : 'Import'}
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".csv,.json,text/csv,application/json"
+                    onChange={handleImportFileChange}
+                    hidden
+                  />
+                </>
+              )}
+              <button onClick={handleOpenMembers} className="edit-button">
+                Members
+              </button>
+              {isOwner && (
+                <button onClick={handleOpenShare} className="edit-button">
+                  Share
+                </button>
+              )}
+              {isOwner && activeWatchlist && !activeWatchlist.isDefault && (
+                <button onClick={handleDeleteList} className="remove-button">
+                  Delete List
+                </button>
+              )}
+              {!isOwner && (
+                <button onClick={handleLeaveList} className="remove-button">
+                  Leave List
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Import Preview */}
+          {importPreview && (
+            <div className="import-preview">
+              <h3>Import preview: {importPreview.file.name}</h3>
+              <p>
+                {importPreview.totalRows} rows —{' '}
+                {Object.entries(importPreview.summary)
+                  .map(([status, count]) => `${count} ${status}`)
+                  .join(', ')}
+              </p>
+              <div className="import-rows">
+                {importPreview.results.slice(0, 50).map((result) => (
+                  <div key={result.row} className={`import-row status-${result.status}`}>
+                    <span>#{result.row}</span>
+                    <strong>{result.symbol || '—'}</strong>
+                    <span>{result.status}</span>
+                    {result.message && <em>{result.message}</em>}
+                  </div>
+                ))}
+              </div>
+              <div className="import-actions">
+                <label>
+                  Existing stocks:{' '}
+                  <select
+                    value={importDuplicates}
+                    onChange={(e) => setImportDuplicates(e.target.value)}
+                  >
+                    <option value="skip">Skip</option>
+                    <option value="update">Update</option>
+                  </select>
+                </label>
+                <button
+                  onClick={handleConfirmImport}
+                  disabled={importLoading}
+                  className="add-button"
+                >
+                  Confirm Import
+                </button>
+                <button onClick={() => setImportPreview(null)} className="clear-button">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Members Dialog */}
+          {membersDialog && membersDialog.watchlistId === activeWatchlistId && (
+            <div className="share-dialog">
+              <h3>People with access to "{activeWatchlist?.name}"</h3>
+              {isOwner && (
+                <form onSubmit={handleAddMember} className="share-form">
+                  <input
+                    name="identifier"
+                    value={memberForm.identifier}
+                    onChange={handleMemberFormChange}
+                    placeholder="Username or email"
+                    maxLength={100}
+                    className="search-input"
+                  />
+                  <select name="role" value={memberForm.role} onChange={handleMemberFormChange}>
+                    <option value="viewer">Viewer</option>
+                    <option value="editor">Editor</option>
+                  </select>
+                  <button type="submit" className="add-button">Invite</button>
+                </form>
+              )}
+
+              <div className="share-links">
+                {membersDialog.members.map((member) => (
+                  <div key={member.user.id} className="share-link">
+                    <strong>{member.user.username || 'Unknown user'}</strong>
+                    {isOwner && member.role !== 'owner' ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleChangeMemberRole(member.user.id, e.target.value)}
+                      >
+                        <option value="viewer">Viewer</option>
+                        <option value="editor">Editor</option>
+                      </select>
+                    ) : (
+                      <span>{member.role}</span>
+                    )}
+                    {isOwner && member.role !== 'owner' && (
+                      <button onClick={() => handleRemoveMember(member)} className="remove-button">
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="import-actions">
+                <button onClick={() => setMembersDialog(null)} className="clear-button">
+                  Close
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Share Dialog */}
+          {shareDialog && shareDialog.watchlistId === activeWatchlistId && (
+            <div className="share-dialog">
+              <h3>Share "{activeWatchlist?.name}" (read-only)</h3>
+              <form onSubmit={handleCreateShareLink} className="share-form">
+                <input
+                  name="label"
+                  value={shareForm.label}
+                  onChange={handleShareFormChange}
+                  placeholder="Label (optional)"
+                  maxLength={50}
+                  className="search-input"
+                />
+                <select name="expiresInDays" value={shareForm.expiresInDays} onChange={handleShareFormChange}>
+                  <option value="">Never expires</option>
+                  <option value="1">Expires in 1 day</option>
+                  <option value="7">Expires in 7 days</option>
+                  <option value="30">Expires in 30 days</option>
+                </select>
+                <label>
+                  <input
+                    type="checkbox"
+                    name="includeNotes"
+                    checked={shareForm.includeNotes}
+                    onChange={handleShareFormChange}
+                  />{' '}
+                  Include notes
+                </label>
+                <button type="submit" className="add-button">Create Link</button>
+              </form>
+
+              {shareDialog.created && (
+                <div className="share-created">
+                  <p>Copy this link now — it won't be shown again.</p>
+                  <input value={shareDialog.created} readOnly onFocus={(e) => e.target.select()} />
+                  <button onClick={handleCopyShareLink} className="edit-button">Copy</button>
+                </div>
+              )}
+
+              {shareDialog.links.length > 0 && (
+                <div className="share-links">
+                  {shareDialog.links.map((link) => (
+                    <div key={link.id} className={`share-link status-${link.status}`}>
+                      <strong>{link.label || `…${link.tokenHint}`}</strong>
+                      <span>{link.status}</span>
+                      <span>
+                        {link.expiresAt ? `expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'no expiry'}
+                      </span>
+                      <span>{link.accessCount} views</span>
+                      {link.status === 'active' && (
+                        <button onClick={() => handleRevokeShareLink(link.id)} className="remove-button">
+                          Revoke
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="import-actions">
+                <button onClick={() => setShareDialog(null)} className="clear-button">
+                  Close
+                </button>
+              </div>
+            </div>
+          )}
 
           {error && <div className="error-message">{error}</div>}
 
@@ -221,21 +990,168 @@ const Watchlist = ({ user, onLogout }) => {
             </div>
           ) : (
             <div className="watchlist-grid">
-              {watchlist.map((stock) => (
-                <div key={stock.symbol} className="watchlist-item">
+              {watchlist.map((stock, index) => (
+                <div
+                  key={stock.symbol}
+                  className={`watchlist-item ${dragSymbol === stock.symbol ? 'dragging' : ''}`}
+                  draggable={canReorder}
+                  onDragStart={() => setDragSymbol(stock.symbol)}
+                  onDragEnd={() => setDragSymbol(null)}
+                  onDragOver={(e) => canReorder && e.preventDefault()}
+                  onDrop={(e) => handleDrop(e, stock.symbol)}
+                >
+                  {canReorder && (
+                    <button
+                      className="drag-handle"
+                      onKeyDown={(e) => handleReorderKeyDown(e, stock.symbol, index)}
+                      aria-label={`Reorder ${stock.symbol} (position ${index + 1} of ${watchlist.length}); use arrow keys to move`}
+                      title="Drag, or focus and use the arrow keys, to reorder"
+                    >
+                      ⠿
+                    </button>
+                  )}
                   <div className="stock-info">
-                    <h4>{stock.symbol}</h4>
+                    <h4>
+                      {stock.symbol}
+                      {stock.delisted && (
+                        <span className="delisted-badge" title={`Delisted ${new Date(stock.delistedAt).toLocaleDateString()}`}>
+                          Delisted
+                        </span>
+                      )}
+                    </h4>
                     <p>{stock.name}</p>
+                    {stock.previousSymbols?.length > 0 && (
+                      <p className="previous-symbols">Formerly {stock.previousSymbols.join(', ')}</p>
+                    )}
+                    {stock.quote ? (
+                      <div className="stock-quote">
+                        <span className="price">{formatMoney(stock.quote.price, stock.quote.currency)}</span>
+                        <span className={`change ${stock.quote.change >= 0 ? 'positive' : 'negative'}`}>
+                          {formatChange(stock.quote.change, stock.quote.changePercent)}
+                        </span>
+                        {stock.quote.converted && stock.quote.converted.currency !== stock.quote.currency && (
+                          <span className="converted-price" title={`Converted at ${stock.quote.converted.rate}`}>
+                            ≈ {formatMoney(stock.quote.converted.price, stock.quote.converted.currency)}
+                          </span>
+                        )}
+                        {stock.market && (
+                          <span className={`market-state ${stock.market.state}`} title={stock.market.exchange}>
+                            {MARKET_STATE_LABELS[stock.market.state]}
+                          </span>
+                        )}
+                      </div>
+                    ) : stock.quoteStatus === 'unavailable' && (
+                      <div className="stock-quote quote-unavailable">Quote unavailable</div>
+                    )}
+                    {stock.tags?.length > 0 && (
+                      <div className="stock-tags">
+                        {stock.tags.map(tag => (
+                          <button
+                            key={tag}
+                            onClick={() => setActiveTag(tag)}
+                            className={`tag ${tag === activeTag ? 'active' : ''}`}
+                          >
+                            #{tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {(hasValue(stock.targetBuyPrice) || hasValue(stock.targetSellPrice) || stock.conviction) && (
+                      <div className="stock-targets">
+                        {hasValue(stock.targetBuyPrice) && (
+                          <span>Buy ≤ {formatPrice(stock.targetBuyPrice)}</span>
+                        )}
+                        {hasValue(stock.targetSellPrice) && (
+                          <span>Sell ≥ {formatPrice(stock.targetSellPrice)}</span>
+                        )}
+                        {stock.conviction && (
+                          <span className="conviction" title={`Conviction ${stock.conviction}/5`}>
+                            {'★'.repeat(stock.conviction)}{'☆'.repeat(5 - stock.conviction)}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                    {stock.notes && <p className="stock-notes">{stock.notes}</p>}
                     <span className="added-date">
                       Added: {new Date(stock.addedAt).toLocaleDateString()}
                     </span>
+                    {editingSymbol === stock.symbol && (
+                      <form onSubmit={handleSaveEdit} className="stock-edit-form">
+                        <textarea
+                          name="notes"
+                          value={editForm.notes}
+                          onChange={handleEditChange}
+                          placeholder="Notes"
+                          maxLength={2000}
+                          rows={3}
+                        />
+                        <input
+                          type="text"
+                          name="tags"
+                          value={editForm.tags}
+                          onChange={handleEditChange}
+                          placeholder="Tags, comma separated"
+                        />
+                        <div className="edit-row">
+                          <input
+                            type="number"
+                            name="targetBuyPrice"
+                            value={editForm.targetBuyPrice}
+                            onChange={handleEditChange}
+                            placeholder="Buy target"
+                            min="0"
+                            step="any"
+                          />
+                          <input
+                            type="number"
+                            name="targetSellPrice"
+                            value={editForm.targetSellPrice}
+                            onChange={handleEditChange}
+                            placeholder="Sell target"
+                            min="0"
+                            step="any"
+                          />
+                          <select
+                            name="conviction"
+                            value={editForm.conviction}
+                            onChange={handleEditChange}
+                          >
+                            <option value="">Conviction</option>
+                            {[1, 2, 3, 4, 5].map(level => (
+                              <option key={level} value={level}>{level}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="edit-row">
+                          <button type="submit" className="add-button">Save</button>
+                          <button
+                            type="button"
+                            onClick={() => setEditingSymbol(null)}
+                            className="clear-button"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    )}
                   </div>
-                  <button
-                    onClick={() => handleRemoveFromWatchlist(stock.symbol)}
-                    className="remove-button"
-                  >
-                    Remove
-                  </button>
+                  {canEdit && (
+                    <div className="stock-actions">
+                      <button
+                        onClick={() => handleStartEdit(stock)}
+                        disabled={editingSymbol === stock.symbol}
+                        className="edit-button"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleRemoveFromWatchlist(stock.symbol)}
+                        className="remove-button"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
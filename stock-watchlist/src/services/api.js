@@ -90,13 +90,43 @@ class ApiService {
     return this.request('/users/profile');
   }
 
+  // Update preferences such as { baseCurrency } or { costBasisMethod }
+  async updatePreferences(preferences) {
+    return this.request('/users/preferences', {
+      method: 'PUT',
+      body: JSON.stringify(preferences),
+    });
+  }
+
+  // Audit trail of the account and its watchlists; filters: { action, symbol, from, to, page, limit }
+  async getActivity(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value);
+      }
+    });
+
+    const query = params.toString();
+    return this.request(`/users/activity${query ? `?${query}` : ''}`);
+  }
+
   // Stock methods
   async searchStocks(query) {
     return this.request(`/stocks/search?q=${encodeURIComponent(query)}`);
   }
 
-  async getWatchlist() {
-    return this.request('/stocks');
+  async getWatchlist(watchlistId, filters = {}) {
+    const params = new URLSearchParams();
+    if (watchlistId) params.set('watchlistId', watchlistId);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value);
+      }
+    });
+
+    const query = params.toString();
+    return this.request(`/stocks${query ? `?${query}` : ''}`);
   }
 
   async addToWatchlist(stockData) {
@@ -106,19 +136,260 @@ class ApiService {
     });
   }
 
-  async removeFromWatchlist(symbol) {
-    return this.request(`/stocks/${symbol}`, {
+  async removeFromWatchlist(symbol, watchlistId) {
+    const query = watchlistId ? `?watchlistId=${encodeURIComponent(watchlistId)}` : '';
+    return this.request(`/stocks/${encodeURIComponent(symbol)}${query}`, {
       method: 'DELETE',
     });
   }
 
   async updateStock(symbol, stockData) {
-    return this.request(`/stocks/${symbol}`, {
+    return this.request(`/stocks/${encodeURIComponent(symbol)}`, {
       method: 'PUT',
       body: JSON.stringify(stockData),
     });
   }
 
+  // Download a watchlist export as a Blob
+  async exportWatchlist(watchlistId, format = 'csv') {
+    const params = new URLSearchParams({ format });
+    if (watchlistId) params.set('watchlistId', watchlistId);
+
+    const response = await fetch(`${API_BASE_URL}/stocks/export?${params}`, {
+      headers: this.getHeaders(),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
+  // Upload a CSV/JSON file; dryRun returns a preview without saving
+  async importWatchlist(file, { watchlistId, dryRun = false, duplicates = 'skip', mapping } = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    formData.append('duplicates', duplicates);
+    if (watchlistId) formData.append('watchlistId', watchlistId);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+
+    // Let the browser set the multipart Content-Type boundary
+    const { 'Content-Type': _contentType, ...headers } = this.getHeaders();
+
+    return this.request('/stocks/import', {
+      method: 'POST',
+      body: formData,
+      headers,
+    });
+  }
+
+  // Open a live quote stream (Server-Sent Events) for a watchlist.
+  // Reconnects with backoff, resubscribing to the list, when the connection drops
+  // or heartbeats stop arriving. Returns a function that closes the stream.
+  streamQuotes(watchlistId, { onQuotes, onMarkets, onStatus } = {}) {
+    let source = null;
+    let closed = false;
+    let retryDelay = 1000;
+    let retryTimer = null;
+    let watchdogTimer = null;
+    let heartbeatMs = 15000;
+
+    const resetWatchdog = () => {
+      clearTimeout(watchdogTimer);
+      watchdogTimer = setTimeout(reconnect, heartbeatMs * 2);
+    };
+
+    const connect = async () => {
+      onStatus?.('connecting');
+
+      // The URL carries a short-lived stream token, never the session token
+      let token;
+      try {
+        ({ token } = (await this.request('/stream/token', { method: 'POST' })).data);
+      } catch {
+        reconnect();
+        return;
+      }
+      if (closed) return;
+
+      const params = new URLSearchParams({ token });
+      if (watchlistId) params.set('watchlistId', watchlistId);
+
+      source = new EventSource(`${API_BASE_URL}/stream/quotes?${params}`);
+
+      source.addEventListener('subscribed', (event) => {
+        heartbeatMs = JSON.parse(event.data).heartbeatMs || heartbeatMs;
+        retryDelay = 1000;
+        onStatus?.('live');
+        resetWatchdog();
+      });
+      source.addEventListener('quotes', (event) => {
+        resetWatchdog();
+        onQuotes?.(JSON.parse(event.data).quotes);
+      });
+      source.addEventListener('markets', (event) => {
+        resetWatchdog();
+        onMarkets?.(JSON.parse(event.data).markets);
+      });
+      source.addEventListener('heartbeat', resetWatchdog);
+      source.onerror = reconnect;
+    };
+
+    const reconnect = () => {
+      if (closed) return;
+
+      source?.close();
+      clearTimeout(watchdogTimer);
+      clearTimeout(retryTimer);
+      onStatus?.('reconnecting');
+
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(watchdogTimer);
+      source?.close();
+    };
+  }
+
+  // Watchlist methods
+  async getWatchlists() {
+    return this.request('/watchlists');
+  }
+
+  async createWatchlist(watchlistData) {
+    return this.request('/watchlists', {
+      method: 'POST',
+      body: JSON.stringify(watchlistData),
+    });
+  }
+
+  async updateWatchlist(watchlistId, watchlistData) {
+    return this.request(`/watchlists/${watchlistId}`, {
+      method: 'PUT',
+      body: JSON.stringify(watchlistData),
+    });
+  }
+
+  async deleteWatchlist(watchlistId) {
+    return this.request(`/watchlists/${watchlistId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Reorder a watchlist: { symbols } (full order) or { symbol, index } (one move), plus the orderVersion it was based on
+  async reorderWatchlist(watchlistId, { orderVersion, ...order }) {
+    return this.request(`/watchlists/${watchlistId}/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ orderVersion, ...order }),
+    });
+  }
+
+  // Watchlist member methods
+  async getWatchlistMembers(watchlistId) {
+    return this.request(`/watchlists/${watchlistId}/members`);
+  }
+
+  async addWatchlistMember(watchlistId, { identifier, role = 'viewer' }) {
+    return this.request(`/watchlists/${watchlistId}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ identifier, role }),
+    });
+  }
+
+  async updateWatchlistMember(watchlistId, userId, role) {
+    return this.request(`/watchlists/${watchlistId}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  async removeWatchlistMember(watchlistId, userId) {
+    return this.request(`/watchlists/${watchlistId}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Screener methods
+  async getScreenerFields() {
+    return this.request('/screener/fields');
+  }
+
+  async runScreener({ filter, sort, page = 1, limit = 20 }) {
+    return this.request('/screener', {
+      method: 'POST',
+      body: JSON.stringify({ filter, sort, page, limit }),
+    });
+  }
+
+  async getScreens() {
+    return this.request('/screener/screens');
+  }
+
+  async saveScreen(screenData) {
+    return this.request('/screener/screens', {
+      method: 'POST',
+      body: JSON.stringify(screenData),
+    });
+  }
+
+  async deleteScreen(screenId) {
+    return this.request(`/screener/screens/${screenId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async runSavedScreen(screenId, { page = 1, limit = 20 } = {}) {
+    return this.request(`/screener/screens/${screenId}/run`, {
+      method: 'POST',
+      body: JSON.stringify({ page, limit }),
+    });
+  }
+
+  // Market calendar methods (public)
+  async getMarkets() {
+    return this.request('/markets');
+  }
+
+  async getCurrencies() {
+    return this.request('/markets/currencies');
+  }
+
+  async getMarketStatus(exchange) {
+    return this.request(`/markets/${encodeURIComponent(exchange)}/status`);
+  }
+
+  // Share link methods
+  async getShareLinks(watchlistId) {
+    return this.request(`/watchlists/${watchlistId}/shares`);
+  }
+
+  async createShareLink(watchlistId, { label, includeNotes = false, expiresAt = null } = {}) {
+    return this.request(`/watchlists/${watchlistId}/shares`, {
+      method: 'POST',
+      body: JSON.stringify({ label, includeNotes, expiresAt }),
+    });
+  }
+
+  async revokeShareLink(watchlistId, shareId) {
+    return this.request(`/watchlists/${watchlistId}/shares/${shareId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Public, read-only view of a shared watchlist (works signed out)
+  async getSharedWatchlist(token) {
+    return this.request(`/public/watchlists/${encodeURIComponent(token)}`);
+  }
+
   // Check if user is authenticated
   isAuthenticated() {
     return !!this.token;